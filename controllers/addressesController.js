@@ -0,0 +1,223 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  ADDRESS_TYPES,
+  addCustomerAddress,
+  endCustomerAddress,
+  getCustomerAddress,
+  listCustomerAddresses,
+  setPrimaryAddress
+} from '../services/addressService.js'
+
+/**
+ * Validate and normalise an address body.
+ * Returns { address } or { error }.
+ */
+function parseAddress(body) {
+  const { streetLine1, streetLine2, city, stateProvince, postalCode, country, addressType } = body
+  const fields = [streetLine1, streetLine2, city, stateProvince, postalCode, country]
+
+  if (fields.some(field => field !== undefined && field !== null && typeof field !== 'string')) {
+    return { error: 'Address fields must be text' }
+  }
+
+  if (!streetLine1 || !streetLine1.trim() || !city || !city.trim()) {
+    return { error: 'Street and city are required' }
+  }
+
+  if (!ADDRESS_TYPES.includes(addressType)) {
+    return { error: `Address type must be one of: ${ADDRESS_TYPES.join(', ')}` }
+  }
+
+  return {
+    address: {
+      street_line1: streetLine1.trim(),
+      street_line2: streetLine2 && streetLine2.trim() ? streetLine2.trim() : null,
+      city: city.trim(),
+      state_province: stateProvince && stateProvince.trim() ? stateProvince.trim().toUpperCase() : null,
+      postal_code: postalCode && postalCode.trim() ? postalCode.trim().toUpperCase() : null,
+      country: country && country.trim() ? country.trim().toUpperCase() : 'USA',
+      address_type: addressType
+    }
+  }
+}
+
+/**
+ * List the current user's addresses
+ * Query params:
+ *   - includeHistory: 'true' to include edited/removed addresses
+ */
+export async function listAddresses(req, res) {
+  const db = await getDBConnection()
+  try {
+    const addresses = await listCustomerAddresses(db, req.session.humanId, {
+      includeHistory: req.query.includeHistory === 'true'
+    })
+
+    res.json({ addresses })
+
+  } catch (err) {
+    console.error('List addresses error:', err)
+    res.status(500).json({ error: 'Failed to retrieve addresses' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Add an address
+ * Body: { streetLine1, streetLine2, city, stateProvince, postalCode, country, addressType, isPrimary }
+ */
+export async function createAddress(req, res) {
+  const parsed = parseAddress(req.body)
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const addressId = await withTransaction(db, () =>
+      addCustomerAddress(db, humanId, parsed.address, { isPrimary: Boolean(req.body.isPrimary) })
+    )
+
+    const address = await getCustomerAddress(db, humanId, addressId)
+
+    res.status(201).json({ message: 'Address added', address })
+
+  } catch (err) {
+    console.error('Create address error:', err)
+    res.status(500).json({ error: 'Failed to add address' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Edit an address
+ * Past orders point at the old row, so the edit is saved as a new address
+ * that replaces the old one (keeping its primary flag) and the old one is
+ * closed off. The response carries the new address id.
+ */
+export async function updateAddress(req, res) {
+  const addressId = parseInt(req.params.addressId, 10)
+
+  if (isNaN(addressId)) {
+    return res.status(400).json({ error: 'Invalid address ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const result = await withTransaction(db, async () => {
+      const existing = await getCustomerAddress(db, humanId, addressId)
+
+      if (!existing) {
+        return { status: 404, body: { error: 'Address not found' } }
+      }
+
+      // Unsent fields keep their current values
+      const parsed = parseAddress({
+        streetLine1: req.body.streetLine1 ?? existing.street_line1,
+        streetLine2: req.body.streetLine2 !== undefined ? req.body.streetLine2 : existing.street_line2,
+        city: req.body.city ?? existing.city,
+        stateProvince: req.body.stateProvince !== undefined ? req.body.stateProvince : existing.state_province,
+        postalCode: req.body.postalCode !== undefined ? req.body.postalCode : existing.postal_code,
+        country: req.body.country ?? existing.country,
+        addressType: req.body.addressType ?? existing.address_type
+      })
+
+      if (parsed.error) {
+        return { status: 400, body: { error: parsed.error } }
+      }
+
+      await endCustomerAddress(db, humanId, addressId)
+      const newAddressId = await addCustomerAddress(db, humanId, parsed.address, {
+        isPrimary: req.body.isPrimary !== undefined ? Boolean(req.body.isPrimary) : Boolean(existing.is_primary)
+      })
+
+      return {
+        status: 200,
+        body: {
+          message: 'Address updated',
+          replacedAddressId: addressId,
+          address: await getCustomerAddress(db, humanId, newAddressId)
+        }
+      }
+    })
+
+    res.status(result.status).json(result.body)
+
+  } catch (err) {
+    console.error('Update address error:', err)
+    res.status(500).json({ error: 'Failed to update address' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Make an address the primary one for its type
+ */
+export async function makePrimaryAddress(req, res) {
+  const addressId = parseInt(req.params.addressId, 10)
+
+  if (isNaN(addressId)) {
+    return res.status(400).json({ error: 'Invalid address ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const address = await getCustomerAddress(db, humanId, addressId)
+
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' })
+    }
+
+    await setPrimaryAddress(db, humanId, addressId)
+
+    res.json({ message: 'Primary address updated', addressId, addressType: address.address_type })
+
+  } catch (err) {
+    console.error('Set primary address error:', err)
+    res.status(500).json({ error: 'Failed to update primary address' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Remove an address from the book (kept as history, not deleted)
+ */
+export async function deleteAddress(req, res) {
+  const addressId = parseInt(req.params.addressId, 10)
+
+  if (isNaN(addressId)) {
+    return res.status(400).json({ error: 'Invalid address ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const address = await getCustomerAddress(db, humanId, addressId)
+
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' })
+    }
+
+    await endCustomerAddress(db, humanId, addressId)
+
+    res.status(204).send()
+
+  } catch (err) {
+    console.error('Delete address error:', err)
+    res.status(500).json({ error: 'Failed to remove address' })
+  } finally {
+    await db.close()
+  }
+}
@@ -62,8 +62,10 @@ export async function getUserDetails(req, res) {
         h.is_active,
         h.created_at,
         h.updated_at,
+        c.loyalty_points,
         GROUP_CONCAT(sr.role_name) as roles
       FROM humans h
+      LEFT JOIN customers c ON h.id = c.human_id
       LEFT JOIN human_site_roles hsr ON h.id = hsr.human_id
       LEFT JOIN site_roles sr ON hsr.site_role_id = sr.id
       WHERE h.id = ?
@@ -0,0 +1,553 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { ORDER_TRANSITIONS, refundOrder, transitionOrder } from '../services/orderService.js'
+import { queuePaymentRefund, retryPaymentRefund, sendPaymentRefund } from '../services/paymentService.js'
+import { getLatestInvoice, issueInvoice, loadInvoiceData, renderInvoice } from '../services/invoiceService.js'
+import { regenerateDownloadLink } from '../services/downloadService.js'
+
+/**
+ * Record a refund and the money owed back through the payment provider.
+ * Any part refunded as store credit is already in the customer's ledger, so
+ * only the rest is owed to the provider; it's sent by sendProviderRefund
+ * once the transaction has committed. Call inside a transaction.
+ */
+async function refundOrderAndPayment(db, orderId, options) {
+  const result = await refundOrder(db, orderId, options)
+
+  if (result.success) {
+    result.paymentRefundId = await queuePaymentRefund(db, orderId, result.paymentAmount, result.refundId)
+  }
+
+  return result
+}
+
+/**
+ * Send the provider refund a committed refund queued, for the response:
+ * { id, status, error } or null when nothing was owed to the provider.
+ * A refusal leaves the refund failed for retryProviderRefund.
+ */
+async function sendProviderRefund(db, paymentRefundId) {
+  if (!paymentRefundId) {
+    return null
+  }
+
+  const sent = await sendPaymentRefund(db, paymentRefundId)
+
+  return {
+    id: paymentRefundId,
+    status: sent ? sent.status : 'pending',
+    error: sent?.status === 'failed' ? sent.message : undefined
+  }
+}
+
+/**
+ * List orders with optional filters
+ * Query params:
+ *   - status: Filter by order status
+ *   - humanId: Filter by customer
+ *   - search: Match order number or customer name
+ *   - from / to: Created-at date range (YYYY-MM-DD, inclusive)
+ *   - limit / offset: Paging (default 50 / 0)
+ */
+export async function listOrders(req, res) {
+  const db = await getDBConnection()
+  try {
+    const { status, humanId, search, from, to } = req.query
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    let where = []
+    let params = []
+
+    if (status) {
+      if (!ORDER_TRANSITIONS[status]) {
+        return res.status(400).json({ error: 'Invalid status' })
+      }
+      where.push('o.status = ?')
+      params.push(status)
+    }
+
+    if (humanId) {
+      const humanIdNum = parseInt(humanId, 10)
+      if (isNaN(humanIdNum)) {
+        return res.status(400).json({ error: 'Invalid user ID' })
+      }
+      where.push('o.human_id = ?')
+      params.push(humanIdNum)
+    }
+
+    if (search) {
+      where.push(`(o.order_number LIKE ? OR h.first_name || ' ' || h.last_name LIKE ?)`)
+      const searchPattern = `%${search}%`
+      params.push(searchPattern, searchPattern)
+    }
+
+    if (from) {
+      where.push('date(o.created_at) >= date(?)')
+      params.push(from)
+    }
+
+    if (to) {
+      where.push('date(o.created_at) <= date(?)')
+      params.push(to)
+    }
+
+    const whereClause = where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''
+
+    const orders = await db.all(
+      `SELECT
+         o.id,
+         o.order_number,
+         o.status,
+         o.total_amount,
+         o.created_at,
+         o.updated_at,
+         o.completed_at,
+         o.human_id,
+         h.first_name || ' ' || h.last_name AS customer_name,
+         (SELECT SUM(quantity) FROM order_items WHERE order_id = o.id) AS item_count
+       FROM orders o
+       JOIN humans h ON o.human_id = h.id
+       ${whereClause}
+       ORDER BY o.created_at DESC, o.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    )
+
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM orders o JOIN humans h ON o.human_id = h.id ${whereClause}`,
+      params
+    )
+
+    res.json({ orders, total, limit, offset })
+
+  } catch (err) {
+    console.error('Error listing orders:', err)
+    res.status(500).json({ error: 'Failed to fetch orders' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Get full order detail including items, coupons, refunds, gift cards and status history
+ */
+export async function getOrderDetail(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    const order = await db.get(
+      `SELECT
+         o.*,
+         h.first_name || ' ' || h.last_name AS customer_name,
+         eh.email AS customer_email
+       FROM orders o
+       JOIN humans h ON o.human_id = h.id
+       LEFT JOIN email_history eh ON eh.human_id = h.id AND eh.effective_to IS NULL
+       WHERE o.id = ?`,
+      [orderId]
+    )
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    const items = await db.all(
+      `SELECT
+         oi.*,
+         COALESCE(p.title, s.title) AS title,
+         COALESCE(p.artist, a.stage_name) AS artist,
+         p.release_date,
+         CASE WHEN oi.product_id IS NOT NULL THEN 'product' ELSE 'song' END AS type
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       LEFT JOIN songs s ON oi.song_id = s.id
+       LEFT JOIN artists a ON s.artist_human_id = a.human_id
+       WHERE oi.order_id = ?`,
+      [orderId]
+    )
+
+    const coupons = await db.all(
+      `SELECT oc.discount_applied, c.code, c.description
+       FROM order_coupons oc
+       JOIN coupons c ON oc.coupon_id = c.id
+       WHERE oc.order_id = ?`,
+      [orderId]
+    )
+
+    const refunds = await db.all(
+      `SELECT
+         r.id,
+         r.amount,
+         r.reason,
+         r.created_at,
+         h.first_name || ' ' || h.last_name AS refunded_by_name
+       FROM order_refunds r
+       LEFT JOIN humans h ON r.refunded_by = h.id
+       WHERE r.order_id = ?
+       ORDER BY r.created_at, r.id`,
+      [orderId]
+    )
+
+    const giftCards = await db.all(
+      `SELECT id, order_item_id, code, amount, status, redeemed_at
+       FROM gift_cards
+       WHERE order_id = ?
+       ORDER BY id`,
+      [orderId]
+    )
+
+    const paymentRefunds = await db.all(
+      `SELECT pr.id, pr.order_refund_id, pr.amount, pr.status, pr.failure_reason, pr.created_at, pr.updated_at
+       FROM payment_refunds pr
+       JOIN payments p ON pr.payment_id = p.id
+       WHERE p.order_id = ?
+       ORDER BY pr.id`,
+      [orderId]
+    )
+
+    const downloads = await db.all(
+      `SELECT id, order_item_id, download_count, max_downloads, expires_at, revoked_at
+       FROM download_links
+       WHERE order_id = ?
+       ORDER BY id`,
+      [orderId]
+    )
+
+    const history = await db.all(
+      `SELECT
+         osh.from_status,
+         osh.to_status,
+         osh.note,
+         osh.created_at,
+         osh.changed_by,
+         h.first_name || ' ' || h.last_name AS changed_by_name
+       FROM order_status_history osh
+       LEFT JOIN humans h ON osh.changed_by = h.id
+       WHERE osh.order_id = ?
+       ORDER BY osh.created_at, osh.id`,
+      [orderId]
+    )
+
+    res.json({
+      order,
+      items,
+      coupons,
+      refunds,
+      paymentRefunds,
+      giftCards,
+      downloads,
+      history,
+      allowedTransitions: ORDER_TRANSITIONS[order.status]
+    })
+
+  } catch (err) {
+    console.error('Error fetching order detail:', err)
+    res.status(500).json({ error: 'Failed to fetch order' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Move an order to a new status
+ * Body: { status, note }
+ */
+export async function updateOrderStatus(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+    const { status, note } = req.body
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    if (typeof status !== 'string' || !status.trim()) {
+      return res.status(400).json({ error: 'Status is required' })
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'Note must be text' })
+    }
+
+    // Refunding has money and stock consequences, so route it through the full refund
+    const result = await withTransaction(db, () =>
+      status.trim() === 'refunded'
+        ? refundOrderAndPayment(db, orderId, {
+          reason: note ? note.trim() : null,
+          refundedBy: req.session.humanId
+        })
+        : transitionOrder(db, orderId, status.trim(), {
+          changedBy: req.session.humanId,
+          note: note ? note.trim() : null
+        })
+    )
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    const paymentRefund = await sendProviderRefund(db, result.paymentRefundId)
+    const order = await db.get('SELECT status FROM orders WHERE id = ?', [orderId])
+
+    res.json({
+      message: 'Order status updated',
+      orderId,
+      status: order.status,
+      paymentRefund
+    })
+
+  } catch (err) {
+    console.error('Error updating order status:', err)
+    res.status(500).json({ error: 'Failed to update order status' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Refund a paid order, in full or per line
+ * Body: { items: [{ orderItemId, quantity }], reason, toStoreCredit } - omit items for a full refund.
+ * Store credit the order was paid with goes back as store credit; set
+ * toStoreCredit to refund everything that way.
+ */
+export async function refundOrderItems(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+    const { items, reason, toStoreCredit } = req.body
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({ error: 'Items must be a non-empty array of { orderItemId, quantity }' })
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'Reason must be text' })
+    }
+
+    const result = await withTransaction(db, () =>
+      refundOrderAndPayment(db, orderId, {
+        lines: items || null,
+        reason: reason ? reason.trim() : null,
+        refundedBy: req.session.humanId,
+        toStoreCredit: Boolean(toStoreCredit)
+      })
+    )
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    const paymentRefund = await sendProviderRefund(db, result.paymentRefundId)
+
+    res.status(201).json({
+      message: result.fullyRefunded ? 'Order fully refunded' : 'Partial refund recorded',
+      refundId: result.refundId,
+      amount: result.amount,
+      storeCreditAmount: result.storeCreditAmount,
+      paymentAmount: result.paymentAmount,
+      fullyRefunded: result.fullyRefunded,
+      items: result.lines,
+      paymentRefund
+    })
+
+  } catch (err) {
+    console.error('Error refunding order:', err)
+    res.status(500).json({ error: 'Failed to refund order' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Download the latest invoice for any order as a PDF (issuing one if needed)
+ */
+export async function downloadOrderInvoice(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    const order = await db.get('SELECT id FROM orders WHERE id = ?', [orderId])
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    const invoice = await withTransaction(db, async () =>
+      (await getLatestInvoice(db, orderId)) || issueInvoice(db, orderId, { issuedBy: req.session.humanId })
+    )
+    const data = await loadInvoiceData(db, orderId)
+
+    res.type('application/pdf')
+    res.attachment(`${invoice.invoice_number}.pdf`)
+    renderInvoice(data, invoice).pipe(res)
+
+  } catch (err) {
+    console.error('Error generating invoice:', err)
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate invoice' })
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Re-issue an order's invoice as a new version (e.g. after a refund or an
+ * address correction). The customer's download switches to the new version.
+ * Body: { reason }
+ */
+export async function reissueInvoice(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+    const reason = req.body?.reason
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'Reason must be text' })
+    }
+
+    const order = await db.get('SELECT id FROM orders WHERE id = ?', [orderId])
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    const invoice = await withTransaction(db, () =>
+      issueInvoice(db, orderId, { issuedBy: req.session.humanId, reason: reason ? reason.trim() : null })
+    )
+
+    res.status(201).json({
+      message: 'Invoice issued',
+      invoiceNumber: invoice.invoice_number,
+      version: invoice.version,
+      url: `/api/admin/orders/${orderId}/invoice.pdf`
+    })
+
+  } catch (err) {
+    console.error('Error re-issuing invoice:', err)
+    res.status(500).json({ error: 'Failed to issue invoice' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Give a customer a fresh start on one of an order's download links: a new
+ * token, the download count back to zero and a new expiry. Customers can
+ * only rotate the token themselves.
+ */
+export async function resetDownloadLink(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+    const linkId = parseInt(req.params.linkId, 10)
+
+    if (isNaN(orderId) || isNaN(linkId)) {
+      return res.status(400).json({ error: 'Invalid ID' })
+    }
+
+    const link = await db.get(
+      'SELECT id, revoked_at FROM download_links WHERE id = ? AND order_id = ?',
+      [linkId, orderId]
+    )
+
+    if (!link) {
+      return res.status(404).json({ error: 'Download link not found' })
+    }
+
+    if (link.revoked_at) {
+      return res.status(409).json({ error: 'This download link has been revoked' })
+    }
+
+    const token = await regenerateDownloadLink(db, linkId, { reset: true })
+    const updated = await db.get(
+      'SELECT download_count, max_downloads, expires_at FROM download_links WHERE id = ?',
+      [linkId]
+    )
+
+    res.json({
+      message: 'Download link reset',
+      id: linkId,
+      url: `/api/downloads/${token}`,
+      downloadCount: updated.download_count,
+      maxDownloads: updated.max_downloads,
+      expiresAt: updated.expires_at
+    })
+
+  } catch (err) {
+    console.error('Error resetting download link:', err)
+    res.status(500).json({ error: 'Failed to reset download link' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Send a refund the payment provider refused back to it
+ */
+export async function retryProviderRefund(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+    const paymentRefundId = parseInt(req.params.paymentRefundId, 10)
+
+    if (isNaN(orderId) || isNaN(paymentRefundId)) {
+      return res.status(400).json({ error: 'Invalid ID' })
+    }
+
+    const refund = await db.get(
+      `SELECT pr.status
+       FROM payment_refunds pr
+       JOIN payments p ON pr.payment_id = p.id
+       WHERE pr.id = ? AND p.order_id = ?`,
+      [paymentRefundId, orderId]
+    )
+
+    if (!refund) {
+      return res.status(404).json({ error: 'Payment refund not found' })
+    }
+
+    if (refund.status !== 'failed') {
+      return res.status(409).json({ error: `This refund is ${refund.status}; only failed refunds can be retried` })
+    }
+
+    const sent = await retryPaymentRefund(db, paymentRefundId)
+
+    if (!sent) {
+      return res.status(409).json({ error: 'This refund is already being retried' })
+    }
+
+    res.json({
+      message: sent.status === 'refunded' ? 'Refund sent' : 'The payment provider refused the refund again',
+      paymentRefund: {
+        id: paymentRefundId,
+        status: sent.status,
+        error: sent.status === 'failed' ? sent.message : undefined
+      }
+    })
+
+  } catch (err) {
+    console.error('Error retrying payment refund:', err)
+    res.status(500).json({ error: 'Failed to retry refund' })
+  } finally {
+    await db.close()
+  }
+}
@@ -0,0 +1,212 @@
+import { getDBConnection } from '../db/db.js'
+import { PRODUCT_CLASSES } from '../services/taxService.js'
+
+/**
+ * Validate and normalise a tax rate body.
+ * partial: only check the fields that were sent (for updates)
+ * Returns { values } or { error }.
+ */
+function parseTaxRate(body, partial = false) {
+  const values = {}
+  const fields = [body.country, body.stateProvince, body.postalPrefix, body.description]
+
+  if (fields.some(field => field !== undefined && field !== null && typeof field !== 'string')) {
+    return { error: 'Country, state, postal prefix and description must be text' }
+  }
+
+  if (body.country !== undefined || !partial) {
+    if (!body.country || !body.country.trim()) {
+      return { error: 'Country is required' }
+    }
+    values.country = body.country.trim().toUpperCase()
+  }
+
+  for (const [field, column] of [['stateProvince', 'state_province'], ['postalPrefix', 'postal_prefix']]) {
+    if (body[field] !== undefined) {
+      values[column] = body[field] && body[field].trim() ? body[field].trim().toUpperCase() : null
+    }
+  }
+
+  if (body.productClass !== undefined) {
+    if (body.productClass !== null && !PRODUCT_CLASSES.includes(body.productClass)) {
+      return { error: `Product class must be one of: ${PRODUCT_CLASSES.join(', ')}` }
+    }
+    values.product_class = body.productClass
+  }
+
+  if (body.rate !== undefined || !partial) {
+    const rate = parseFloat(body.rate)
+    if (isNaN(rate) || rate < 0 || rate >= 1) {
+      return { error: 'Rate must be a decimal between 0 and 1 (e.g. 0.0725)' }
+    }
+    values.rate = rate
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description ? body.description.trim() : null
+  }
+
+  if (body.isActive !== undefined) {
+    values.is_active = body.isActive ? 1 : 0
+  }
+
+  return { values }
+}
+
+/**
+ * List tax rates
+ * Query params:
+ *   - country: Filter by country
+ *   - active: 'true' to only list active rates
+ */
+export async function listTaxRates(req, res) {
+  const db = await getDBConnection()
+  try {
+    const { country, active } = req.query
+
+    let where = []
+    let params = []
+
+    if (country) {
+      where.push('UPPER(country) = UPPER(?)')
+      params.push(country)
+    }
+
+    if (active === 'true') {
+      where.push('is_active = 1')
+    }
+
+    const whereClause = where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''
+
+    const taxRates = await db.all(
+      `SELECT * FROM tax_rates ${whereClause}
+       ORDER BY country, state_province, postal_prefix, product_class`,
+      params
+    )
+
+    res.json({ taxRates })
+
+  } catch (err) {
+    console.error('Error listing tax rates:', err)
+    res.status(500).json({ error: 'Failed to fetch tax rates' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Create a tax rate
+ * Body: { country, stateProvince, postalPrefix, productClass, rate, description }
+ */
+export async function createTaxRate(req, res) {
+  const parsed = parseTaxRate(req.body)
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const { values } = parsed
+
+    const result = await db.run(
+      `INSERT INTO tax_rates (country, state_province, postal_prefix, product_class, rate, description, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.country,
+        values.state_province ?? null,
+        values.postal_prefix ?? null,
+        values.product_class ?? null,
+        values.rate,
+        values.description ?? null,
+        values.is_active ?? 1
+      ]
+    )
+
+    const taxRate = await db.get('SELECT * FROM tax_rates WHERE id = ?', [result.lastID])
+
+    res.status(201).json({ message: 'Tax rate created', taxRate })
+
+  } catch (err) {
+    console.error('Error creating tax rate:', err)
+    res.status(500).json({ error: 'Failed to create tax rate' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Update a tax rate; only the fields sent are changed
+ * Orders keep the rate they were charged, so this only affects new orders
+ */
+export async function updateTaxRate(req, res) {
+  const rateId = parseInt(req.params.rateId, 10)
+
+  if (isNaN(rateId)) {
+    return res.status(400).json({ error: 'Invalid tax rate ID' })
+  }
+
+  const parsed = parseTaxRate(req.body, true)
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error })
+  }
+
+  const columns = Object.keys(parsed.values)
+
+  if (columns.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await db.run(
+      `UPDATE tax_rates
+       SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...Object.values(parsed.values), rateId]
+    )
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Tax rate not found' })
+    }
+
+    const taxRate = await db.get('SELECT * FROM tax_rates WHERE id = ?', [rateId])
+
+    res.json({ message: 'Tax rate updated', taxRate })
+
+  } catch (err) {
+    console.error('Error updating tax rate:', err)
+    res.status(500).json({ error: 'Failed to update tax rate' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Delete a tax rate
+ */
+export async function deleteTaxRate(req, res) {
+  const rateId = parseInt(req.params.rateId, 10)
+
+  if (isNaN(rateId)) {
+    return res.status(400).json({ error: 'Invalid tax rate ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await db.run('DELETE FROM tax_rates WHERE id = ?', [rateId])
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Tax rate not found' })
+    }
+
+    res.status(204).send()
+
+  } catch (err) {
+    console.error('Error deleting tax rate:', err)
+    res.status(500).json({ error: 'Failed to delete tax rate' })
+  } finally {
+    await db.close()
+  }
+}
@@ -1,6 +1,8 @@
 import validator from 'validator'
-import { getDBConnection } from '../db/db.js'
+import { getDBConnection, withTransaction } from '../db/db.js'
 import bcrypt from 'bcryptjs'
+import { notifyPasswordChanged, notifyRegistration } from '../services/notifications/index.js'
+import { mergeGuestCart } from '../services/cartService.js'
 
 export async function registerUser(req, res) {
 
@@ -72,8 +74,13 @@ export async function registerUser(req, res) {
         [humanId, roleResult.id]
       )
 
+      // 5. Keep whatever they put in the cart before signing up
+      await withTransaction(db, () => mergeGuestCart(db, req.sessionID, humanId))
+
       req.session.humanId = humanId
 
+      notifyRegistration(humanId)
+
       res.status(201).json({ message: 'User registered' })
     } finally {
       await db.close()
@@ -121,6 +128,9 @@ export async function loginUser(req, res) {
 
       }
 
+      // Bring along anything added to the cart before logging in
+      await withTransaction(db, () => mergeGuestCart(db, req.sessionID, customer.human_id))
+
       req.session.humanId = customer.human_id
       res.json({ message: 'Logged in' })
     } finally {
@@ -133,6 +143,52 @@ export async function loginUser(req, res) {
 }
 
 
+export async function changePassword(req, res) {
+
+  const { currentPassword, newPassword } = req.body
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' })
+  }
+
+  try {
+    const db = await getDBConnection()
+
+    try {
+      const customer = await db.get(
+        'SELECT password_hash FROM customers WHERE human_id = ?',
+        [req.session.humanId]
+      )
+
+      if (!customer) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
+
+      const isValid = await bcrypt.compare(currentPassword, customer.password_hash)
+
+      if (!isValid) {
+        return res.status(401).json({ error: 'Current password is incorrect' })
+      }
+
+      const hashed = await bcrypt.hash(newPassword, 10)
+
+      await db.run(
+        'UPDATE customers SET password_hash = ? WHERE human_id = ?',
+        [hashed, req.session.humanId]
+      )
+
+      notifyPasswordChanged(req.session.humanId)
+
+      res.json({ message: 'Password changed' })
+    } finally {
+      await db.close()
+    }
+  } catch (err) {
+    console.error('Change password error:', err.message)
+    res.status(500).json({ error: 'Failed to change password. Please try again.' })
+  }
+}
+
 export async function logoutUser(req, res) {
 
   req.session.destroy( () => {
@@ -1,11 +1,21 @@
-import { getDBConnection } from '../db/db.js'
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { cartOwner, checkCartQuantity, pruneGuestCarts, stockWarning } from '../services/cartService.js'
+import { wishlistSnapshot } from '../services/wishlistService.js'
+import { releaseReservations } from '../services/reservationService.js'
 
+/**
+ * Add a product or song to the cart
+ * Body: { productId, songId, variantId, quantity } - quantity defaults to 1
+ * and is added to any already in the cart; variantId is required for a
+ * product sold by variant, and each variant is its own cart line
+ */
 export async function addToCart(req, res) {
  const db = await getDBConnection()
 
  try {
   const productId = req.body.productId ? parseInt(req.body.productId, 10) : null
   const songId = req.body.songId ? parseInt(req.body.songId, 10) : null
+  const variantId = req.body.variantId ? parseInt(req.body.variantId, 10) : null
 
   // Must specify either a product or a song
   if (!productId && !songId) {
@@ -20,24 +30,61 @@ export async function addToCart(req, res) {
    return res.status(400).json({ error: 'Invalid song ID'})
   }
 
-  const humanId = req.session.humanId
+  if (variantId && (isNaN(variantId) || !productId)) {
+   return res.status(400).json({ error: 'Invalid variant ID'})
+  }
+
+  const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+   return res.status(400).json({ error: 'Quantity must be a positive whole number'})
+  }
+
+  const owner = cartOwner(req)
+
+  if (owner.column === 'session_id') {
+   // Guests have nothing else in their session; mark it so it's kept (and its cookie sent)
+   req.session.guestCart = true
+   await pruneGuestCarts(db)
+  }
 
   // Check if item already exists in cart
   const existing = await db.get(
-   'SELECT * FROM cart_items WHERE human_id = ? AND product_id IS ? AND song_id IS ?',
-   [humanId, productId, songId]
+   `SELECT * FROM cart_items WHERE ${owner.column} = ? AND product_id IS ? AND song_id IS ? AND variant_id IS ?`,
+   [owner.id, productId, songId, variantId]
   )
 
+  // The line as a whole must fit the stock and the product's limit
+  const check = await checkCartQuantity(db, { productId, songId, variantId }, (existing ? existing.quantity : 0) + quantity, req.session.humanId)
+
+  if (!check.success) {
+   return res.status(check.status).json({
+    error: check.error,
+    available: check.available,
+    maxPerOrder: check.maxPerOrder,
+    inCart: existing ? existing.quantity : 0
+   })
+  }
+
   if (existing) {
-   await db.run('UPDATE cart_items SET quantity = quantity + 1 WHERE id = ?', [existing.id])
+   await db.run(
+    'UPDATE cart_items SET quantity = quantity + ?, stock_when_added = ? WHERE id = ?',
+    [quantity, check.stock, existing.id]
+   )
   } else {
    await db.run(
-    'INSERT INTO cart_items (human_id, product_id, song_id, quantity) VALUES (?, ?, ?, 1)',
-    [humanId, productId, songId]
+    `INSERT INTO cart_items (${owner.column}, product_id, song_id, variant_id, quantity, stock_when_added) VALUES (?, ?, ?, ?, ?, ?)`,
+    [owner.id, productId, songId, variantId, quantity, check.stock]
    )
   }
 
+  // A changed cart gives up any stock held for checkout (guests never hold any)
+  await releaseReservations(db, req.session.humanId)
+
   res.json({ message: 'Added to cart' })
+ } catch (err) {
+  console.error('Add to cart error:', err)
+  res.status(500).json({ error: 'Failed to add to cart' })
  } finally {
   await db.close()
  }
@@ -48,7 +95,8 @@ export async function getCartCount(req, res) {
   const db = await getDBConnection()
 
   try {
-    const result = await db.get(`SELECT SUM(quantity) AS totalItems FROM cart_items WHERE human_id = ?`, [req.session.humanId])
+    const owner = cartOwner(req)
+    const result = await db.get(`SELECT SUM(quantity) AS totalItems FROM cart_items WHERE ${owner.column} = ?`, [owner.id])
     res.json({ totalItems: result.totalItems || 0 })
   } finally {
     await db.close()
@@ -61,6 +109,8 @@ export async function getAll(req, res) {
   const db = await getDBConnection()
 
   try {
+    const owner = cartOwner(req)
+
     // Get both products and songs from cart
     const items = await db.all(`
       SELECT 
@@ -68,22 +118,169 @@ export async function getAll(req, res) {
         ci.quantity,
         COALESCE(p.title, s.title) as title,
         COALESCE(p.artist, a.stage_name) as artist,
-        COALESCE(p.price, s.individual_price) as price,
-        CASE WHEN ci.product_id IS NOT NULL THEN 'product' ELSE 'song' END as type
+        COALESCE(v.price, p.price, s.individual_price) as price,
+        CASE WHEN ci.product_id IS NOT NULL THEN 'product' ELSE 'song' END as type,
+        ci.variant_id as variantId,
+        v.label as variantLabel,
+        v.format,
+        CASE WHEN ci.product_id IS NOT NULL AND COALESCE(v.is_digital, p.is_digital, 0) = 0 THEN MAX(COALESCE(v.stock, p.stock) - (
+          SELECT COALESCE(SUM(r.quantity), 0) FROM stock_reservations r
+          WHERE r.product_id = p.id AND r.variant_id IS ci.variant_id AND r.human_id IS NOT ? AND r.expires_at > datetime('now')
+        ), 0) END as available,
+        p.max_per_order as maxPerOrder,
+        p.availability,
+        p.release_date as releaseDate,
+        ci.stock_when_added
       FROM cart_items ci
       LEFT JOIN products p ON p.id = ci.product_id
+      LEFT JOIN product_variants v ON v.id = ci.variant_id
       LEFT JOIN songs s ON s.id = ci.song_id
       LEFT JOIN artists a ON s.artist_human_id = a.human_id
-      WHERE ci.human_id = ?
-    `, [req.session.humanId]) 
+      WHERE ci.${owner.column} = ?
+      ORDER BY ci.id
+    `, [req.session.humanId || null, owner.id]) 
 
-    res.json({ items: items})
+    // Flag lines whose stock has run short or dropped since they were added
+    res.json({
+      items: items.map(({ stock_when_added, ...item }) => ({
+        ...item,
+        stockWarning: stockWarning({ ...item, stock_when_added })
+      }))
+    })
   } finally {
     await db.close()
   }
 }  
 
 
+/**
+ * Set the quantity of a cart line
+ * Body: { quantity } - a positive whole number within stock and the
+ * product's per-order limit (use DELETE to remove the line)
+ */
+export async function updateQuantity(req, res) {
+  const itemId = parseInt(req.params.itemId, 10)
+  const quantity = Number(req.body.quantity)
+
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' })
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({ error: 'Quantity must be a positive whole number' })
+  }
+
+  const db = await getDBConnection()
+
+  try {
+    const owner = cartOwner(req)
+    const item = await db.get(
+      `SELECT id, product_id, song_id, variant_id, quantity FROM cart_items WHERE id = ? AND ${owner.column} = ?`,
+      [itemId, owner.id]
+    )
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+
+    const check = await checkCartQuantity(db, { productId: item.product_id, songId: item.song_id, variantId: item.variant_id }, quantity, req.session.humanId)
+
+    if (!check.success) {
+      return res.status(check.status).json({
+        error: check.error,
+        available: check.available,
+        maxPerOrder: check.maxPerOrder,
+        inCart: item.quantity
+      })
+    }
+
+    await db.run(
+      'UPDATE cart_items SET quantity = ?, stock_when_added = ? WHERE id = ?',
+      [quantity, check.stock, itemId]
+    )
+    await releaseReservations(db, req.session.humanId)
+
+    res.json({ message: 'Quantity updated', cartItemId: itemId, quantity })
+
+  } catch (err) {
+    console.error('Update cart quantity error:', err)
+    res.status(500).json({ error: 'Failed to update quantity' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Save for later: move a cart line to the wishlist, keeping its quantity.
+ * If the item is already on the wishlist that row takes the cart quantity.
+ */
+export async function saveForLater(req, res) {
+  const itemId = parseInt(req.params.itemId, 10)
+
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' })
+  }
+
+  const db = await getDBConnection()
+
+  try {
+    const humanId = req.session.humanId
+
+    const wishlistItemId = await withTransaction(db, async () => {
+      const item = await db.get(
+        'SELECT id, product_id, song_id, variant_id, quantity FROM cart_items WHERE id = ? AND human_id = ?',
+        [itemId, humanId]
+      )
+
+      if (!item) {
+        return null
+      }
+
+      const saved = await db.get(
+        'SELECT id FROM wishlist_items WHERE human_id = ? AND product_id IS ? AND song_id IS ? AND variant_id IS ?',
+        [humanId, item.product_id, item.song_id, item.variant_id]
+      )
+
+      let id
+      if (saved) {
+        await db.run(
+          'UPDATE wishlist_items SET quantity = ?, saved_from_cart = 1 WHERE id = ?',
+          [item.quantity, saved.id]
+        )
+        id = saved.id
+      } else {
+        const current = await wishlistSnapshot(db, {
+          productId: item.product_id,
+          songId: item.song_id,
+          variantId: item.variant_id
+        })
+        const result = await db.run(
+          `INSERT INTO wishlist_items (human_id, product_id, song_id, variant_id, quantity, saved_from_cart, price_when_added)
+           VALUES (?, ?, ?, ?, ?, 1, ?)`,
+          [humanId, item.product_id, item.song_id, item.variant_id, item.quantity, current ? current.price : null]
+        )
+        id = result.lastID
+      }
+
+      await db.run('DELETE FROM cart_items WHERE id = ?', [itemId])
+      await releaseReservations(db, humanId)
+      return id
+    })
+
+    if (!wishlistItemId) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+
+    res.json({ message: 'Saved for later', wishlistItemId })
+
+  } catch (err) {
+    console.error('Save for later error:', err)
+    res.status(500).json({ error: 'Failed to save item for later' })
+  } finally {
+    await db.close()
+  }
+}
+
 export async function deleteItem(req, res) {
 
     const db = await getDBConnection()
@@ -95,13 +292,15 @@ export async function deleteItem(req, res) {
         return res.status(400).json({error: 'Invalid item ID'})
       }
 
-      const item = await db.get('SELECT quantity FROM cart_items WHERE id = ? AND human_id = ?', [itemId, req.session.humanId])
+      const owner = cartOwner(req)
+      const item = await db.get(`SELECT quantity FROM cart_items WHERE id = ? AND ${owner.column} = ?`, [itemId, owner.id])
 
       if (!item) {
         return res.status(400).json({error: 'Item not found'})
       }
 
-      await db.run('DELETE FROM cart_items WHERE id = ? AND human_id = ?', [itemId, req.session.humanId])
+      await db.run(`DELETE FROM cart_items WHERE id = ? AND ${owner.column} = ?`, [itemId, owner.id])
+      await releaseReservations(db, req.session.humanId)
 
       res.status(204).send()
     } finally {
@@ -115,7 +314,9 @@ export async function deleteAll(req, res) {
   const db = await getDBConnection()
 
   try {
-    await db.run('DELETE FROM cart_items WHERE human_id = ?', [req.session.humanId])
+    const owner = cartOwner(req)
+    await db.run(`DELETE FROM cart_items WHERE ${owner.column} = ?`, [owner.id])
+    await releaseReservations(db, req.session.humanId)
     res.status(204).send()
   } finally {
     await db.close()
@@ -1,67 +1,141 @@
-import { getDBConnection } from '../db/db.js'
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  CANCELLABLE_STATUSES,
+  recordStatusChange,
+  transitionOrder
+} from '../services/orderService.js'
+import { collectPayment } from '../services/paymentService.js'
+import { calculateTax } from '../services/taxService.js'
+import { validateCoupon } from '../services/couponService.js'
+import { addLoyaltyPoints, applyLoyaltyPoints, getLoyaltyBalance, pointsForLines } from '../services/loyaltyService.js'
+import {
+  addStoreCredit,
+  allocateStoreCredit,
+  checkGiftCard,
+  getStoreCreditBalance,
+  redeemGiftCard,
+  storeCreditForTotal
+} from '../services/storeCreditService.js'
+import { resolveCheckoutAddresses } from '../services/addressService.js'
+import { quoteShipping, selectShippingMethod } from '../services/shippingService.js'
+import { getLatestInvoice, issueInvoice, loadInvoiceData, renderInvoice } from '../services/invoiceService.js'
+import { availableStock, getReservation, releaseReservations, reserveCart } from '../services/reservationService.js'
+import { getLineProduct, recordStockMovement, sellingMode } from '../services/inventoryService.js'
+import { planLineStock } from '../services/backorderService.js'
+import { checkVariantChoice } from '../services/variantService.js'
+import { notifyOrderPlaced } from '../services/notifications/index.js'
 
 /**
- * Generate unique order number (format: ORD-YYYYMMDD-XXXXX)
+ * Generate the next order number (format: ORD-YYYYMMDD-NNNNN)
+ * Numbers come from a per-day counter, so they never collide. Call inside
+ * the order's transaction so a rolled-back order doesn't use up a number.
  */
-function generateOrderNumber() {
-  const date = new Date()
-  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '')
-  const random = Math.floor(Math.random() * 99999).toString().padStart(5, '0')
-  return `ORD-${dateStr}-${random}`
+async function generateOrderNumber(db) {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '')
+
+  const { last_value: sequence } = await db.get(
+    `INSERT INTO order_number_sequences (sequence_date, last_value) VALUES (?, 1)
+     ON CONFLICT(sequence_date) DO UPDATE SET last_value = last_value + 1
+     RETURNING last_value`,
+    [dateStr]
+  )
+
+  return `ORD-${dateStr}-${sequence.toString().padStart(5, '0')}`
 }
 
 /**
- * Validate and calculate coupon discount
+ * Load the current cart as priceable lines.
+ * Product lines are priced from products.price (or their variant's price
+ * override), song lines from songs.individual_price. Songs, digital albums and
+ * digital formats of a release are flagged is_digital since they carry no
+ * stock; gift cards are digital and also is_gift_card.
  */
-async function validateCoupon(db, couponCode, subtotal, humanId) {
-  const coupon = await db.get(
-    `SELECT * FROM coupons 
-     WHERE code = ? 
-     AND is_active = 1 
-     AND (valid_from IS NULL OR valid_from <= datetime('now'))
-     AND (valid_until IS NULL OR valid_until >= datetime('now'))`,
-    [couponCode]
+async function getCartLines(db, humanId) {
+  return db.all(
+    `SELECT
+       ci.id AS cart_item_id,
+       ci.product_id,
+       ci.song_id,
+       ci.variant_id,
+       v.sku AS variant_sku,
+       v.label AS variant_label,
+       v.format,
+       ci.quantity,
+       COALESCE(v.price, p.price, s.individual_price) AS price,
+       COALESCE(p.title, s.title) AS title,
+       COALESCE(p.artist, sa.stage_name) AS artist,
+       COALESCE(
+         s.artist_human_id,
+         (SELECT human_id FROM artists WHERE LOWER(stage_name) = LOWER(p.artist) LIMIT 1)
+       ) AS artist_human_id,
+       CASE WHEN ci.product_id IS NOT NULL THEN 'product' ELSE 'song' END AS type,
+       p.type AS product_type,
+       COALESCE(p.genre, s.genre) AS genre,
+       COALESCE(v.weight_grams, p.weight_grams) AS weight_grams,
+       CASE WHEN ci.song_id IS NOT NULL THEN 1 ELSE COALESCE(v.is_digital, p.is_digital, 0) END AS is_digital,
+       COALESCE(p.is_gift_card, 0) AS is_gift_card
+     FROM cart_items ci
+     LEFT JOIN products p ON p.id = ci.product_id
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     LEFT JOIN songs s ON s.id = ci.song_id
+     LEFT JOIN artists sa ON sa.human_id = s.artist_human_id
+     WHERE ci.human_id = ?
+     ORDER BY ci.id`,
+    [humanId]
   )
+}
 
-  if (!coupon) {
-    return { valid: false, error: 'Invalid or expired coupon code' }
-  }
+/**
+ * Work out how much store credit the customer wants put towards the order.
+ * useStoreCredit is true (as much as possible), false, or the most to use;
+ * a giftCardCode adds that card's value to what is available and, unless
+ * useStoreCredit says otherwise, spends it. The card itself is only checked
+ * here - createOrder redeems it.
+ * Returns { giftCard, available, cap } or { error, reason }.
+ */
+async function resolveStoreCredit(db, humanId, { giftCardCode, useStoreCredit }) {
+  let giftCard = null
+
+  if (giftCardCode) {
+    const check = await checkGiftCard(db, giftCardCode)
 
-  // Check if minimum purchase amount is met
-  if (coupon.min_purchase_amount && subtotal < coupon.min_purchase_amount) {
-    return { 
-      valid: false, 
-      error: `Minimum purchase of $${coupon.min_purchase_amount.toFixed(2)} required` 
+    if (!check.valid) {
+      return { error: check.error, reason: check.reason }
     }
-  }
 
-  // Check usage limits
-  if (coupon.max_uses && coupon.times_used >= coupon.max_uses) {
-    return { valid: false, error: 'Coupon usage limit reached' }
+    giftCard = check.card
   }
 
-  // Calculate discount
-  let discountAmount = 0
-  if (coupon.discount_type === 'percentage') {
-    discountAmount = subtotal * (coupon.discount_value / 100)
-    
-    // Apply max discount cap if specified
-    if (coupon.max_discount_amount && discountAmount > coupon.max_discount_amount) {
-      discountAmount = coupon.max_discount_amount
+  let requested
+  if (useStoreCredit === undefined || useStoreCredit === null) {
+    requested = giftCard ? Infinity : 0
+  } else if (typeof useStoreCredit === 'boolean') {
+    requested = useStoreCredit ? Infinity : 0
+  } else {
+    requested = parseFloat(useStoreCredit)
+
+    if (isNaN(requested) || requested < 0) {
+      return { error: 'useStoreCredit must be true, false or an amount' }
     }
-  } else if (coupon.discount_type === 'fixed_amount') {
-    discountAmount = Math.min(coupon.discount_value, subtotal)
   }
 
-  return {
-    valid: true,
-    coupon: coupon,
-    discountAmount: Math.round(discountAmount * 100) / 100
-  }
+  const balance = Math.max(await getStoreCreditBalance(db, humanId), 0)
+  const available = Math.round((balance + (giftCard ? giftCard.amount : 0)) * 100) / 100
+
+  return { giftCard, available, cap: Math.min(requested, available) }
 }
 
 /**
  * Preview order with coupon (doesn't create order)
+ * Body: { couponCode, redeemPoints, giftCardCode, useStoreCredit, shippingAddressId, billingAddressId, shippingMethodId }
+ * Addresses default to the customer's primary ones; tax is worked out per
+ * line from the shipping (else billing) address. Carts with shipped items
+ * are quoted every available shipping method, cheapest selected by default.
+ * Loyalty points (redeemPoints: true for as many as the cart can use, or a
+ * number) come off after the coupon as a discount of their own. Store credit
+ * is applied after both (see STORE_CREDIT_TAX_MODE for whether before or
+ * after tax); amountDue is what is left to pay. Lines sold on backorder or
+ * pre-order say how much of them will wait for stock in awaitingStock.
  */
 export async function previewOrder(req, res) {
   const db = await getDBConnection()
@@ -69,14 +143,8 @@ export async function previewOrder(req, res) {
     const humanId = req.session.humanId
     const { couponCode } = req.body
 
-    // Get cart items
-    const cartItems = await db.all(
-      `SELECT ci.product_id, ci.quantity, p.price, p.title
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.human_id = ?`,
-      [humanId]
-    )
+    // Get cart items (products and songs)
+    const cartItems = await getCartLines(db, humanId)
 
     if (!cartItems || cartItems.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' })
@@ -86,17 +154,19 @@ export async function previewOrder(req, res) {
     const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
 
     let discountAmount = 0
+    let lineDiscounts = []
     let couponInfo = null
 
     // Validate coupon if provided
     if (couponCode) {
-      const validation = await validateCoupon(db, couponCode, subtotal, humanId)
+      const validation = await validateCoupon(db, couponCode, cartItems, humanId)
       
       if (!validation.valid) {
-        return res.status(400).json({ error: validation.error })
+        return res.status(400).json({ error: validation.error, reason: validation.reason })
       }
 
       discountAmount = validation.discountAmount
+      lineDiscounts = validation.lineDiscounts
       couponInfo = {
         code: validation.coupon.code,
         description: validation.coupon.description,
@@ -104,17 +174,70 @@ export async function previewOrder(req, res) {
       }
     }
 
-    const taxRate = 0.08 // 8% tax (can be made configurable)
-    const taxAmount = Math.round((subtotal - discountAmount) * taxRate * 100) / 100
-    const totalAmount = Math.round((subtotal - discountAmount + taxAmount) * 100) / 100
+    const credit = await resolveStoreCredit(db, humanId, req.body)
+
+    if (credit.error) {
+      return res.status(400).json({ error: credit.error, reason: credit.reason })
+    }
+
+    const addresses = await resolveCheckoutAddresses(db, humanId, req.body)
+
+    if (addresses.error) {
+      return res.status(400).json({ error: addresses.error })
+    }
+
+    const discountedLines = cartItems.map((item, index) => ({ ...item, discount_amount: lineDiscounts[index] || 0 }))
+    const loyaltyBalance = await getLoyaltyBalance(db, humanId)
+    const loyalty = applyLoyaltyPoints(discountedLines, loyaltyBalance, req.body.redeemPoints)
+
+    if (loyalty.error) {
+      return res.status(400).json({ error: loyalty.error })
+    }
+
+    // Tax follows the goods: taxed where they ship to, else where the customer is billed
+    const credited = allocateStoreCredit(loyalty.lines, credit.cap)
+    const tax = await calculateTax(db, credited.lines, addresses.shipping || addresses.billing)
+
+    // Missing address/method is reported rather than rejected so the page can still show the cart
+    const shippingQuote = await quoteShipping(db, cartItems, addresses.shipping)
+    const shipping = selectShippingMethod(shippingQuote, req.body.shippingMethodId)
+    const shippingAmount = shipping.method ? shipping.method.amount : 0
+
+    const totalAmount = Math.round((subtotal - discountAmount - loyalty.discount + tax.taxAmount + shippingAmount) * 100) / 100
+    const storeCreditAmount = storeCreditForTotal(credited.lines, credited.amount, credit.cap, {
+      taxAmount: tax.taxAmount,
+      shippingAmount
+    })
 
     res.json({
-      items: cartItems,
+      items: await withAwaitingStock(db, tax.lines, humanId),
       subtotal: Math.round(subtotal * 100) / 100,
       discount: discountAmount,
-      tax: taxAmount,
+      loyalty: {
+        balance: loyaltyBalance,
+        pointsRedeemed: loyalty.points,
+        discount: loyalty.discount,
+        pointsToEarn: pointsForLines(loyalty.lines)
+      },
+      tax: tax.taxAmount,
+      shipping: shippingAmount,
       total: totalAmount,
-      coupon: couponInfo
+      storeCredit: {
+        available: credit.available,
+        applied: storeCreditAmount,
+        giftCard: credit.giftCard ? { code: credit.giftCard.code, amount: credit.giftCard.amount } : null
+      },
+      amountDue: Math.round((totalAmount - storeCreditAmount) * 100) / 100,
+      reservation: await getReservation(db, humanId),
+      coupon: couponInfo,
+      shippingAddress: addresses.shipping,
+      billingAddress: addresses.billing,
+      shippingRequired: shippingQuote.required,
+      shippingOptions: shippingQuote.options,
+      shippingMethod: shipping.method || null,
+      shippingError: shippingQuote.required && !addresses.shipping
+        ? 'Add a shipping address to ship physical items'
+        : shipping.error || null
     })
 
   } catch (err) {
@@ -125,96 +248,450 @@ export async function previewOrder(req, res) {
   }
 }
 
+/**
+ * Note on each line whether any of it will wait for stock (backorders and
+ * pre-orders): awaitingStock is { quantity, reason, releaseDate, message }
+ * or null when it all ships from stock
+ */
+async function withAwaitingStock(db, lines, humanId) {
+  const described = []
+
+  for (const line of lines) {
+    const plan = line.is_digital ? null : await planLineStock(db, line, humanId)
+
+    described.push({
+      ...line,
+      awaitingStock: plan?.awaiting
+        ? { quantity: plan.awaiting, reason: plan.reason, releaseDate: plan.releaseDate, message: plan.message }
+        : null
+    })
+  }
+
+  return described
+}
+
+/**
+ * Start checkout: hold the cart's physical items for RESERVATION_MINUTES so
+ * nobody else can buy them before the order is placed. Calling again
+ * renews the hold. Changing the cart releases it.
+ * Returns { reservation, shortages } - shortages are lines that couldn't be
+ * held, reported like createOrder's stock errors (409 when there are any).
+ */
+export async function reserveCheckout(req, res) {
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const result = await withTransaction(db, async () => {
+      const cartItems = await getCartLines(db, humanId)
+
+      if (cartItems.length === 0) {
+        return { status: 400, body: { error: 'Cart is empty' } }
+      }
+
+      const { reservation, shortages } = await reserveCart(db, humanId, cartItems)
+
+      return shortages.length > 0
+        ? { status: 409, body: { error: 'Some items exceed available stock', reservation, items: shortages } }
+        : { status: 200, body: { reservation, items: [] } }
+    })
+
+    res.status(result.status).json(result.body)
+
+  } catch (err) {
+    console.error('Reserve checkout error:', err)
+    res.status(500).json({ error: 'Failed to reserve items' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Find cart lines asking for more units than the product (or their
+ * variant) has in stock, less what other customers are holding, or than
+ * the product allows in one order - and lines whose variant is no longer on
+ * sale or that are missing one. Backorder and pre-order products can sell
+ * past their stock.
+ */
+async function findStockShortages(db, cartItems, humanId) {
+  const shortages = []
+
+  for (const item of cartItems) {
+    if (!item.product_id) {
+      continue
+    }
+
+    const product = await getLineProduct(db, item.product_id, item.variant_id)
+    const choice = await checkVariantChoice(db, item.product_id, item.variant_id)
+
+    if (!choice.success) {
+      shortages.push({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        title: item.title,
+        requested: item.quantity,
+        available: 0,
+        error: item.variant_id ? 'No longer available' : choice.error
+      })
+      continue
+    }
+
+    if (product?.max_per_order && item.quantity > product.max_per_order) {
+      shortages.push({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        title: item.title,
+        requested: item.quantity,
+        maxPerOrder: product.max_per_order,
+        error: `Limit of ${product.max_per_order} per order`
+      })
+      continue
+    }
+
+    // Songs and digital albums are downloads and never run out
+    if (item.is_digital || (product && sellingMode(product) !== 'in_stock')) {
+      continue
+    }
+
+    const available = await availableStock(db, item.product_id, product?.stock, humanId, item.variant_id)
+
+    if (item.quantity > available) {
+      shortages.push({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        title: item.title,
+        requested: item.quantity,
+        available: available,
+        error: available > 0
+          ? `Only ${available} left in stock`
+          : 'Out of stock'
+      })
+    }
+  }
+
+  return shortages
+}
+
 /**
  * Create order from cart items
+ * Body: { couponCode, redeemPoints, giftCardCode, useStoreCredit, notes, paymentMethod, shippingAddressId, billingAddressId, shippingMethodId }
+ * Runs as a single transaction: the order, its items, coupon usage, points
+ * and store credit spent, gift card redemption, stock decrements and cart
+ * clearing are all written or none of them are. Points are earned once the
+ * order is paid.
+ * Whatever store credit doesn't cover is then taken through the configured
+ * payment provider (body.paymentMethod is passed through to it): captured
+ * -> paid, pending -> waits for the webhook, declined -> order cancelled
+ * (giving the credit back), cart restored and 402 returned.
+ * Backorder and pre-order lines are accepted past the stock; the units
+ * stock can't cover wait on the order (awaiting stock) and are listed in
+ * the response's awaitingStock.
+ * Send an Idempotency-Key header to make retries safe: a repeated key
+ * returns the original response instead of placing a second order. Until
+ * the payment outcome is known that's the order with status 'pending'.
  */
 export async function createOrder(req, res) {
   const db = await getDBConnection()
   try {
     const humanId = req.session.humanId
-    const { couponCode, notes } = req.body
-
-    // Get cart items with product details
-    const cartItems = await db.all(
-      `SELECT ci.product_id, ci.quantity, p.price, p.title
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.human_id = ?`,
-      [humanId]
-    )
+    const { couponCode, notes, paymentMethod } = req.body
+    const idempotencyKey = req.get('Idempotency-Key')
 
-    if (!cartItems || cartItems.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' })
+    if (idempotencyKey !== undefined && (!idempotencyKey.trim() || idempotencyKey.length > 255)) {
+      return res.status(400).json({ error: 'Idempotency-Key must be 1-255 characters' })
     }
 
-    // Calculate subtotal
-    const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+    const result = await withTransaction(db, async () => {
+      // A retry of a request we've already seen gets the original answer back
+      if (idempotencyKey) {
+        const previous = await db.get(
+          'SELECT * FROM idempotency_keys WHERE human_id = ? AND idempotency_key = ?',
+          [humanId, idempotencyKey]
+        )
+
+        if (previous) {
+          return { status: previous.response_status, body: JSON.parse(previous.response_body), replayed: true }
+        }
+      }
 
-    let discountAmount = 0
-    let couponId = null
+      // Get cart items (products and songs)
+      const cartItems = await getCartLines(db, humanId)
 
-    // Validate and apply coupon
-    if (couponCode) {
-      const validation = await validateCoupon(db, couponCode, subtotal, humanId)
-      
-      if (!validation.valid) {
-        return res.status(400).json({ error: validation.error })
+      if (!cartItems || cartItems.length === 0) {
+        return { status: 400, body: { error: 'Cart is empty' } }
       }
 
-      discountAmount = validation.discountAmount
-      couponId = validation.coupon.id
-    }
+      // Reject the whole order if any line exceeds available stock or its per-order limit
+      const shortages = await findStockShortages(db, cartItems, humanId)
+
+      if (shortages.length > 0) {
+        return {
+          status: 409,
+          body: { error: 'Some items exceed available stock or purchase limits', items: shortages }
+        }
+      }
 
-    const taxRate = 0.08 // 8% tax
-    const taxAmount = Math.round((subtotal - discountAmount) * taxRate * 100) / 100
-    const totalAmount = Math.round((subtotal - discountAmount + taxAmount) * 100) / 100
+      // Calculate subtotal
+      const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
 
-    // Generate unique order number
-    const orderNumber = generateOrderNumber()
+      let discountAmount = 0
+      let lineDiscounts = []
+      let couponId = null
 
-    // Create order
-    const orderResult = await db.run(
-      `INSERT INTO orders (human_id, order_number, status, subtotal, discount_amount, tax_amount, total_amount, notes)
-       VALUES (?, ?, 'pending', ?, ?, ?, ?, ?)`,
-      [humanId, orderNumber, subtotal, discountAmount, taxAmount, totalAmount, notes || null]
-    )
+      // Validate and apply coupon
+      if (couponCode) {
+        const validation = await validateCoupon(db, couponCode, cartItems, humanId)
+
+        if (!validation.valid) {
+          return { status: 400, body: { error: validation.error, reason: validation.reason } }
+        }
+
+        discountAmount = validation.discountAmount
+        lineDiscounts = validation.lineDiscounts
+        couponId = validation.coupon.id
+      }
+
+      const credit = await resolveStoreCredit(db, humanId, req.body)
+
+      if (credit.error) {
+        return { status: 400, body: { error: credit.error, reason: credit.reason } }
+      }
+
+      const addresses = await resolveCheckoutAddresses(db, humanId, req.body)
+
+      if (addresses.error) {
+        return { status: 400, body: { error: addresses.error } }
+      }
 
-    const orderId = orderResult.lastID
+      const discountedLines = cartItems.map((item, index) => ({ ...item, discount_amount: lineDiscounts[index] || 0 }))
+      const loyalty = applyLoyaltyPoints(discountedLines, await getLoyaltyBalance(db, humanId), req.body.redeemPoints)
 
-    // Create order items from cart
-    for (const item of cartItems) {
-      const lineTotal = item.price * item.quantity
-      await db.run(
-        `INSERT INTO order_items (order_id, product_id, quantity, unit_price, line_total)
-         VALUES (?, ?, ?, ?, ?)`,
-        [orderId, item.product_id, item.quantity, item.price, lineTotal]
+      if (loyalty.error) {
+        return { status: 400, body: { error: loyalty.error } }
+      }
+
+      const credited = allocateStoreCredit(loyalty.lines, credit.cap)
+      const tax = await calculateTax(db, credited.lines, addresses.shipping || addresses.billing)
+      const taxAmount = tax.taxAmount
+
+      const shippingQuote = await quoteShipping(db, cartItems, addresses.shipping)
+
+      if (shippingQuote.required && !addresses.shipping) {
+        return { status: 400, body: { error: 'A shipping address is required for physical items' } }
+      }
+
+      const shipping = selectShippingMethod(shippingQuote, req.body.shippingMethodId)
+
+      if (shipping.error) {
+        return { status: 400, body: { error: shipping.error } }
+      }
+
+      const shippingAmount = shipping.method ? shipping.method.amount : 0
+      const totalAmount = Math.round((subtotal - discountAmount - loyalty.discount + taxAmount + shippingAmount) * 100) / 100
+      const storeCreditAmount = storeCreditForTotal(credited.lines, credited.amount, credit.cap, { taxAmount, shippingAmount })
+
+      // Generate unique order number
+      const orderNumber = await generateOrderNumber(db)
+
+      // Create order; discount_amount covers the coupon and the points
+      const orderResult = await db.run(
+        `INSERT INTO orders (human_id, order_number, status, subtotal, discount_amount, loyalty_points_redeemed,
+           loyalty_discount, tax_amount, shipping_method_id, shipping_method_name, shipping_amount, total_amount,
+           store_credit_amount, notes)
+         VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          humanId,
+          orderNumber,
+          subtotal,
+          Math.round((discountAmount + loyalty.discount) * 100) / 100,
+          loyalty.points,
+          loyalty.discount,
+          taxAmount,
+          shipping.method ? shipping.method.id : null,
+          shipping.method ? shipping.method.name : null,
+          shippingAmount,
+          totalAmount,
+          storeCreditAmount,
+          notes || null
+        ]
       )
+
+      const orderId = orderResult.lastID
+
+      // Copy the addresses onto the order so later address book edits don't change it
+      for (const [prefix, address] of Object.entries(addresses)) {
+        if (address) {
+          await snapshotAddress(db, orderId, prefix, address)
+        }
+      }
+
+      await recordStatusChange(db, orderId, null, 'pending', humanId, 'Order placed')
+
+      // Create order items from cart and take them out of stock; backordered
+      // and pre-ordered units wait on the line until stock is released to them
+      const awaitingStock = []
+      for (const item of tax.lines) {
+        const lineTotal = item.price * item.quantity
+        const plan = item.is_digital ? null : await planLineStock(db, item, humanId)
+
+        const orderItem = await db.run(
+          `INSERT INTO order_items (order_id, product_id, song_id, variant_id, variant_sku, variant_label, quantity,
+             unit_price, line_total, artist_human_id, discount_amount, tax_rate, tax_amount, awaiting_stock_quantity,
+             awaiting_stock_reason)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            orderId,
+            item.product_id,
+            item.song_id,
+            item.variant_id,
+            item.variant_sku,
+            item.variant_label,
+            item.quantity,
+            item.price,
+            lineTotal,
+            item.artist_human_id,
+            item.discount_amount,
+            item.tax_rate,
+            item.tax_amount,
+            plan ? plan.awaiting : 0,
+            plan ? plan.reason : null
+          ]
+        )
+
+        if (plan) {
+          await recordStockMovement(db, { productId: item.product_id, variantId: item.variant_id }, -plan.fromStock, 'sale', { orderId })
+        }
+
+        if (plan?.awaiting) {
+          awaitingStock.push({
+            orderItemId: orderItem.lastID,
+            productId: item.product_id,
+            variantId: item.variant_id,
+            title: item.title,
+            variantLabel: item.variant_label,
+            quantity: plan.awaiting,
+            reason: plan.reason,
+            releaseDate: plan.releaseDate,
+            message: plan.message
+          })
+        }
+      }
+
+      // Apply coupon to order
+      if (couponId) {
+        await db.run(
+          `INSERT INTO order_coupons (order_id, coupon_id, discount_applied)
+           VALUES (?, ?, ?)`,
+          [orderId, couponId, discountAmount]
+        )
+
+        // Increment coupon usage
+        await db.run(
+          `UPDATE coupons SET times_used = times_used + 1 WHERE id = ?`,
+          [couponId]
+        )
+      }
+
+      // The gift card goes into their store credit whether or not all of it is spent here
+      if (credit.giftCard) {
+        const redemption = await redeemGiftCard(db, humanId, credit.giftCard.code)
+
+        if (!redemption.success) {
+          throw new Error(`Gift card ${credit.giftCard.code} could not be redeemed: ${redemption.error}`)
+        }
+      }
+
+      if (loyalty.points > 0) {
+        await addLoyaltyPoints(db, humanId, -loyalty.points, 'order_redeemed', { orderId })
+      }
+
+      if (storeCreditAmount > 0) {
+        await addStoreCredit(db, humanId, -storeCreditAmount, 'order_payment', { orderId })
+      }
+
+      // Clear cart; the stock has come off, so the checkout hold is done with
+      await db.run('DELETE FROM cart_items WHERE human_id = ?', [humanId])
+      await releaseReservations(db, humanId)
+
+      const body = {
+        message: 'Order created successfully',
+        orderId: orderId,
+        orderNumber: orderNumber,
+        total: totalAmount,
+        loyaltyPointsRedeemed: loyalty.points,
+        storeCredit: storeCreditAmount,
+        amountDue: Math.round((totalAmount - storeCreditAmount) * 100) / 100,
+        awaitingStock
+      }
+
+      // Claim the key with the order, answering as pending payment until the
+      // payment outcome replaces it - so a crash mid-payment still replays
+      if (idempotencyKey) {
+        await db.run(
+          `INSERT INTO idempotency_keys (human_id, idempotency_key, order_id, response_status, response_body)
+           VALUES (?, ?, ?, ?, ?)`,
+          [humanId, idempotencyKey, orderId, 201, JSON.stringify({ ...body, status: 'pending' })]
+        )
+      }
+
+      return { status: 201, body }
+    })
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true')
     }
 
-    // Apply coupon to order
-    if (couponId) {
-      await db.run(
-        `INSERT INTO order_coupons (order_id, coupon_id, discount_applied)
-         VALUES (?, ?, ?)`,
-        [orderId, couponId, discountAmount]
-      )
+    if (result.status !== 201 || result.replayed) {
+      return res.status(result.status).json(result.body)
+    }
+
+    // Take payment once the order and its stock are committed; the provider
+    // may be slow and we don't want to hold the write lock while we wait
+    const { orderId, orderNumber, amountDue } = result.body
+    let payment = { status: 'captured' } // Nothing to charge on a free or credit-paid order
+
+    if (amountDue > 0) {
+      payment = await collectPayment(db, { orderId, orderNumber, amount: amountDue, paymentMethod })
+        .catch(err => {
+          console.error('Payment error:', err)
+          return { status: 'declined', message: 'Payment could not be processed' }
+        })
+    }
 
-      // Increment coupon usage
-      await db.run(
-        `UPDATE coupons SET times_used = times_used + 1 WHERE id = ?`,
-        [couponId]
+    if (payment.status === 'declined') {
+      // Cancelling gives back stock, coupon usage, points and store credit; put the cart back so they can retry
+      await withTransaction(db, async () => {
+        await transitionOrder(db, orderId, 'cancelled', {
+          changedBy: humanId,
+          note: `Payment declined: ${payment.message}`,
+          notify: false // They're told right here in the response
+        })
+        await restoreCart(db, humanId, orderId)
+      })
+
+      const body = { error: `Payment declined: ${payment.message}`, orderId, orderNumber }
+      await saveIdempotentResponse(db, humanId, idempotencyKey, 402, body)
+      return res.status(402).json(body)
+    }
+
+    if (payment.status === 'captured') {
+      await withTransaction(db, () =>
+        transitionOrder(db, orderId, 'paid', {
+          note: amountDue > 0 ? 'Payment captured' : 'No payment due',
+          notify: false // Covered by the order placed email
+        })
       )
     }
 
-    // Clear cart
-    await db.run('DELETE FROM cart_items WHERE human_id = ?', [humanId])
+    notifyOrderPlaced(orderId)
 
-    res.status(201).json({
-      message: 'Order created successfully',
-      orderId: orderId,
-      orderNumber: orderNumber,
-      total: totalAmount
-    })
+    // 'pending' payments stay pending until the provider's webhook confirms them
+    const body = {
+      ...result.body,
+      status: payment.status === 'captured' ? 'paid' : 'pending'
+    }
+    await saveIdempotentResponse(db, humanId, idempotencyKey, 201, body)
+    res.status(201).json(body)
 
   } catch (err) {
     console.error('Create order error:', err)
@@ -224,6 +701,54 @@ export async function createOrder(req, res) {
   }
 }
 
+/**
+ * Remember the response for an Idempotency-Key so retries can replay it
+ */
+async function saveIdempotentResponse(db, humanId, idempotencyKey, status, body) {
+  if (!idempotencyKey) {
+    return
+  }
+
+  await db.run(
+    `UPDATE idempotency_keys SET response_status = ?, response_body = ?
+     WHERE human_id = ? AND idempotency_key = ?`,
+    [status, JSON.stringify(body), humanId, idempotencyKey]
+  )
+}
+
+/**
+ * Copy an address onto an order's shipping_* or billing_* columns
+ */
+async function snapshotAddress(db, orderId, prefix, address) {
+  await db.run(
+    `UPDATE orders
+     SET ${prefix}_address_id = ?, ${prefix}_street_line1 = ?, ${prefix}_street_line2 = ?, ${prefix}_city = ?,
+         ${prefix}_state_province = ?, ${prefix}_postal_code = ?, ${prefix}_country = ?
+     WHERE id = ?`,
+    [
+      address.id,
+      address.street_line1,
+      address.street_line2,
+      address.city,
+      address.state_province,
+      address.postal_code,
+      address.country,
+      orderId
+    ]
+  )
+}
+
+/**
+ * Put an order's lines back into the customer's cart (after a declined payment)
+ */
+async function restoreCart(db, humanId, orderId) {
+  await db.run(
+    `INSERT INTO cart_items (human_id, product_id, song_id, variant_id, quantity)
+     SELECT ?, product_id, song_id, variant_id, quantity FROM order_items WHERE order_id = ?`,
+    [humanId, orderId]
+  )
+}
+
 /**
  * Get order details
  */
@@ -249,9 +774,18 @@ export async function getOrder(req, res) {
 
     // Get order items
     const items = await db.all(
-      `SELECT oi.*, p.title, p.artist, p.image
+      `SELECT
+         oi.*,
+         COALESCE(p.title, s.title) AS title,
+         COALESCE(p.artist, a.stage_name) AS artist,
+         p.release_date,
+         COALESCE(v.image, p.image, s.image_path) AS image,
+         CASE WHEN oi.product_id IS NOT NULL THEN 'product' ELSE 'song' END AS type
        FROM order_items oi
-       JOIN products p ON oi.product_id = p.id
+       LEFT JOIN products p ON oi.product_id = p.id
+       LEFT JOIN product_variants v ON oi.variant_id = v.id
+       LEFT JOIN songs s ON oi.song_id = s.id
+       LEFT JOIN artists a ON s.artist_human_id = a.human_id
        WHERE oi.order_id = ?`,
       [orderId]
     )
@@ -265,10 +799,20 @@ export async function getOrder(req, res) {
       [orderId]
     )
 
+    // Get status history
+    const history = await db.all(
+      `SELECT from_status, to_status, note, created_at
+       FROM order_status_history
+       WHERE order_id = ?
+       ORDER BY created_at, id`,
+      [orderId]
+    )
+
     res.json({
       order: order,
       items: items,
-      coupons: coupons
+      coupons: coupons,
+      history: history
     })
 
   } catch (err) {
@@ -279,6 +823,104 @@ export async function getOrder(req, res) {
   }
 }
 
+/**
+ * Download the invoice for one of the current user's orders as a PDF
+ * The first download issues the invoice; later ones get the latest version
+ */
+export async function downloadInvoice(req, res) {
+  const db = await getDBConnection()
+  try {
+    const orderId = parseInt(req.params.orderId, 10)
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    const order = await db.get(
+      'SELECT id FROM orders WHERE id = ? AND human_id = ?',
+      [orderId, req.session.humanId]
+    )
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    const invoice = await withTransaction(db, async () =>
+      (await getLatestInvoice(db, orderId)) || issueInvoice(db, orderId)
+    )
+    const data = await loadInvoiceData(db, orderId)
+
+    res.type('application/pdf')
+    res.attachment(`${invoice.invoice_number}.pdf`)
+    renderInvoice(data, invoice).pipe(res)
+
+  } catch (err) {
+    console.error('Invoice error:', err)
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate invoice' })
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Cancel one of the current user's orders while it is still pending/processing
+ * Stock, coupon usage, points and store credit are given back by the status transition
+ */
+export async function cancelOrder(req, res) {
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+    const orderId = parseInt(req.params.orderId, 10)
+    const reason = req.body?.reason
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' })
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'Reason must be text' })
+    }
+
+    const result = await withTransaction(db, async () => {
+      const order = await db.get(
+        'SELECT id, status FROM orders WHERE id = ? AND human_id = ?',
+        [orderId, humanId]
+      )
+
+      if (!order) {
+        return { success: false, status: 404, error: 'Order not found' }
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(order.status)) {
+        return {
+          success: false,
+          status: 409,
+          error: `Orders that are ${order.status} can no longer be cancelled`
+        }
+      }
+
+      return transitionOrder(db, orderId, 'cancelled', {
+        changedBy: humanId,
+        note: reason?.trim() ? `Cancelled by customer: ${reason.trim()}` : 'Cancelled by customer'
+      })
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.json({ message: 'Order cancelled', orderId, status: 'cancelled' })
+
+  } catch (err) {
+    console.error('Cancel order error:', err)
+    res.status(500).json({ error: 'Failed to cancel order' })
+  } finally {
+    await db.close()
+  }
+}
+
 /**
  * Get all orders for current user
  */
@@ -288,7 +930,7 @@ export async function getUserOrders(req, res) {
     const humanId = req.session.humanId
 
     const orders = await db.all(
-      `SELECT id, order_number, status, total_amount, created_at
+      `SELECT id, order_number, status, total_amount, store_credit_amount, refunded_amount, created_at
        FROM orders
        WHERE human_id = ?
        ORDER BY created_at DESC`,
@@ -307,6 +949,9 @@ export async function getUserOrders(req, res) {
 
 /**
  * Validate coupon code (without creating order)
+ * Rejections carry the reason as a short code alongside the message:
+ * invalid, usage_limit_reached, not_allowed, first_order_only,
+ * new_customers_only, customer_limit_reached, no_eligible_items, min_purchase
  */
 export async function validateCouponCode(req, res) {
   const db = await getDBConnection()
@@ -318,25 +963,18 @@ export async function validateCouponCode(req, res) {
       return res.status(400).json({ error: 'Coupon code required' })
     }
 
-    // Get cart subtotal
-    const result = await db.get(
-      `SELECT SUM(ci.quantity * p.price) AS subtotal
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.human_id = ?`,
-      [humanId]
-    )
-
-    const subtotal = result?.subtotal || 0
+    // Get cart subtotal (products and songs)
+    const cartItems = await getCartLines(db, humanId)
+    const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
 
     if (subtotal === 0) {
       return res.status(400).json({ error: 'Cart is empty' })
     }
 
-    const validation = await validateCoupon(db, couponCode, subtotal, humanId)
+    const validation = await validateCoupon(db, couponCode, cartItems, humanId)
 
     if (!validation.valid) {
-      return res.status(400).json({ error: validation.error })
+      return res.status(400).json({ error: validation.error, reason: validation.reason })
     }
 
     res.json({
@@ -0,0 +1,756 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  COUPON_USAGE_COLUMNS,
+  DISCOUNT_TYPES,
+  SCOPE_TYPES,
+  getCouponWithUsage,
+  loadCouponRules
+} from '../services/couponService.js'
+
+/**
+ * Turn a date string from the request into SQLite's datetime format so it
+ * compares with datetime('now'). Returns undefined for an unparseable date.
+ */
+function toSqlDatetime(value) {
+  const time = Date.parse(value)
+  return isNaN(time) ? undefined : new Date(time).toISOString().replace('T', ' ').slice(0, 19)
+}
+
+/**
+ * Validate and normalise a coupon body.
+ * partial: only check the fields that were sent (for updates)
+ * Checks each field on its own; rules that depend on the discount type are
+ * checked on the whole coupon by checkCouponRules.
+ * Returns { values, allowedCustomerIds, scopes, tiers } or { error }. The
+ * lists are undefined when not sent.
+ */
+function parseCoupon(body, partial = false) {
+  const values = {}
+
+  if (body.code !== undefined || !partial) {
+    if (typeof body.code !== 'string' || !/^[A-Za-z0-9_-]{3,40}$/.test(body.code.trim())) {
+      return { error: 'Code must be 3–40 characters, using letters, numbers, _ or -' }
+    }
+    values.code = body.code.trim().toUpperCase()
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'Description must be text' }
+    }
+    values.description = body.description ? body.description.trim() : null
+  }
+
+  if (body.discountType !== undefined || !partial) {
+    if (!DISCOUNT_TYPES.includes(body.discountType)) {
+      return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` }
+    }
+    values.discount_type = body.discountType
+  }
+
+  if (body.discountValue !== undefined) {
+    const discountValue = parseFloat(body.discountValue)
+    if (isNaN(discountValue) || discountValue <= 0) {
+      return { error: 'Discount value must be greater than 0' }
+    }
+    values.discount_value = discountValue
+  }
+
+  for (const [field, column] of [['minPurchaseAmount', 'min_purchase_amount'], ['maxDiscountAmount', 'max_discount_amount']]) {
+    if (body[field] !== undefined) {
+      const amount = body[field] === null ? null : parseFloat(body[field])
+      if (amount !== null && (isNaN(amount) || amount < 0)) {
+        return { error: `${field} must be a positive amount` }
+      }
+      values[column] = amount
+    }
+  }
+
+  for (const [field, column] of [
+    ['maxUses', 'max_uses'],
+    ['maxUsesPerCustomer', 'max_uses_per_customer'],
+    ['buyQuantity', 'buy_quantity'],
+    ['getQuantity', 'get_quantity']
+  ]) {
+    if (body[field] !== undefined) {
+      const count = body[field] === null ? null : parseInt(body[field], 10)
+      if (count !== null && (isNaN(count) || count < 1)) {
+        return { error: `${field} must be at least 1` }
+      }
+      values[column] = count
+    }
+  }
+
+  if (body.firstOrderOnly !== undefined) {
+    values.first_order_only = body.firstOrderOnly ? 1 : 0
+  }
+
+  for (const [field, column] of [['validFrom', 'valid_from'], ['validUntil', 'valid_until'], ['newCustomersSince', 'new_customers_since']]) {
+    if (body[field] !== undefined) {
+      const datetime = body[field] === null ? null : toSqlDatetime(body[field])
+      if (datetime === undefined) {
+        return { error: `${field} must be a valid date` }
+      }
+      values[column] = datetime
+    }
+  }
+
+  if (body.isActive !== undefined) {
+    values.is_active = body.isActive ? 1 : 0
+  }
+
+  // Allow-list of customers; kept apart from the coupon columns
+  let allowedCustomerIds
+  if (body.allowedCustomerIds !== undefined) {
+    const ids = body.allowedCustomerIds === null ? [] : body.allowedCustomerIds
+
+    if (!Array.isArray(ids) || ids.some(id => isNaN(parseInt(id, 10)))) {
+      return { error: 'allowedCustomerIds must be an array of customer IDs' }
+    }
+    allowedCustomerIds = [...new Set(ids.map(id => parseInt(id, 10)))]
+  }
+
+  // Scopes: [{ type, value }] - products and artists by id
+  let scopes
+  if (body.scopes !== undefined) {
+    const list = body.scopes === null ? [] : body.scopes
+
+    if (!Array.isArray(list)) {
+      return { error: 'scopes must be an array of { type, value }' }
+    }
+
+    scopes = []
+    for (const scope of list) {
+      if (!scope || !SCOPE_TYPES.includes(scope.type)) {
+        return { error: `Scope type must be one of: ${SCOPE_TYPES.join(', ')}` }
+      }
+
+      const value = String(scope.value ?? '').trim()
+      if (!value || (['product', 'artist'].includes(scope.type) && !/^\d+$/.test(value))) {
+        return { error: `Invalid value for ${scope.type} scope` }
+      }
+
+      if (!scopes.some(existing => existing.scope_type === scope.type && existing.scope_value === value)) {
+        scopes.push({ scope_type: scope.type, scope_value: value })
+      }
+    }
+  }
+
+  // Tiers: [{ minQuantity, discountValue }] for tiered coupons
+  let tiers
+  if (body.tiers !== undefined) {
+    const list = body.tiers === null ? [] : body.tiers
+
+    if (!Array.isArray(list)) {
+      return { error: 'tiers must be an array of { minQuantity, discountValue }' }
+    }
+
+    tiers = []
+    for (const tier of list) {
+      const minQuantity = parseInt(tier?.minQuantity, 10)
+      const discountValue = parseFloat(tier?.discountValue)
+
+      if (isNaN(minQuantity) || minQuantity < 1) {
+        return { error: 'Tier minQuantity must be at least 1' }
+      }
+
+      if (isNaN(discountValue) || discountValue <= 0 || discountValue > 100) {
+        return { error: 'Tier discountValue must be a percentage between 0 and 100' }
+      }
+
+      if (tiers.some(existing => existing.min_quantity === minQuantity)) {
+        return { error: `More than one tier has minQuantity ${minQuantity}` }
+      }
+
+      tiers.push({ min_quantity: minQuantity, discount_value: discountValue })
+    }
+
+    tiers.sort((a, b) => a.min_quantity - b.min_quantity)
+  }
+
+  return { values, allowedCustomerIds, scopes, tiers }
+}
+
+/**
+ * Check the rules that depend on more than one field, on the coupon as it
+ * will be saved. Returns an error message or null.
+ */
+function checkCouponRules(coupon, tiers) {
+  if (coupon.valid_from && coupon.valid_until && coupon.valid_until <= coupon.valid_from) {
+    return 'validUntil must be after validFrom'
+  }
+
+  if (coupon.discount_type === 'fixed_amount' && !(coupon.discount_value > 0)) {
+    return 'Discount value must be greater than 0'
+  }
+
+  if (['percentage', 'buy_x_get_y'].includes(coupon.discount_type) &&
+      !(coupon.discount_value > 0 && coupon.discount_value <= 100)) {
+    return 'A percentage discount must be between 0 and 100'
+  }
+
+  if (coupon.discount_type === 'buy_x_get_y' && (!coupon.buy_quantity || !coupon.get_quantity)) {
+    return 'Buy X get Y coupons need buyQuantity and getQuantity'
+  }
+
+  if (coupon.discount_type === 'tiered' && tiers.length === 0) {
+    return 'Tiered coupons need at least one tier'
+  }
+
+  return null
+}
+
+/**
+ * Check every id on an allow-list is a customer.
+ * Returns the ids that aren't.
+ */
+async function findUnknownCustomers(db, humanIds) {
+  const unknown = []
+
+  for (const humanId of humanIds) {
+    const customer = await db.get('SELECT human_id FROM customers WHERE human_id = ?', [humanId])
+    if (!customer) {
+      unknown.push(humanId)
+    }
+  }
+
+  return unknown
+}
+
+/**
+ * Replace a coupon's allow-list. An empty list opens it to everyone.
+ */
+async function setAllowedCustomers(db, couponId, humanIds) {
+  await db.run('DELETE FROM coupon_customers WHERE coupon_id = ?', [couponId])
+
+  for (const humanId of humanIds) {
+    await db.run('INSERT INTO coupon_customers (coupon_id, human_id) VALUES (?, ?)', [couponId, humanId])
+  }
+}
+
+/**
+ * Replace a coupon's scopes. No scopes means it covers the whole cart.
+ */
+async function setCouponScopes(db, couponId, scopes) {
+  await db.run('DELETE FROM coupon_scopes WHERE coupon_id = ?', [couponId])
+
+  for (const scope of scopes) {
+    await db.run(
+      'INSERT INTO coupon_scopes (coupon_id, scope_type, scope_value) VALUES (?, ?, ?)',
+      [couponId, scope.scope_type, scope.scope_value]
+    )
+  }
+}
+
+/**
+ * Replace a coupon's quantity tiers
+ */
+async function setCouponTiers(db, couponId, tiers) {
+  await db.run('DELETE FROM coupon_tiers WHERE coupon_id = ?', [couponId])
+
+  for (const tier of tiers) {
+    await db.run(
+      'INSERT INTO coupon_tiers (coupon_id, min_quantity, discount_value) VALUES (?, ?, ?)',
+      [couponId, tier.min_quantity, tier.discount_value]
+    )
+  }
+}
+
+/**
+ * Insert a coupon (with its allow-list, scopes and tiers) for a creator.
+ * Buy X get Y coupons default to making the Y items free. Call inside a
+ * transaction. Returns { status, body }.
+ */
+async function insertCoupon(db, { values, allowedCustomerIds = [], scopes = [], tiers = [] }, creatorType, creatorId) {
+  const coupon = {
+    // Tiered coupons take their percentages from the tiers
+    discount_value: { buy_x_get_y: 100, tiered: 0 }[values.discount_type],
+    ...values
+  }
+
+  const ruleError = checkCouponRules(coupon, tiers)
+
+  if (ruleError) {
+    return { status: 400, body: { error: ruleError } }
+  }
+
+  const existing = await db.get('SELECT id FROM coupons WHERE UPPER(code) = UPPER(?)', [coupon.code])
+
+  if (existing) {
+    return { status: 409, body: { error: 'A coupon with this code already exists' } }
+  }
+
+  const unknown = await findUnknownCustomers(db, allowedCustomerIds)
+
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: 'Some allowed customers were not found', customerIds: unknown } }
+  }
+
+  const result = await db.run(
+    `INSERT INTO coupons (code, description, discount_type, discount_value, min_purchase_amount,
+       max_discount_amount, creator_type, creator_id, valid_from, valid_until, max_uses,
+       max_uses_per_customer, first_order_only, new_customers_since, buy_quantity, get_quantity, is_active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      coupon.code,
+      coupon.description ?? null,
+      coupon.discount_type,
+      coupon.discount_value,
+      coupon.min_purchase_amount ?? 0,
+      coupon.max_discount_amount ?? null,
+      creatorType,
+      creatorId,
+      coupon.valid_from ?? null,
+      coupon.valid_until ?? null,
+      coupon.max_uses ?? null,
+      coupon.max_uses_per_customer ?? null,
+      coupon.first_order_only ?? 0,
+      coupon.new_customers_since ?? null,
+      coupon.buy_quantity ?? null,
+      coupon.get_quantity ?? null,
+      coupon.is_active ?? 1
+    ]
+  )
+
+  await setAllowedCustomers(db, result.lastID, allowedCustomerIds)
+  await setCouponScopes(db, result.lastID, scopes)
+  await setCouponTiers(db, result.lastID, tiers)
+
+  return {
+    status: 201,
+    body: { message: 'Coupon created', coupon: await getCouponWithUsage(db, result.lastID) }
+  }
+}
+
+/**
+ * Apply a partial update to an existing coupon. The merged coupon is
+ * re-checked so e.g. switching to a percentage can't leave a value over 100.
+ * Sending allowedCustomerIds, scopes or tiers replaces that list. Call
+ * inside a transaction. Returns { status, body }.
+ */
+async function changeCoupon(db, coupon, body) {
+  const parsed = parseCoupon(body, true)
+
+  if (parsed.error) {
+    return { status: 400, body: { error: parsed.error } }
+  }
+
+  const columns = Object.keys(parsed.values)
+  const lists = ['allowedCustomerIds', 'scopes', 'tiers'].filter(list => parsed[list] !== undefined)
+
+  if (columns.length === 0 && lists.length === 0) {
+    return { status: 400, body: { error: 'No fields to update' } }
+  }
+
+  const merged = { ...coupon, ...parsed.values }
+  const tiers = parsed.tiers ?? (await loadCouponRules(db, { id: coupon.id })).tiers
+  const ruleError = checkCouponRules(merged, tiers)
+
+  if (ruleError) {
+    return { status: 400, body: { error: ruleError } }
+  }
+
+  if (parsed.values.code && parsed.values.code !== coupon.code) {
+    const existing = await db.get(
+      'SELECT id FROM coupons WHERE UPPER(code) = UPPER(?) AND id != ?',
+      [parsed.values.code, coupon.id]
+    )
+
+    if (existing) {
+      return { status: 409, body: { error: 'A coupon with this code already exists' } }
+    }
+  }
+
+  if (parsed.allowedCustomerIds !== undefined) {
+    const unknown = await findUnknownCustomers(db, parsed.allowedCustomerIds)
+
+    if (unknown.length > 0) {
+      return { status: 400, body: { error: 'Some allowed customers were not found', customerIds: unknown } }
+    }
+
+    await setAllowedCustomers(db, coupon.id, parsed.allowedCustomerIds)
+  }
+
+  if (parsed.scopes !== undefined) {
+    await setCouponScopes(db, coupon.id, parsed.scopes)
+  }
+
+  if (parsed.tiers !== undefined) {
+    await setCouponTiers(db, coupon.id, parsed.tiers)
+  }
+
+  if (columns.length > 0) {
+    await db.run(
+      `UPDATE coupons SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(parsed.values), coupon.id]
+    )
+  }
+
+  return {
+    status: 200,
+    body: { message: 'Coupon updated', coupon: await getCouponWithUsage(db, coupon.id) }
+  }
+}
+
+/**
+ * Remove a coupon. Coupons that have been used on orders stay on record
+ * for those orders, so they are switched off instead of deleted.
+ * Returns { status, body }.
+ */
+async function removeCoupon(db, coupon) {
+  const used = await db.get('SELECT 1 FROM order_coupons WHERE coupon_id = ? LIMIT 1', [coupon.id])
+
+  if (used) {
+    await db.run('UPDATE coupons SET is_active = 0 WHERE id = ?', [coupon.id])
+    return {
+      status: 200,
+      body: { message: 'Coupon has been used on orders, so it was deactivated instead', couponId: coupon.id }
+    }
+  }
+
+  await db.run('DELETE FROM coupons WHERE id = ?', [coupon.id])
+  return { status: 204 }
+}
+
+function sendResult(res, result) {
+  if (result.status === 204) {
+    return res.status(204).send()
+  }
+
+  res.status(result.status).json(result.body)
+}
+
+/**
+ * List coupons with usage stats
+ * Query params:
+ *   - creatorType: admin, vendor or artist
+ *   - creatorId: Only coupons created by this human
+ *   - active: 'true' to only list active coupons
+ *   - search: Match on code or description
+ */
+export async function listCoupons(req, res) {
+  const db = await getDBConnection()
+  try {
+    const { creatorType, creatorId, active, search } = req.query
+
+    let where = []
+    let params = []
+
+    if (creatorType) {
+      where.push('c.creator_type = ?')
+      params.push(creatorType)
+    }
+
+    if (creatorId) {
+      where.push('c.creator_id = ?')
+      params.push(parseInt(creatorId, 10))
+    }
+
+    if (active === 'true') {
+      where.push('c.is_active = 1')
+    }
+
+    if (search) {
+      where.push('(c.code LIKE ? OR c.description LIKE ?)')
+      params.push(`%${search}%`, `%${search}%`)
+    }
+
+    const whereClause = where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''
+
+    const coupons = await db.all(
+      `SELECT
+         c.*,
+         COALESCE(a.stage_name, h.first_name || ' ' || h.last_name) AS creator_name,
+         ${COUPON_USAGE_COLUMNS}
+       FROM coupons c
+       JOIN humans h ON h.id = c.creator_id
+       LEFT JOIN artists a ON a.human_id = c.creator_id AND c.creator_type = 'artist'
+       LEFT JOIN order_coupons oc ON oc.coupon_id = c.id
+       LEFT JOIN orders o ON o.id = oc.order_id
+       ${whereClause}
+       GROUP BY c.id
+       ORDER BY c.created_at DESC, c.id DESC`,
+      params
+    )
+
+    res.json({ coupons })
+
+  } catch (err) {
+    console.error('Error listing coupons:', err)
+    res.status(500).json({ error: 'Failed to fetch coupons' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Get a coupon with its usage stats and the orders it was used on
+ */
+export async function getCoupon(req, res) {
+  const couponId = parseInt(req.params.couponId, 10)
+
+  if (isNaN(couponId)) {
+    return res.status(400).json({ error: 'Invalid coupon ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const coupon = await getCouponWithUsage(db, couponId)
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' })
+    }
+
+    const orders = await db.all(
+      `SELECT o.id, o.order_number, o.status, o.total_amount, oc.discount_applied, oc.applied_at
+       FROM order_coupons oc
+       JOIN orders o ON o.id = oc.order_id
+       WHERE oc.coupon_id = ?
+       ORDER BY oc.applied_at DESC, o.id DESC`,
+      [couponId]
+    )
+
+    res.json({ coupon, orders })
+
+  } catch (err) {
+    console.error('Error fetching coupon:', err)
+    res.status(500).json({ error: 'Failed to fetch coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Create a coupon
+ * Body: { code, description, discountType, discountValue, minPurchaseAmount,
+ *         maxDiscountAmount, validFrom, validUntil, maxUses, maxUsesPerCustomer,
+ *         firstOrderOnly, newCustomersSince, allowedCustomerIds, isActive, artistHumanId,
+ *         buyQuantity, getQuantity, scopes: [{ type, value }], tiers: [{ minQuantity, discountValue }] }
+ * discountValue is a percentage for percentage coupons and the percent off
+ * the free items for buy_x_get_y (default 100); tiered coupons use tiers.
+ * Send artistHumanId to create an artist coupon on the artist's behalf
+ * (it then only discounts their products); otherwise the coupon is an admin
+ * coupon for the whole store.
+ */
+export async function createCoupon(req, res) {
+  const db = await getDBConnection()
+  try {
+    const parsed = parseCoupon(req.body)
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    let creatorType = 'admin'
+    let creatorId = req.session.humanId
+
+    if (req.body.artistHumanId !== undefined && req.body.artistHumanId !== null) {
+      const artist = await db.get(
+        'SELECT human_id FROM artists WHERE human_id = ?',
+        [parseInt(req.body.artistHumanId, 10)]
+      )
+
+      if (!artist) {
+        return res.status(400).json({ error: 'Artist not found' })
+      }
+
+      creatorType = 'artist'
+      creatorId = artist.human_id
+    }
+
+    sendResult(res, await withTransaction(db, () => insertCoupon(db, parsed, creatorType, creatorId)))
+
+  } catch (err) {
+    console.error('Error creating coupon:', err)
+    res.status(500).json({ error: 'Failed to create coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Update a coupon; only the fields sent are changed
+ * Orders that already used it keep the discount they were given
+ */
+export async function updateCoupon(req, res) {
+  const couponId = parseInt(req.params.couponId, 10)
+
+  if (isNaN(couponId)) {
+    return res.status(400).json({ error: 'Invalid coupon ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const coupon = await db.get('SELECT * FROM coupons WHERE id = ?', [couponId])
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' })
+    }
+
+    sendResult(res, await withTransaction(db, () => changeCoupon(db, coupon, req.body)))
+
+  } catch (err) {
+    console.error('Error updating coupon:', err)
+    res.status(500).json({ error: 'Failed to update coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Delete a coupon (deactivated instead if it has been used)
+ */
+export async function deleteCoupon(req, res) {
+  const couponId = parseInt(req.params.couponId, 10)
+
+  if (isNaN(couponId)) {
+    return res.status(400).json({ error: 'Invalid coupon ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const coupon = await db.get('SELECT * FROM coupons WHERE id = ?', [couponId])
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' })
+    }
+
+    sendResult(res, await removeCoupon(db, coupon))
+
+  } catch (err) {
+    console.error('Error deleting coupon:', err)
+    res.status(500).json({ error: 'Failed to delete coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Get the artist profile of the logged-in human (undefined if they have none)
+ */
+async function getOwnArtist(db, humanId) {
+  return db.get('SELECT human_id, stage_name FROM artists WHERE human_id = ?', [humanId])
+}
+
+/**
+ * Get one of the logged-in artist's own coupons
+ */
+async function getOwnCoupon(db, humanId, couponId) {
+  return db.get(
+    `SELECT * FROM coupons WHERE id = ? AND creator_type = 'artist' AND creator_id = ?`,
+    [couponId, humanId]
+  )
+}
+
+/**
+ * List the logged-in artist's coupons with usage stats
+ */
+export async function listArtistCoupons(req, res) {
+  const db = await getDBConnection()
+  try {
+    const coupons = await db.all(
+      `SELECT c.*, ${COUPON_USAGE_COLUMNS}
+       FROM coupons c
+       LEFT JOIN order_coupons oc ON oc.coupon_id = c.id
+       LEFT JOIN orders o ON o.id = oc.order_id
+       WHERE c.creator_type = 'artist' AND c.creator_id = ?
+       GROUP BY c.id
+       ORDER BY c.created_at DESC, c.id DESC`,
+      [req.session.humanId]
+    )
+
+    res.json({ coupons })
+
+  } catch (err) {
+    console.error('Error listing artist coupons:', err)
+    res.status(500).json({ error: 'Failed to fetch coupons' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Create a coupon for the logged-in artist's products
+ * Body: same as the admin createCoupon, without artistHumanId
+ * The coupon only discounts products by this artist.
+ */
+export async function createArtistCoupon(req, res) {
+  const db = await getDBConnection()
+  try {
+    const parsed = parseCoupon(req.body)
+
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error })
+    }
+
+    const artist = await getOwnArtist(db, req.session.humanId)
+
+    if (!artist) {
+      return res.status(403).json({ error: 'Only artists with an artist profile can create coupons' })
+    }
+
+    sendResult(res, await withTransaction(db, () => insertCoupon(db, parsed, 'artist', artist.human_id)))
+
+  } catch (err) {
+    console.error('Error creating artist coupon:', err)
+    res.status(500).json({ error: 'Failed to create coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Update one of the logged-in artist's coupons
+ */
+export async function updateArtistCoupon(req, res) {
+  const couponId = parseInt(req.params.couponId, 10)
+
+  if (isNaN(couponId)) {
+    return res.status(400).json({ error: 'Invalid coupon ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const coupon = await getOwnCoupon(db, req.session.humanId, couponId)
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' })
+    }
+
+    sendResult(res, await withTransaction(db, () => changeCoupon(db, coupon, req.body)))
+
+  } catch (err) {
+    console.error('Error updating artist coupon:', err)
+    res.status(500).json({ error: 'Failed to update coupon' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Delete one of the logged-in artist's coupons (deactivated instead if used)
+ */
+export async function deleteArtistCoupon(req, res) {
+  const couponId = parseInt(req.params.couponId, 10)
+
+  if (isNaN(couponId)) {
+    return res.status(400).json({ error: 'Invalid coupon ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const coupon = await getOwnCoupon(db, req.session.humanId, couponId)
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' })
+    }
+
+    sendResult(res, await removeCoupon(db, coupon))
+
+  } catch (err) {
+    console.error('Error deleting artist coupon:', err)
+    res.status(500).json({ error: 'Failed to delete coupon' })
+  } finally {
+    await db.close()
+  }
+}
@@ -0,0 +1,225 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import archiver from 'archiver'
+import { getDBConnection } from '../db/db.js'
+import { regenerateDownloadLink, resolveMediaPath } from '../services/downloadService.js'
+
+// Orders in these states have been paid for and keep their downloads
+const DOWNLOADABLE_STATUSES = ['paid', 'shipped', 'delivered']
+
+/**
+ * Turn a title into a safe download file name
+ */
+function toFileName(title) {
+  return (title || 'download').replace(/[^a-zA-Z0-9-_ ]/g, '').trim().replace(/\s+/g, '-') || 'download'
+}
+
+/**
+ * Check that every file exists on disk before we count a download
+ */
+async function allFilesExist(filePaths) {
+  try {
+    await Promise.all(filePaths.map(filePath => fs.access(filePath)))
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Stream a purchased song, or a zip of a digital album's tracks
+ * The token itself is the credential, so this route doesn't need a session
+ */
+export async function downloadFile(req, res) {
+  const db = await getDBConnection()
+  try {
+    const { token } = req.params
+
+    const link = await db.get(
+      `SELECT dl.*, o.status AS order_status,
+         (dl.expires_at <= datetime('now')) AS is_expired
+       FROM download_links dl
+       JOIN orders o ON dl.order_id = o.id
+       WHERE dl.download_token = ?`,
+      [token]
+    )
+
+    if (!link || link.revoked_at || !DOWNLOADABLE_STATUSES.includes(link.order_status)) {
+      return res.status(404).json({ error: 'Download not found' })
+    }
+
+    if (link.is_expired) {
+      return res.status(410).json({ error: 'Download link has expired' })
+    }
+
+    if (link.download_count >= link.max_downloads) {
+      return res.status(410).json({ error: 'Download limit reached' })
+    }
+
+    // Work out which files this link covers
+    let fileName
+    let files
+
+    if (link.song_id) {
+      const song = await db.get('SELECT title, file_path FROM songs WHERE id = ?', [link.song_id])
+      const fullPath = resolveMediaPath(song?.file_path)
+
+      fileName = `${toFileName(song?.title)}${path.extname(song?.file_path || '')}`
+      files = fullPath ? [{ fullPath, name: fileName }] : []
+    } else {
+      const album = await db.get('SELECT title FROM products WHERE id = ?', [link.product_id])
+      const tracks = await db.all(
+        `SELECT s.title, s.file_path, asong.track_number, asong.disc_number
+         FROM album_songs asong
+         JOIN songs s ON asong.song_id = s.id
+         WHERE asong.album_id = ?
+         ORDER BY asong.disc_number, asong.track_number`,
+        [link.product_id]
+      )
+
+      fileName = `${toFileName(album?.title)}.zip`
+      files = tracks.map(track => ({
+        fullPath: resolveMediaPath(track.file_path),
+        name: `${track.disc_number > 1 ? `${track.disc_number}-` : ''}${String(track.track_number).padStart(2, '0')}-${toFileName(track.title)}${path.extname(track.file_path || '')}`
+      }))
+    }
+
+    if (files.length === 0 || files.some(file => !file.fullPath) || !(await allFilesExist(files.map(file => file.fullPath)))) {
+      console.error(`Download ${link.id}: media files missing`)
+      return res.status(404).json({ error: 'File not available. Please contact support.' })
+    }
+
+    // Count the download; the conditions guard against two requests racing past the checks above
+    const result = await db.run(
+      `UPDATE download_links
+       SET download_count = download_count + 1, last_downloaded_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND download_count < max_downloads AND expires_at > datetime('now')
+       AND revoked_at IS NULL`,
+      [link.id]
+    )
+
+    if (result.changes === 0) {
+      return res.status(410).json({ error: 'Download limit reached' })
+    }
+
+    if (link.song_id) {
+      return res.download(files[0].fullPath, fileName)
+    }
+
+    res.attachment(fileName)
+    const archive = archiver('zip', { store: true })
+    archive.on('error', err => {
+      console.error('Album zip error:', err)
+      res.destroy(err)
+    })
+    archive.pipe(res)
+    for (const file of files) {
+      archive.file(file.fullPath, { name: file.name })
+    }
+    await archive.finalize()
+
+  } catch (err) {
+    console.error('Download error:', err)
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download file' })
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * List download links for the current user's orders
+ */
+export async function getMyDownloads(req, res) {
+  const db = await getDBConnection()
+  try {
+    const downloads = await db.all(
+      `SELECT
+         dl.id,
+         dl.order_id,
+         o.order_number,
+         dl.song_id,
+         dl.product_id,
+         COALESCE(s.title, p.title) AS title,
+         CASE WHEN dl.song_id IS NOT NULL THEN 'song' ELSE 'album' END AS type,
+         dl.download_token,
+         dl.download_count,
+         dl.max_downloads,
+         dl.expires_at,
+         dl.last_downloaded_at,
+         (dl.expires_at <= datetime('now') OR dl.download_count >= dl.max_downloads) AS is_used_up
+       FROM download_links dl
+       JOIN orders o ON dl.order_id = o.id
+       LEFT JOIN songs s ON dl.song_id = s.id
+       LEFT JOIN products p ON dl.product_id = p.id
+       WHERE o.human_id = ?
+       AND dl.revoked_at IS NULL
+       AND o.status IN (${DOWNLOADABLE_STATUSES.map(() => '?').join(', ')})
+       ORDER BY dl.created_at DESC`,
+      [req.session.humanId, ...DOWNLOADABLE_STATUSES]
+    )
+
+    res.json({
+      downloads: downloads.map(link => ({
+        ...link,
+        url: `/api/downloads/${link.download_token}`
+      }))
+    })
+
+  } catch (err) {
+    console.error('Get downloads error:', err)
+    res.status(500).json({ error: 'Failed to retrieve downloads' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Issue a fresh token for one of the current user's download links, e.g.
+ * if the link was shared. Downloads used and the expiry carry over.
+ */
+export async function regenerateLink(req, res) {
+  const db = await getDBConnection()
+  try {
+    const linkId = parseInt(req.params.linkId, 10)
+
+    if (isNaN(linkId)) {
+      return res.status(400).json({ error: 'Invalid download ID' })
+    }
+
+    const link = await db.get(
+      `SELECT dl.id, dl.revoked_at, o.status AS order_status
+       FROM download_links dl
+       JOIN orders o ON dl.order_id = o.id
+       WHERE dl.id = ? AND o.human_id = ?`,
+      [linkId, req.session.humanId]
+    )
+
+    if (!link || link.revoked_at || !DOWNLOADABLE_STATUSES.includes(link.order_status)) {
+      return res.status(404).json({ error: 'Download not found' })
+    }
+
+    const token = await regenerateDownloadLink(db, linkId)
+    const updated = await db.get(
+      'SELECT download_count, max_downloads, expires_at FROM download_links WHERE id = ?',
+      [linkId]
+    )
+
+    res.json({
+      message: 'Download link regenerated',
+      id: linkId,
+      downloadToken: token,
+      url: `/api/downloads/${token}`,
+      downloadCount: updated.download_count,
+      maxDownloads: updated.max_downloads,
+      expiresAt: updated.expires_at
+    })
+
+  } catch (err) {
+    console.error('Regenerate download error:', err)
+    res.status(500).json({ error: 'Failed to regenerate download link' })
+  } finally {
+    await db.close()
+  }
+}
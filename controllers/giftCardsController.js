@@ -0,0 +1,224 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  createGiftCard,
+  getStoreCreditBalance,
+  listStoreCreditHistory,
+  redeemGiftCard,
+  voidGiftCards
+} from '../services/storeCreditService.js'
+
+const GIFT_CARD_STATUSES = ['active', 'redeemed', 'void']
+
+/**
+ * The current user's store credit balance and ledger history
+ * Query params:
+ *   - limit / offset: Paging of the history (default 50 / 0)
+ */
+export async function getMyStoreCredit(req, res) {
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    const balance = await getStoreCreditBalance(db, humanId)
+    const history = await listStoreCreditHistory(db, humanId, { limit, offset })
+
+    res.json({ balance, history, limit, offset })
+
+  } catch (err) {
+    console.error('Get store credit error:', err)
+    res.status(500).json({ error: 'Failed to retrieve store credit' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Redeem a gift card into the current user's store credit
+ * Body: { code }
+ */
+export async function redeemMyGiftCard(req, res) {
+  const { code } = req.body
+
+  if (!code || typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({ error: 'Gift card code required' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const result = await withTransaction(db, () => redeemGiftCard(db, humanId, code))
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, reason: result.reason })
+    }
+
+    res.json({
+      message: 'Gift card redeemed',
+      amount: result.amount,
+      balance: await getStoreCreditBalance(db, humanId)
+    })
+
+  } catch (err) {
+    console.error('Redeem gift card error:', err)
+    res.status(500).json({ error: 'Failed to redeem gift card' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Gift cards the current user has bought, with their codes so they can be
+ * passed on
+ */
+export async function listMyGiftCards(req, res) {
+  const db = await getDBConnection()
+  try {
+    const giftCards = await db.all(
+      `SELECT gc.id, gc.code, gc.amount, gc.status, gc.redeemed_at, gc.created_at, o.order_number
+       FROM gift_cards gc
+       LEFT JOIN orders o ON gc.order_id = o.id
+       WHERE gc.purchased_by = ?
+       ORDER BY gc.created_at DESC, gc.id DESC`,
+      [req.session.humanId]
+    )
+
+    res.json({ giftCards })
+
+  } catch (err) {
+    console.error('List gift cards error:', err)
+    res.status(500).json({ error: 'Failed to retrieve gift cards' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * List gift cards
+ * Query params:
+ *   - status: active, redeemed or void
+ *   - search: Match code, purchaser or redeemer name
+ *   - limit / offset: Paging (default 50 / 0)
+ */
+export async function listGiftCards(req, res) {
+  const db = await getDBConnection()
+  try {
+    const { status, search } = req.query
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    let where = []
+    let params = []
+
+    if (status) {
+      if (!GIFT_CARD_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${GIFT_CARD_STATUSES.join(', ')}` })
+      }
+      where.push('gc.status = ?')
+      params.push(status)
+    }
+
+    if (search) {
+      where.push(`(gc.code LIKE ?
+        OR pb.first_name || ' ' || pb.last_name LIKE ?
+        OR rb.first_name || ' ' || rb.last_name LIKE ?)`)
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`)
+    }
+
+    const whereClause = where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''
+
+    const giftCards = await db.all(
+      `SELECT
+         gc.*,
+         o.order_number,
+         pb.first_name || ' ' || pb.last_name AS purchased_by_name,
+         ib.first_name || ' ' || ib.last_name AS issued_by_name,
+         rb.first_name || ' ' || rb.last_name AS redeemed_by_name
+       FROM gift_cards gc
+       LEFT JOIN orders o ON gc.order_id = o.id
+       LEFT JOIN humans pb ON gc.purchased_by = pb.id
+       LEFT JOIN humans ib ON gc.issued_by = ib.id
+       LEFT JOIN humans rb ON gc.redeemed_by = rb.id
+       ${whereClause}
+       ORDER BY gc.created_at DESC, gc.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    )
+
+    res.json({ giftCards, limit, offset })
+
+  } catch (err) {
+    console.error('Error listing gift cards:', err)
+    res.status(500).json({ error: 'Failed to fetch gift cards' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Issue a gift card without a purchase (e.g. a goodwill gesture)
+ * Body: { amount, note }
+ */
+export async function issueGiftCard(req, res) {
+  const amount = parseFloat(req.body.amount)
+  const note = req.body.note ? String(req.body.note).trim() : null
+
+  if (isNaN(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a positive number' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const giftCard = await withTransaction(db, () =>
+      createGiftCard(db, { amount, issuedBy: req.session.humanId, note })
+    )
+
+    res.status(201).json({ message: 'Gift card issued', giftCard })
+
+  } catch (err) {
+    console.error('Error issuing gift card:', err)
+    res.status(500).json({ error: 'Failed to issue gift card' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Void a gift card that hasn't been redeemed yet
+ */
+export async function voidGiftCard(req, res) {
+  const giftCardId = parseInt(req.params.giftCardId, 10)
+
+  if (isNaN(giftCardId)) {
+    return res.status(400).json({ error: 'Invalid gift card ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const giftCard = await db.get('SELECT id, status FROM gift_cards WHERE id = ?', [giftCardId])
+
+      if (!giftCard) {
+        return { status: 404, body: { error: 'Gift card not found' } }
+      }
+
+      if (giftCard.status !== 'active') {
+        return { status: 409, body: { error: `Gift cards that are ${giftCard.status} cannot be voided` } }
+      }
+
+      await voidGiftCards(db, [giftCardId])
+
+      return { status: 200, body: { message: 'Gift card voided', giftCardId, status: 'void' } }
+    })
+
+    res.status(result.status).json(result.body)
+
+  } catch (err) {
+    console.error('Error voiding gift card:', err)
+    res.status(500).json({ error: 'Failed to void gift card' })
+  } finally {
+    await db.close()
+  }
+}
@@ -0,0 +1,278 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  LOW_STOCK_THRESHOLD,
+  checkStockLedger,
+  getStock,
+  listLowStock,
+  listStockMovements,
+  recordStockMovement,
+  withProductId
+} from '../services/inventoryService.js'
+import { sendWishlistAlerts, wishlistSnapshot } from '../services/wishlistService.js'
+import { listAwaitingStock, releaseAllAwaitingStock, releaseAwaitingStock } from '../services/backorderService.js'
+
+// Movements an admin can record by hand; sales and restocks come from orders
+const MANUAL_MOVEMENT_TYPES = ['receiving', 'damage', 'adjustment']
+
+/**
+ * The product, variant or song a route is about: { productId },
+ * { variantId } or { songId }, or null if the ID isn't a number
+ */
+function inventoryTarget(req) {
+  if (req.params.variantId !== undefined) {
+    const variantId = parseInt(req.params.variantId, 10)
+    return isNaN(variantId) ? null : { variantId }
+  }
+
+  if (req.params.productId !== undefined) {
+    const productId = parseInt(req.params.productId, 10)
+    return isNaN(productId) ? null : { productId }
+  }
+
+  const songId = parseInt(req.params.songId, 10)
+  return isNaN(songId) ? null : { songId }
+}
+
+function notFoundMessage(target) {
+  if (target.variantId) {
+    return 'Variant not found'
+  }
+
+  return target.productId ? 'Product not found' : 'Song not found'
+}
+
+/**
+ * The table whose low_stock_threshold is the item's own
+ */
+function thresholdTable(target) {
+  if (target.variantId) {
+    return 'product_variants'
+  }
+
+  return target.productId ? 'products' : 'songs'
+}
+
+/**
+ * Products, variants and songs at or below their low-stock threshold
+ */
+export async function getLowStock(req, res) {
+  const db = await getDBConnection()
+  try {
+    const items = await listLowStock(db)
+    res.json({ items, defaultThreshold: LOW_STOCK_THRESHOLD })
+
+  } catch (err) {
+    console.error('Error listing low stock:', err)
+    res.status(500).json({ error: 'Failed to fetch low stock items' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * An item's stock, whether it agrees with the ledger, and its movements
+ * Query params:
+ *   - limit / offset: Paging of the movements (default 50 / 0)
+ */
+export async function getStockMovements(req, res) {
+  const target = inventoryTarget(req)
+
+  if (!target) {
+    return res.status(400).json({ error: 'Invalid ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    const ledger = await checkStockLedger(db, target)
+
+    if (!ledger) {
+      return res.status(404).json({ error: notFoundMessage(target) })
+    }
+
+    let threshold
+    if (target.variantId) {
+      ({ threshold } = await db.get(
+        `SELECT COALESCE(v.low_stock_threshold, p.low_stock_threshold, ?) AS threshold
+         FROM product_variants v JOIN products p ON v.product_id = p.id WHERE v.id = ?`,
+        [LOW_STOCK_THRESHOLD, target.variantId]
+      ))
+    } else {
+      ({ threshold } = target.productId
+        ? await db.get('SELECT COALESCE(low_stock_threshold, ?) AS threshold FROM products WHERE id = ?', [LOW_STOCK_THRESHOLD, target.productId])
+        : await db.get('SELECT low_stock_threshold AS threshold FROM songs WHERE id = ?', [target.songId]))
+    }
+
+    const movements = await listStockMovements(db, target, { limit, offset })
+
+    res.json({ ...ledger, lowStockThreshold: threshold, movements, limit, offset })
+
+  } catch (err) {
+    console.error('Error fetching stock movements:', err)
+    res.status(500).json({ error: 'Failed to fetch stock movements' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Record a delivery, a write-off or a count correction
+ * Body: { type, quantity, reason }
+ *   - receiving: quantity units arrived (positive)
+ *   - damage: quantity units written off (positive, taken away)
+ *   - adjustment: quantity is the signed correction
+ * reason is required. Stock can't go below zero. Stock coming in goes to
+ * orders awaiting the product or variant first (releasedToOrders units).
+ * A product sold by variant keeps its stock on its variants, so movements
+ * go to those instead.
+ */
+export async function recordMovement(req, res) {
+  const target = inventoryTarget(req)
+  const { type } = req.body
+  const quantity = Number(req.body.quantity)
+  const reason = req.body.reason ? String(req.body.reason).trim() : ''
+
+  if (!target) {
+    return res.status(400).json({ error: 'Invalid ID' })
+  }
+
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}` })
+  }
+
+  if (!Number.isInteger(quantity) || quantity === 0 || (type !== 'adjustment' && quantity < 0)) {
+    return res.status(400).json({
+      error: type === 'adjustment'
+        ? 'Quantity must be a non-zero whole number'
+        : 'Quantity must be a positive whole number'
+    })
+  }
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason for the movement is required' })
+  }
+
+  const change = type === 'damage' ? -quantity : quantity
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const stock = await getStock(db, target)
+
+      if (stock === undefined) {
+        return { success: false, status: 404, error: notFoundMessage(target) }
+      }
+
+      if (target.productId && await db.get('SELECT 1 FROM product_variants WHERE product_id = ? LIMIT 1', [target.productId])) {
+        return { success: false, status: 409, error: 'This product is stocked by variant; record the movement on a variant' }
+      }
+
+      if (stock + change < 0) {
+        return { success: false, status: 409, error: `Only ${stock} in stock` }
+      }
+
+      // Wishlist alerts compare the whole product, each saved variant on its own
+      const { productId, songId } = await withProductId(db, target)
+      const before = await wishlistSnapshot(db, { productId, songId })
+      const movement = await recordStockMovement(db, target, change, type, { reason, createdBy: req.session.humanId })
+
+      // Orders waiting on the product or variant get first call on what has come in
+      const released = productId && change > 0 ? await releaseAwaitingStock(db, productId, target.variantId) : 0
+      await sendWishlistAlerts(db, { productId, songId }, before)
+
+      return { success: true, movement, released, stock: await getStock(db, target) }
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.status(201).json({
+      message: 'Stock movement recorded',
+      movementId: result.movement.id,
+      releasedToOrders: result.released,
+      stock: result.stock
+    })
+
+  } catch (err) {
+    console.error('Error recording stock movement:', err)
+    res.status(500).json({ error: 'Failed to record stock movement' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Set the stock level at or below which an item counts as low
+ * Body: { threshold } - a whole number, or null to go back to the default
+ * (a variant's product's threshold, for a variant)
+ */
+export async function setLowStockThreshold(req, res) {
+  const target = inventoryTarget(req)
+  const threshold = req.body.threshold === null ? null : Number(req.body.threshold)
+
+  if (!target) {
+    return res.status(400).json({ error: 'Invalid ID' })
+  }
+
+  if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+    return res.status(400).json({ error: 'Threshold must be a non-negative whole number or null' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await db.run(
+      `UPDATE ${thresholdTable(target)} SET low_stock_threshold = ? WHERE id = ?`,
+      [threshold, target.variantId || target.productId || target.songId]
+    )
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: notFoundMessage(target) })
+    }
+
+    res.json({ message: 'Low stock threshold updated', threshold })
+
+  } catch (err) {
+    console.error('Error setting low stock threshold:', err)
+    res.status(500).json({ error: 'Failed to set low stock threshold' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Order lines still waiting on stock (backorders and pre-orders), oldest first
+ */
+export async function getAwaitingStock(req, res) {
+  const db = await getDBConnection()
+  try {
+    const items = await listAwaitingStock(db)
+    res.json({ items })
+
+  } catch (err) {
+    console.error('Error listing awaiting stock:', err)
+    res.status(500).json({ error: 'Failed to fetch orders awaiting stock' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Fill waiting order lines from stock now, rather than at the next
+ * scheduled check - e.g. straight after a release date
+ */
+export async function releaseAwaiting(req, res) {
+  const db = await getDBConnection()
+  try {
+    const released = await withTransaction(db, () => releaseAllAwaitingStock(db))
+    res.json({ message: 'Awaiting stock released', released })
+
+  } catch (err) {
+    console.error('Error releasing awaiting stock:', err)
+    res.status(500).json({ error: 'Failed to release awaiting stock' })
+  } finally {
+    await db.close()
+  }
+}
@@ -0,0 +1,88 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import {
+  LOYALTY_POINTS_PER_DOLLAR,
+  LOYALTY_POINT_VALUE,
+  addLoyaltyPoints,
+  getLoyaltyBalance,
+  listLoyaltyHistory
+} from '../services/loyaltyService.js'
+
+/**
+ * The current user's loyalty points, what they're worth, and ledger history
+ * Query params:
+ *   - limit / offset: Paging of the history (default 50 / 0)
+ */
+export async function getMyLoyaltyPoints(req, res) {
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    const points = await getLoyaltyBalance(db, humanId)
+    const history = await listLoyaltyHistory(db, humanId, { limit, offset })
+
+    res.json({
+      points,
+      value: Math.round(Math.max(points, 0) * LOYALTY_POINT_VALUE * 100) / 100,
+      pointsPerDollar: LOYALTY_POINTS_PER_DOLLAR,
+      pointValue: LOYALTY_POINT_VALUE,
+      history,
+      limit,
+      offset
+    })
+
+  } catch (err) {
+    console.error('Get loyalty points error:', err)
+    res.status(500).json({ error: 'Failed to retrieve loyalty points' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Add or take away a customer's points by hand
+ * Body: { points, note } - points is a non-zero whole number; note is required
+ */
+export async function adjustLoyaltyPoints(req, res) {
+  const humanId = parseInt(req.params.humanId, 10)
+  const points = Number(req.body.points)
+  const note = req.body.note ? String(req.body.note).trim() : ''
+
+  if (isNaN(humanId)) {
+    return res.status(400).json({ error: 'Invalid user ID' })
+  }
+
+  if (!Number.isInteger(points) || points === 0) {
+    return res.status(400).json({ error: 'Points must be a non-zero whole number' })
+  }
+
+  if (!note) {
+    return res.status(400).json({ error: 'A note explaining the adjustment is required' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const customer = await db.get('SELECT human_id FROM customers WHERE human_id = ?', [humanId])
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' })
+    }
+
+    await withTransaction(db, () =>
+      addLoyaltyPoints(db, humanId, points, 'adjustment', { note, createdBy: req.session.humanId })
+    )
+
+    res.status(201).json({
+      message: 'Loyalty points adjusted',
+      humanId,
+      points: await getLoyaltyBalance(db, humanId)
+    })
+
+  } catch (err) {
+    console.error('Error adjusting loyalty points:', err)
+    res.status(500).json({ error: 'Failed to adjust loyalty points' })
+  } finally {
+    await db.close()
+  }
+}
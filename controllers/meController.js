@@ -1,4 +1,5 @@
 import { getDBConnection } from '../db/db.js'
+import { getLoyaltyBalance } from '../services/loyaltyService.js'
 
 export async function getCurrentUser(req, res) {
   const db = await getDBConnection()
@@ -26,8 +27,9 @@ export async function getCurrentUser(req, res) {
     )
 
     const roleNames = roles.map(r => r.role_name)
+    const loyaltyPoints = await getLoyaltyBalance(db, req.session.humanId)
 
-    res.json({ isLoggedIn: true, name: human.name, roles: roleNames })
+    res.json({ isLoggedIn: true, name: human.name, roles: roleNames, loyaltyPoints })
 
   } catch (err) {
     console.error('getCurrentUser error:', err)
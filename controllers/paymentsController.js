@@ -0,0 +1,75 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { verifyWebhookSignature } from '../services/payments/index.js'
+import { applyPaymentUpdate, sendPaymentRefund } from '../services/paymentService.js'
+
+// Webhook event types we act on, and the payment outcome each one means
+const WEBHOOK_OUTCOMES = {
+  'payment.captured': 'captured',
+  'payment.failed': 'failed'
+}
+
+/**
+ * Payment provider webhook
+ * Header: X-Payment-Signature - HMAC-SHA256 of the raw body
+ * Body: { id, type, reference, amount, currency, message } - amount and
+ * currency are required for payment.captured and must match the payment
+ * Each event id is only applied once, so provider retries are safe.
+ */
+export async function handleWebhook(req, res) {
+  if (!verifyWebhookSignature(req.rawBody, req.get('X-Payment-Signature'))) {
+    return res.status(401).json({ error: 'Invalid signature' })
+  }
+
+  const { id, type, reference, amount, currency, message } = req.body
+
+  if (!id || !type || !reference) {
+    return res.status(400).json({ error: 'Event id, type and reference are required' })
+  }
+
+  const outcome = WEBHOOK_OUTCOMES[type]
+
+  if (!outcome) {
+    // Acknowledge events we don't handle so the provider stops retrying them
+    return res.json({ received: true, ignored: true })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const seen = await db.get('SELECT id FROM payment_webhook_events WHERE event_id = ?', [id])
+
+      if (seen) {
+        return { success: true, duplicate: true }
+      }
+
+      const update = await applyPaymentUpdate(db, reference, outcome, { message, amount, currency })
+
+      // Only remember events we applied, so a rejected one can be retried
+      if (update.success) {
+        await db.run(
+          'INSERT INTO payment_webhook_events (event_id, event_type, reference) VALUES (?, ?, ?)',
+          [id, type, reference]
+        )
+      }
+
+      return update
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    // A payment captured after its order was cancelled goes straight back
+    if (result.paymentRefundId) {
+      await sendPaymentRefund(db, result.paymentRefundId)
+    }
+
+    res.json({ received: true, duplicate: Boolean(result.duplicate) })
+
+  } catch (err) {
+    console.error('Payment webhook error:', err)
+    res.status(500).json({ error: 'Failed to process webhook' })
+  } finally {
+    await db.close()
+  }
+}
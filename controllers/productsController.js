@@ -1,4 +1,8 @@
-import { getDBConnection } from '../db/db.js'
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { AVAILABILITY_MODES, getStock, recordStockMovement } from '../services/inventoryService.js'
+import { releaseAllAwaitingStock } from '../services/backorderService.js'
+import { sendWishlistAlerts, wishlistSnapshot } from '../services/wishlistService.js'
+import { getVariantMatrix } from '../services/variantService.js'
 
 // Canonical genre list - matches songs table CHECK constraint
 const GENRES = [
@@ -21,12 +25,35 @@ const GENRES = [
   'World'
 ]
 
+/**
+ * Check a product body's availability and release_date. Either may be left
+ * out (undefined); release_date may be null to clear it. Returns an error
+ * message, or null if they're fine.
+ */
+function availabilityError(availability, releaseDate) {
+  if (availability !== undefined && !AVAILABILITY_MODES.includes(availability)) {
+    return `Availability must be one of: ${AVAILABILITY_MODES.join(', ')}`
+  }
+
+  if (releaseDate && (!/^\d{4}-\d{2}-\d{2}$/.test(releaseDate) || isNaN(Date.parse(releaseDate)))) {
+    return 'Release date must be a date (YYYY-MM-DD)'
+  }
+
+  return null
+}
+
 export async function getGenres(req, res) {
   // Return canonical list instead of querying database
   // This ensures consistency with songs table schema
   res.json(GENRES)
 }
 
+/**
+ * A product with its variant matrix: options (e.g. Color, Size, or a
+ * release's Format) with their values, and the active variants (empty when
+ * it isn't sold by variant). tracks is the release's tracklist, shared by
+ * all its formats.
+ */
 export async function getSingleProduct(req, res) {
   const db = await getDBConnection()
   try {
@@ -42,7 +69,16 @@ export async function getSingleProduct(req, res) {
       return res.status(404).json({ error: 'Product not found' })
     }
 
-    res.json(product)
+    const tracks = await db.all(
+      `SELECT s.id, s.title, s.duration_seconds, asong.track_number, asong.disc_number
+       FROM album_songs asong
+       JOIN songs s ON asong.song_id = s.id
+       WHERE asong.album_id = ?
+       ORDER BY asong.disc_number, asong.track_number`,
+      [productId]
+    )
+
+    res.json({ ...product, ...await getVariantMatrix(db, productId), tracks })
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch product', details: err.message })
   } finally {
@@ -58,7 +94,7 @@ export async function getProducts(req, res) {
     let query = 'SELECT * FROM products'
     let params = []
 
-    const { genre, search, type } = req.query
+    const { genre, search, type, format } = req.query
     
     // console.log('getProducts called with:', { genre, search, type })
 
@@ -73,13 +109,38 @@ export async function getProducts(req, res) {
       params.push(genre)
     } else if (search) {
       // Search across multiple fields including type
-      query += ' WHERE title LIKE ? OR artist LIKE ? OR genre LIKE ? OR type LIKE ?'
+      query += ' WHERE (title LIKE ? OR artist LIKE ? OR genre LIKE ? OR type LIKE ?)'
       const searchPattern = `%${search}%`
       params.push(searchPattern, searchPattern, searchPattern, searchPattern)
     }
+
+    if (format) {
+      // Only releases on sale in this format (vinyl, cd, cassette, digital)
+      query += `${params.length > 0 ? ' AND' : ' WHERE'} id IN (
+        SELECT product_id FROM product_variants WHERE format = ? AND is_active = 1)`
+      params.push(format)
+    }
     
     const products = await db.all(query, params)
-    
+
+    // Products sold by variant (or in several formats) list theirs, so cards can offer the choice
+    const variants = await db.all(
+      `SELECT id, product_id, label, price, stock, format, is_digital FROM product_variants
+       WHERE is_active = 1 ORDER BY product_id, id`
+    )
+
+    for (const product of products) {
+      const own = variants.filter(variant => variant.product_id === product.id)
+
+      if (own.length > 0) {
+        product.variants = own.map(({ product_id, ...variant }) => ({
+          ...variant,
+          price: variant.price ?? product.price,
+          is_digital: variant.is_digital ?? product.is_digital
+        }))
+      }
+    }
+
    // console.log('Query:', query)
    // console.log('Params:', params)
    // console.log('Products returned:', products.length)
@@ -95,7 +156,7 @@ export async function getProducts(req, res) {
 
 export async function createProduct(req, res) {
   
-  let { title, artist, price, image, year, genre, stock, type, songs } = req.body
+  let { title, artist, price, image, year, genre, stock, type, songs, is_digital, is_gift_card, weight_grams, max_per_order, availability, release_date } = req.body
 
   // Validate required fields (all products need title, artist, price, image)
   if (!title || !artist || !price || !image) {
@@ -136,6 +197,32 @@ export async function createProduct(req, res) {
     return res.status(400).json({ error: 'Stock must be a non-negative number' })
   }
 
+  const weightNum = weight_grams !== undefined && weight_grams !== null ? parseInt(weight_grams, 10) : null
+
+  if (weightNum !== null && (isNaN(weightNum) || weightNum < 0)) {
+    return res.status(400).json({ error: 'Weight must be a non-negative number of grams' })
+  }
+
+  // Per-order purchase limit: null or 0 means no limit
+  const maxPerOrder = max_per_order ? Number(max_per_order) : null
+
+  if (maxPerOrder !== null && (!Number.isInteger(maxPerOrder) || maxPerOrder < 1)) {
+    return res.status(400).json({ error: 'Max per order must be a positive whole number' })
+  }
+
+  // How it sells once stock runs out; a pre-order sells ahead of its release date
+  availability = availability || 'in_stock'
+  const releaseDate = release_date || null
+  const availabilityProblem = availabilityError(availability, releaseDate)
+
+  if (availabilityProblem) {
+    return res.status(400).json({ error: availabilityProblem })
+  }
+
+  if (availability === 'preorder' && !releaseDate) {
+    return res.status(400).json({ error: 'Pre-order products need a release date' })
+  }
+
   // Validate year for music products
   let yearNum = null
   if (year) {
@@ -150,11 +237,18 @@ export async function createProduct(req, res) {
 
     // Insert product
     const result = await db.run(
-      'INSERT INTO products (title, artist, price, image, year, genre, stock, type) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [title, artist, priceNum, image, yearNum, genre || null, stockNum, type]
+      'INSERT INTO products (title, artist, price, image, year, genre, stock, type, is_digital, is_gift_card, weight_grams, max_per_order, availability, release_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      // Gift cards are delivered as codes, so they are always digital.
+      // Stock starts at 0 and the opening count goes in through the inventory ledger.
+      [title, artist, priceNum, image, yearNum, genre || null, 0, type, is_digital || is_gift_card ? 1 : 0, is_gift_card ? 1 : 0, weightNum, maxPerOrder, availability, releaseDate]
     )
 
     const productId = result.lastID
+
+    await recordStockMovement(db, { productId }, stockNum, 'initial', {
+      reason: 'Opening balance',
+      createdBy: req.session.humanId
+    })
     
     // For music products, try to find or create the artist in artists table
     let artistHumanId = null
@@ -248,7 +342,7 @@ export async function updateProduct(req, res) {
     return res.status(400).json({ error: 'Invalid product ID' })
   }
 
-  let { title, artist, price, image, year, genre, stock, type } = req.body
+  let { title, artist, price, image, year, genre, stock, type, is_digital, is_gift_card, weight_grams, max_per_order, availability, release_date } = req.body
 
   // Validate required fields
   if (!title || !artist || !price || !image) {
@@ -267,22 +361,87 @@ export async function updateProduct(req, res) {
     return res.status(400).json({ error: 'Type must be Album, Single, EP, or Merch' })
   }
 
+  const weightNum = weight_grams !== undefined && weight_grams !== null ? parseInt(weight_grams, 10) : null
+
+  if (weightNum !== null && (isNaN(weightNum) || weightNum < 0)) {
+    return res.status(400).json({ error: 'Weight must be a non-negative number of grams' })
+  }
+
+  // Per-order purchase limit: null or 0 removes it, leaving it out keeps the current one
+  const maxPerOrder = max_per_order ? Number(max_per_order) : null
+
+  if (maxPerOrder !== null && (!Number.isInteger(maxPerOrder) || maxPerOrder < 1)) {
+    return res.status(400).json({ error: 'Max per order must be a positive whole number' })
+  }
+
+  // Leaving availability or release_date out keeps the current one; release_date null clears it
+  const availabilityProblem = availabilityError(availability, release_date)
+
+  if (availabilityProblem) {
+    return res.status(400).json({ error: availabilityProblem })
+  }
+
+  // A new stock count goes through the inventory ledger; leaving it out keeps the current one
+  const stockNum = stock !== undefined && stock !== null && stock !== '' ? Number(stock) : null
+
+  if (stockNum !== null && (!Number.isInteger(stockNum) || stockNum < 0)) {
+    return res.status(400).json({ error: 'Stock must be a non-negative number' })
+  }
+
   try {
     const db = await getDBConnection()
 
-    // Check if product exists
-    const existing = await db.get('SELECT id FROM products WHERE id = ?', [productId])
+    // Check if product exists (and note its price and stock for wishlist alerts)
+    const existing = await wishlistSnapshot(db, { productId })
     if (!existing) {
       return res.status(404).json({ error: 'Product not found' })
     }
 
+    const current = await db.get('SELECT availability, release_date FROM products WHERE id = ?', [productId])
+    const newAvailability = availability === undefined ? current.availability : availability
+    const newReleaseDate = release_date === undefined ? current.release_date : release_date
+
+    if (newAvailability === 'preorder' && !newReleaseDate) {
+      return res.status(400).json({ error: 'Pre-order products need a release date' })
+    }
+
     // Update product
-    await db.run(
-      `UPDATE products 
-       SET title = ?, artist = ?, price = ?, image = ?, year = ?, genre = ?, stock = ?, type = ?
-       WHERE id = ?`,
-      [title, artist, price, image, year, genre, stock, type, productId]
-    )
+    await withTransaction(db, async () => {
+      await db.run(
+        `UPDATE products 
+         SET title = ?, artist = ?, price = ?, image = ?, year = ?, genre = ?, type = ?,
+             is_gift_card = COALESCE(?, is_gift_card),
+             is_digital = CASE WHEN COALESCE(?, is_gift_card) = 1 THEN 1 ELSE COALESCE(?, is_digital) END,
+             weight_grams = COALESCE(?, weight_grams),
+             max_per_order = CASE WHEN ? THEN ? ELSE max_per_order END,
+             availability = ?,
+             release_date = ?
+         WHERE id = ?`,
+        [
+          title, artist, price, image, year, genre, type,
+          is_gift_card === undefined ? null : (is_gift_card ? 1 : 0),
+          is_gift_card === undefined ? null : (is_gift_card ? 1 : 0),
+          is_digital === undefined ? null : (is_digital ? 1 : 0),
+          weightNum,
+          max_per_order !== undefined ? 1 : 0, maxPerOrder,
+          newAvailability,
+          newReleaseDate || null,
+          productId
+        ]
+      )
+
+      if (stockNum !== null) {
+        const currentStock = await getStock(db, { productId })
+        await recordStockMovement(db, { productId }, stockNum - currentStock, 'adjustment', {
+          reason: 'Stock set on product update',
+          createdBy: req.session.humanId
+        })
+      }
+
+      // New stock or an earlier release date may fill orders waiting on it
+      await releaseAllAwaitingStock(db, productId)
+      await sendWishlistAlerts(db, { productId }, existing)
+    })
 
     res.json({ message: 'Product updated successfully', productId })
 
@@ -1,4 +1,5 @@
 import { getDBConnection } from '../db/db.js'
+import { sendWishlistAlerts, wishlistSnapshot } from '../services/wishlistService.js'
 
 /**
  * Get all songs with optional filters
@@ -202,8 +203,8 @@ export async function updateSong(req, res) {
   try {
     const db = await getDBConnection()
 
-    // Check if song exists
-    const song = await db.get('SELECT id FROM songs WHERE id = ?', [songId])
+    // Check if song exists (and note its price for wishlist alerts)
+    const song = await wishlistSnapshot(db, { songId })
     if (!song) {
       return res.status(404).json({ error: 'Song not found' })
     }
@@ -253,6 +254,7 @@ export async function updateSong(req, res) {
     const query = `UPDATE songs SET ${updates.join(', ')} WHERE id = ?`
 
     await db.run(query, params)
+    await sendWishlistAlerts(db, { songId }, song)
 
     await db.close()
     res.json({ message: 'Song updated successfully' })
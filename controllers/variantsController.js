@@ -0,0 +1,279 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { getStock, recordStockMovement } from '../services/inventoryService.js'
+import { createVariant } from '../services/variantService.js'
+import { releaseAwaitingStock } from '../services/backorderService.js'
+import { sendWishlistAlerts, wishlistSnapshot } from '../services/wishlistService.js'
+
+/**
+ * Check the optional price override, image, barcode and weight of a variant
+ * body. Returns an error message, or null if they're fine.
+ */
+function variantFieldsError({ price, image, barcode, weightGrams }) {
+  if (price !== undefined && price !== null && (isNaN(Number(price)) || Number(price) <= 0)) {
+    return 'Price must be a positive number, or null to use the product price'
+  }
+
+  if (image !== undefined && image !== null && typeof image !== 'string') {
+    return 'Image must be a path, or null to use the product image'
+  }
+
+  if (barcode !== undefined && barcode !== null && !String(barcode).trim()) {
+    return 'Barcode cannot be empty; use null to clear it'
+  }
+
+  if (weightGrams !== undefined && weightGrams !== null && (!Number.isInteger(Number(weightGrams)) || Number(weightGrams) < 0)) {
+    return 'Weight must be a non-negative whole number of grams, or null to use the product weight'
+  }
+
+  return null
+}
+
+/**
+ * Add a variant to a product
+ * Body: { sku, options: { [option]: value }, format, barcode, price, image, weightGrams, stock }
+ *   - options: e.g. { "Color": "Red", "Size": "L" } - every variant of a
+ *     product chooses the same options
+ *   - format: for a release's formats - vinyl, cd, cassette or digital;
+ *     options can then be left out. A digital format is a download.
+ *   - barcode: the UPC/EAN, unique across variants
+ *   - price / image / weightGrams: override the product's (leave out to use them)
+ *   - stock: opening stock, recorded in the inventory ledger (default 0)
+ */
+export async function createProductVariant(req, res) {
+  const productId = parseInt(req.params.id, 10)
+  const sku = req.body.sku ? String(req.body.sku).trim() : ''
+  const stock = req.body.stock !== undefined ? Number(req.body.stock) : 0
+
+  if (isNaN(productId)) {
+    return res.status(400).json({ error: 'Invalid product ID' })
+  }
+
+  if (!sku) {
+    return res.status(400).json({ error: 'SKU is required' })
+  }
+
+  if (!Number.isInteger(stock) || stock < 0) {
+    return res.status(400).json({ error: 'Stock must be a non-negative whole number' })
+  }
+
+  if (req.body.format === 'digital' && stock > 0) {
+    return res.status(400).json({ error: 'A digital format is a download and carries no stock' })
+  }
+
+  const fieldsError = variantFieldsError(req.body)
+
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const before = await wishlistSnapshot(db, { productId })
+
+      if (!before) {
+        return { success: false, status: 404, error: 'Product not found' }
+      }
+
+      const created = await createVariant(db, productId, {
+        sku,
+        price: req.body.price ? Number(req.body.price) : null,
+        image: req.body.image ? req.body.image.trim() : null,
+        options: req.body.options,
+        format: req.body.format || null,
+        barcode: req.body.barcode ? String(req.body.barcode).trim() : null,
+        weightGrams: req.body.weightGrams !== undefined && req.body.weightGrams !== null ? Number(req.body.weightGrams) : null
+      })
+
+      if (!created.success) {
+        return created
+      }
+
+      await recordStockMovement(db, { productId, variantId: created.variantId }, stock, 'initial', {
+        reason: 'Opening balance',
+        createdBy: req.session.humanId
+      })
+      await sendWishlistAlerts(db, { productId }, before)
+
+      return created
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.status(201).json({ message: 'Variant created', variantId: result.variantId, label: result.label })
+
+  } catch (err) {
+    console.error('Error creating variant:', err)
+    res.status(500).json({ error: 'Failed to create variant' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Update a variant
+ * Body: { sku, barcode, price, image, weightGrams, isActive, stock } - all
+ * optional; price, image and weightGrams null go back to the product's and
+ * barcode null clears it. A new stock count is recorded in the inventory
+ * ledger as an adjustment. A variant's options and format can't change;
+ * deactivate it and add a new one instead.
+ */
+export async function updateProductVariant(req, res) {
+  const productId = parseInt(req.params.id, 10)
+  const variantId = parseInt(req.params.variantId, 10)
+  const { sku, barcode, price, image, weightGrams, isActive } = req.body
+  const stock = req.body.stock !== undefined && req.body.stock !== null ? Number(req.body.stock) : null
+
+  if (isNaN(productId) || isNaN(variantId)) {
+    return res.status(400).json({ error: 'Invalid ID' })
+  }
+
+  if (sku !== undefined && !String(sku).trim()) {
+    return res.status(400).json({ error: 'SKU cannot be empty' })
+  }
+
+  if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+    return res.status(400).json({ error: 'Stock must be a non-negative whole number' })
+  }
+
+  const fieldsError = variantFieldsError(req.body)
+
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const variant = await db.get(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, productId]
+      )
+
+      if (!variant) {
+        return { success: false, status: 404, error: 'Variant not found' }
+      }
+
+      if (sku !== undefined && await db.get('SELECT 1 FROM product_variants WHERE sku = ? AND id != ?', [String(sku).trim(), variantId])) {
+        return { success: false, status: 409, error: `SKU ${String(sku).trim()} is already in use` }
+      }
+
+      if (barcode && await db.get('SELECT 1 FROM product_variants WHERE barcode = ? AND id != ?', [String(barcode).trim(), variantId])) {
+        return { success: false, status: 409, error: `Barcode ${String(barcode).trim()} is already in use` }
+      }
+
+      const before = await wishlistSnapshot(db, { productId })
+
+      await db.run(
+        `UPDATE product_variants
+         SET sku = COALESCE(?, sku),
+             barcode = CASE WHEN ? THEN ? ELSE barcode END,
+             price = CASE WHEN ? THEN ? ELSE price END,
+             image = CASE WHEN ? THEN ? ELSE image END,
+             weight_grams = CASE WHEN ? THEN ? ELSE weight_grams END,
+             is_active = COALESCE(?, is_active)
+         WHERE id = ?`,
+        [
+          sku !== undefined ? String(sku).trim() : null,
+          barcode !== undefined ? 1 : 0, barcode ? String(barcode).trim() : null,
+          price !== undefined ? 1 : 0, price ? Number(price) : null,
+          image !== undefined ? 1 : 0, image ? image.trim() : null,
+          weightGrams !== undefined ? 1 : 0, weightGrams !== null && weightGrams !== undefined ? Number(weightGrams) : null,
+          isActive === undefined ? null : (isActive ? 1 : 0),
+          variantId
+        ]
+      )
+
+      if (stock !== null) {
+        const target = { productId, variantId }
+        await recordStockMovement(db, target, stock - await getStock(db, target), 'adjustment', {
+          reason: 'Stock set on variant update',
+          createdBy: req.session.humanId
+        })
+        await releaseAwaitingStock(db, productId, variantId)
+      }
+
+      await sendWishlistAlerts(db, { productId }, before)
+
+      return { success: true }
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.json({ message: 'Variant updated', variantId })
+
+  } catch (err) {
+    console.error('Error updating variant:', err)
+    res.status(500).json({ error: 'Failed to update variant' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Delete a variant that has never been ordered or had stock moved
+ * (deactivate ones that have). Options and values no other variant uses
+ * go with it.
+ */
+export async function deleteProductVariant(req, res) {
+  const productId = parseInt(req.params.id, 10)
+  const variantId = parseInt(req.params.variantId, 10)
+
+  if (isNaN(productId) || isNaN(variantId)) {
+    return res.status(400).json({ error: 'Invalid ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await withTransaction(db, async () => {
+      const variant = await db.get(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, productId]
+      )
+
+      if (!variant) {
+        return { success: false, status: 404, error: 'Variant not found' }
+      }
+
+      if (await db.get('SELECT 1 FROM order_items WHERE variant_id = ? LIMIT 1', [variantId])) {
+        return { success: false, status: 409, error: 'This variant has been ordered; deactivate it instead' }
+      }
+
+      // Deleting would take its stock ledger with it
+      if (await db.get('SELECT 1 FROM stock_movements WHERE variant_id = ? LIMIT 1', [variantId])) {
+        return { success: false, status: 409, error: 'This variant has stock history; deactivate it instead' }
+      }
+
+      await db.run('DELETE FROM product_variants WHERE id = ?', [variantId])
+      await db.run(
+        `DELETE FROM product_option_values
+         WHERE option_type_id IN (SELECT id FROM product_option_types WHERE product_id = ?)
+         AND id NOT IN (SELECT option_value_id FROM product_variant_options)`,
+        [productId]
+      )
+      await db.run(
+        `DELETE FROM product_option_types
+         WHERE product_id = ? AND id NOT IN (SELECT option_type_id FROM product_option_values)`,
+        [productId]
+      )
+
+      return { success: true }
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    res.status(204).send()
+
+  } catch (err) {
+    console.error('Error deleting variant:', err)
+    res.status(500).json({ error: 'Failed to delete variant' })
+  } finally {
+    await db.close()
+  }
+}
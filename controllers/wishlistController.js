@@ -0,0 +1,305 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { checkCartQuantity } from '../services/cartService.js'
+import { wishlistSnapshot } from '../services/wishlistService.js'
+import { releaseReservations } from '../services/reservationService.js'
+import { checkVariantChoice } from '../services/variantService.js'
+
+/**
+ * The current user's wishlist, newest first, with current prices and
+ * availability (a saved variant's own, otherwise the product's)
+ */
+export async function getWishlist(req, res) {
+  const db = await getDBConnection()
+  try {
+    const items = await db.all(
+      `SELECT
+         w.id AS wishlistItemId,
+         w.product_id AS productId,
+         w.song_id AS songId,
+         w.variant_id AS variantId,
+         v.label AS variantLabel,
+         w.quantity,
+         w.saved_from_cart AS savedFromCart,
+         w.notify_price_drop AS notifyPriceDrop,
+         w.notify_back_in_stock AS notifyBackInStock,
+         w.price_when_added AS priceWhenAdded,
+         w.added_at AS addedAt,
+         COALESCE(p.title, s.title) AS title,
+         COALESCE(p.artist, a.stage_name) AS artist,
+         COALESCE(v.price, p.price, s.individual_price) AS price,
+         COALESCE(v.image, p.image) AS image,
+         CASE WHEN w.product_id IS NOT NULL THEN 'product' ELSE 'song' END AS type,
+         CASE WHEN w.song_id IS NOT NULL OR p.is_digital = 1 THEN 1
+              WHEN v.id IS NOT NULL THEN v.is_active = 1 AND (v.is_digital = 1 OR v.stock > 0)
+              WHEN EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = 1)
+                THEN EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active = 1
+                             AND (pv.is_digital = 1 OR pv.stock > 0))
+              ELSE p.stock > 0 END AS inStock
+       FROM wishlist_items w
+       LEFT JOIN products p ON w.product_id = p.id
+       LEFT JOIN product_variants v ON w.variant_id = v.id
+       LEFT JOIN songs s ON w.song_id = s.id
+       LEFT JOIN artists a ON s.artist_human_id = a.human_id
+       WHERE w.human_id = ?
+       ORDER BY w.added_at DESC, w.id DESC`,
+      [req.session.humanId]
+    )
+
+    res.json({
+      items: items.map(item => ({
+        ...item,
+        savedFromCart: !!item.savedFromCart,
+        notifyPriceDrop: !!item.notifyPriceDrop,
+        notifyBackInStock: !!item.notifyBackInStock,
+        inStock: !!item.inStock
+      }))
+    })
+
+  } catch (err) {
+    console.error('Get wishlist error:', err)
+    res.status(500).json({ error: 'Failed to retrieve wishlist' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Add a product or song to the wishlist
+ * Body: { productId, songId, variantId, notifyPriceDrop, notifyBackInStock }
+ * variantId optionally saves one variant of a product. Adding something
+ * already on the wishlist just updates its alert choices.
+ */
+export async function addToWishlist(req, res) {
+  const productId = req.body.productId ? parseInt(req.body.productId, 10) : null
+  const songId = req.body.songId ? parseInt(req.body.songId, 10) : null
+  const variantId = req.body.variantId ? parseInt(req.body.variantId, 10) : null
+  const { notifyPriceDrop, notifyBackInStock } = req.body
+
+  if (!productId === !songId) {
+    return res.status(400).json({ error: 'Must specify either productId or songId' })
+  }
+
+  if (isNaN(productId) || isNaN(songId)) {
+    return res.status(400).json({ error: 'Invalid product or song ID' })
+  }
+
+  if (variantId && (isNaN(variantId) || !productId)) {
+    return res.status(400).json({ error: 'Invalid variant ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+    const current = await wishlistSnapshot(db, { productId, songId })
+
+    if (!current) {
+      return res.status(404).json({ error: productId ? 'Product not found' : 'Song not found' })
+    }
+
+    let price = current.price
+
+    if (variantId) {
+      const choice = await checkVariantChoice(db, productId, variantId)
+
+      if (!choice.success) {
+        return res.status(choice.status).json({ error: choice.error })
+      }
+
+      price = (await wishlistSnapshot(db, { productId, variantId })).price
+    }
+
+    const existing = await db.get(
+      'SELECT id FROM wishlist_items WHERE human_id = ? AND product_id IS ? AND song_id IS ? AND variant_id IS ?',
+      [humanId, productId, songId, variantId]
+    )
+
+    if (existing) {
+      await db.run(
+        `UPDATE wishlist_items
+         SET notify_price_drop = COALESCE(?, notify_price_drop),
+             notify_back_in_stock = COALESCE(?, notify_back_in_stock)
+         WHERE id = ?`,
+        [
+          notifyPriceDrop === undefined ? null : (notifyPriceDrop ? 1 : 0),
+          notifyBackInStock === undefined ? null : (notifyBackInStock ? 1 : 0),
+          existing.id
+        ]
+      )
+
+      return res.json({ message: 'Already on your wishlist', wishlistItemId: existing.id })
+    }
+
+    const result = await db.run(
+      `INSERT INTO wishlist_items (human_id, product_id, song_id, variant_id, notify_price_drop, notify_back_in_stock, price_when_added)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [humanId, productId, songId, variantId, notifyPriceDrop ? 1 : 0, notifyBackInStock ? 1 : 0, price]
+    )
+
+    res.status(201).json({ message: 'Added to wishlist', wishlistItemId: result.lastID })
+
+  } catch (err) {
+    console.error('Add to wishlist error:', err)
+    res.status(500).json({ error: 'Failed to add to wishlist' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Turn a wishlist item's price-drop and back-in-stock emails on or off
+ * Body: { notifyPriceDrop, notifyBackInStock } - either or both
+ */
+export async function updateWishlistItem(req, res) {
+  const itemId = parseInt(req.params.itemId, 10)
+  const { notifyPriceDrop, notifyBackInStock } = req.body
+
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' })
+  }
+
+  if (notifyPriceDrop === undefined && notifyBackInStock === undefined) {
+    return res.status(400).json({ error: 'No fields to update' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await db.run(
+      `UPDATE wishlist_items
+       SET notify_price_drop = COALESCE(?, notify_price_drop),
+           notify_back_in_stock = COALESCE(?, notify_back_in_stock)
+       WHERE id = ? AND human_id = ?`,
+      [
+        notifyPriceDrop === undefined ? null : (notifyPriceDrop ? 1 : 0),
+        notifyBackInStock === undefined ? null : (notifyBackInStock ? 1 : 0),
+        itemId,
+        req.session.humanId
+      ]
+    )
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+
+    res.json({ message: 'Wishlist item updated' })
+
+  } catch (err) {
+    console.error('Update wishlist item error:', err)
+    res.status(500).json({ error: 'Failed to update wishlist item' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Remove an item from the wishlist
+ */
+export async function removeFromWishlist(req, res) {
+  const itemId = parseInt(req.params.itemId, 10)
+
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const result = await db.run(
+      'DELETE FROM wishlist_items WHERE id = ? AND human_id = ?',
+      [itemId, req.session.humanId]
+    )
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+
+    res.status(204).send()
+
+  } catch (err) {
+    console.error('Remove from wishlist error:', err)
+    res.status(500).json({ error: 'Failed to remove from wishlist' })
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Move a wishlist item into the cart, with the quantity it was saved with
+ * added to any already there. Stock and purchase limits apply as for
+ * adding to the cart, so a product sold by variant must have been saved
+ * as one of its variants.
+ */
+export async function moveToCart(req, res) {
+  const itemId = parseInt(req.params.itemId, 10)
+
+  if (isNaN(itemId)) {
+    return res.status(400).json({ error: 'Invalid item ID' })
+  }
+
+  const db = await getDBConnection()
+  try {
+    const humanId = req.session.humanId
+
+    const result = await withTransaction(db, async () => {
+      const item = await db.get(
+        'SELECT * FROM wishlist_items WHERE id = ? AND human_id = ?',
+        [itemId, humanId]
+      )
+
+      if (!item) {
+        return { success: false, status: 404, error: 'Item not found' }
+      }
+
+      const inCart = await db.get(
+        'SELECT id, quantity FROM cart_items WHERE human_id = ? AND product_id IS ? AND song_id IS ? AND variant_id IS ?',
+        [humanId, item.product_id, item.song_id, item.variant_id]
+      )
+
+      const check = await checkCartQuantity(
+        db,
+        { productId: item.product_id, songId: item.song_id, variantId: item.variant_id },
+        (inCart ? inCart.quantity : 0) + item.quantity,
+        humanId
+      )
+
+      if (!check.success) {
+        return { ...check, inCart: inCart ? inCart.quantity : 0 }
+      }
+
+      let cartItemId
+      if (inCart) {
+        await db.run(
+          'UPDATE cart_items SET quantity = quantity + ?, stock_when_added = ? WHERE id = ?',
+          [item.quantity, check.stock, inCart.id]
+        )
+        cartItemId = inCart.id
+      } else {
+        const insert = await db.run(
+          'INSERT INTO cart_items (human_id, product_id, song_id, variant_id, quantity, stock_when_added) VALUES (?, ?, ?, ?, ?, ?)',
+          [humanId, item.product_id, item.song_id, item.variant_id, item.quantity, check.stock]
+        )
+        cartItemId = insert.lastID
+      }
+
+      await db.run('DELETE FROM wishlist_items WHERE id = ?', [itemId])
+      await releaseReservations(db, humanId)
+
+      return { success: true, cartItemId }
+    })
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        error: result.error,
+        available: result.available,
+        maxPerOrder: result.maxPerOrder,
+        inCart: result.inCart
+      })
+    }
+
+    res.json({ message: 'Moved to cart', cartItemId: result.cartItemId })
+
+  } catch (err) {
+    console.error('Move to cart error:', err)
+    res.status(500).json({ error: 'Failed to move item to cart' })
+  } finally {
+    await db.close()
+  }
+}
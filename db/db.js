@@ -14,6 +14,48 @@ const dbPath = path.join('database.db')
  // Enable foreign key constraints
  await db.run('PRAGMA foreign_keys = ON')
  
+ // Wait for competing writers instead of failing immediately with SQLITE_BUSY
+ await db.run('PRAGMA busy_timeout = 5000')
+
  return db
  
 } 
+
+/**
+ * Run `work(db)` inside a write transaction.
+ * Commits when it resolves, rolls back and rethrows when it throws.
+ * BEGIN IMMEDIATE takes the write lock up front so stock checks made inside
+ * the transaction can't be invalidated by another connection before we write.
+ * Callbacks registered with afterCommit() run once the commit succeeds.
+ */
+export async function withTransaction(db, work) {
+  await db.exec('BEGIN IMMEDIATE')
+  db.afterCommitCallbacks = []
+  let callbacks
+  try {
+    const result = await work(db)
+    await db.exec('COMMIT')
+    callbacks = db.afterCommitCallbacks
+    return result
+  } catch (err) {
+    await db.exec('ROLLBACK')
+    throw err
+  } finally {
+    db.afterCommitCallbacks = null
+    for (const callback of callbacks || []) {
+      callback()
+    }
+  }
+}
+
+/**
+ * Run `callback` after the current transaction commits (or straight away
+ * when there isn't one), e.g. to send mail only for changes that stuck
+ */
+export function afterCommit(db, callback) {
+  if (db.afterCommitCallbacks) {
+    db.afterCommitCallbacks.push(callback)
+  } else {
+    callback()
+  }
+}
@@ -20,6 +20,31 @@ import * as migration007 from './migrations/007-seed-artists-from-products.js'
 import * as migration008 from './migrations/008-rename-artist-id-to-artist-human-id.js'
 import * as migration009 from './migrations/009-unique-constraints.js'
 import * as migration010 from './migrations/010-add-song-support-to-cart.js'
+import * as migration011 from './migrations/011-add-song-support-to-order-items.js'
+import * as migration012 from './migrations/012-digital-downloads.js'
+import * as migration013 from './migrations/013-order-status-history.js'
+import * as migration014 from './migrations/014-order-refunds.js'
+import * as migration015 from './migrations/015-payments.js'
+import * as migration016 from './migrations/016-tax-rates.js'
+import * as migration017 from './migrations/017-order-addresses.js'
+import * as migration018 from './migrations/018-shipping.js'
+import * as migration019 from './migrations/019-order-numbers-idempotency.js'
+import * as migration020 from './migrations/020-invoices.js'
+import * as migration021 from './migrations/021-coupon-permissions.js'
+import * as migration022 from './migrations/022-coupon-customer-rules.js'
+import * as migration023 from './migrations/023-scoped-discounts.js'
+import * as migration024 from './migrations/024-gift-cards-store-credit.js'
+import * as migration025 from './migrations/025-loyalty-points.js'
+import * as migration026 from './migrations/026-guest-carts.js'
+import * as migration027 from './migrations/027-cart-quantity-limits.js'
+import * as migration028 from './migrations/028-wishlist.js'
+import * as migration029 from './migrations/029-stock-reservations.js'
+import * as migration030 from './migrations/030-inventory-ledger.js'
+import * as migration031 from './migrations/031-backorders-preorders.js'
+import * as migration032 from './migrations/032-product-variants.js'
+import * as migration033 from './migrations/033-release-formats.js'
+import * as migration034 from './migrations/034-shipping-method-scope.js'
+import * as migration035 from './migrations/035-payment-refunds.js'
 
 const migrations = [
   { id: '001', name: 'create-new-schema', module: migration001 },
@@ -31,7 +56,32 @@ const migrations = [
   { id: '007', name: 'seed-artists-from-products', module: migration007 },
   { id: '008', name: 'rename-artist-id-to-artist-human-id', module: migration008 },
   { id: '009', name: 'unique-constraints', module: migration009 },
-  { id: '010', name: 'add-song-support-to-cart', module: migration010 }
+  { id: '010', name: 'add-song-support-to-cart', module: migration010 },
+  { id: '011', name: 'add-song-support-to-order-items', module: migration011 },
+  { id: '012', name: 'digital-downloads', module: migration012 },
+  { id: '013', name: 'order-status-history', module: migration013 },
+  { id: '014', name: 'order-refunds', module: migration014 },
+  { id: '015', name: 'payments', module: migration015 },
+  { id: '016', name: 'tax-rates', module: migration016 },
+  { id: '017', name: 'order-addresses', module: migration017 },
+  { id: '018', name: 'shipping', module: migration018 },
+  { id: '019', name: 'order-numbers-idempotency', module: migration019 },
+  { id: '020', name: 'invoices', module: migration020 },
+  { id: '021', name: 'coupon-permissions', module: migration021 },
+  { id: '022', name: 'coupon-customer-rules', module: migration022 },
+  { id: '023', name: 'scoped-discounts', module: migration023 },
+  { id: '024', name: 'gift-cards-store-credit', module: migration024 },
+  { id: '025', name: 'loyalty-points', module: migration025 },
+  { id: '026', name: 'guest-carts', module: migration026 },
+  { id: '027', name: 'cart-quantity-limits', module: migration027 },
+  { id: '028', name: 'wishlist', module: migration028 },
+  { id: '029', name: 'stock-reservations', module: migration029 },
+  { id: '030', name: 'inventory-ledger', module: migration030 },
+  { id: '031', name: 'backorders-preorders', module: migration031 },
+  { id: '032', name: 'product-variants', module: migration032 },
+  { id: '033', name: 'release-formats', module: migration033 },
+  { id: '034', name: 'shipping-method-scope', module: migration034 },
+  { id: '035', name: 'payment-refunds', module: migration035 }
 ]
 
 async function createMigrationsTable() {
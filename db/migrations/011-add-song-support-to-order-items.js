@@ -0,0 +1,131 @@
+/**
+ * Migration 011: Add Song Support to Order Items
+ *
+ * Lets individual songs be recorded on orders alongside products
+ * - Add song_id column to order_items
+ * - Make product_id nullable
+ * - Add constraint that either product_id or song_id must be set
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 011: Add song support to order items...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Rename old order_items table
+    await db.exec('ALTER TABLE order_items RENAME TO order_items_old')
+    console.log('✓ Renamed old order_items table')
+
+    // 2. Create new order_items table with song_id support
+    await db.exec(`
+      CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        product_id INTEGER,
+        song_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        unit_price REAL NOT NULL,
+        line_total REAL NOT NULL,
+        artist_human_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+        FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE RESTRICT,
+        FOREIGN KEY (artist_human_id) REFERENCES artists(human_id) ON DELETE SET NULL,
+        CHECK (product_id IS NOT NULL OR song_id IS NOT NULL)
+      )
+    `)
+    console.log('✓ Created new order_items table with song support')
+
+    // 3. Copy data from old table
+    await db.exec(`
+      INSERT INTO order_items (id, order_id, product_id, quantity, unit_price, line_total, artist_human_id, created_at)
+      SELECT id, order_id, product_id, quantity, unit_price, line_total, artist_human_id, created_at
+      FROM order_items_old
+    `)
+    console.log('✓ Migrated order item data')
+
+    // 4. Drop old table (its indexes go with it)
+    await db.exec('DROP TABLE order_items_old')
+    console.log('✓ Dropped old order_items table')
+
+    // 5. Recreate indexes
+    await db.exec(`
+      CREATE INDEX idx_order_items_order ON order_items(order_id);
+      CREATE INDEX idx_order_items_product ON order_items(product_id);
+      CREATE INDEX idx_order_items_song ON order_items(song_id);
+      CREATE INDEX idx_order_items_artist ON order_items(artist_human_id);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 011 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 011...')
+
+  const db = await getDBConnection()
+
+  try {
+    // Rename new table
+    await db.exec('ALTER TABLE order_items RENAME TO order_items_new')
+
+    // Recreate old table
+    await db.exec(`
+      CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        unit_price REAL NOT NULL,
+        line_total REAL NOT NULL,
+        artist_human_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+        FOREIGN KEY (artist_human_id) REFERENCES artists(human_id) ON DELETE SET NULL
+      )
+    `)
+
+    // Copy back data (only products)
+    await db.exec(`
+      INSERT INTO order_items (id, order_id, product_id, quantity, unit_price, line_total, artist_human_id, created_at)
+      SELECT id, order_id, product_id, quantity, unit_price, line_total, artist_human_id, created_at
+      FROM order_items_new
+      WHERE song_id IS NULL
+    `)
+
+    // Drop new table
+    await db.exec('DROP TABLE order_items_new')
+
+    await db.exec(`
+      CREATE INDEX idx_order_items_order ON order_items(order_id);
+      CREATE INDEX idx_order_items_product ON order_items(product_id);
+      CREATE INDEX idx_order_items_artist ON order_items(artist_human_id);
+    `)
+
+    await db.close()
+    console.log('✅ Migration 011 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
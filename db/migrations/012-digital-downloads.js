@@ -0,0 +1,76 @@
+/**
+ * Migration 012: Digital Download Fulfillment
+ *
+ * Prepares download_links (created in 006) for order fulfillment
+ * - Adds is_digital flag to products (digital albums are delivered as a zip of their tracks)
+ * - Links each download to the order line it fulfills
+ * - Tracks when a link was last used
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 012: Digital download fulfillment...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Flag products that are sold as downloads rather than shipped
+    await db.exec(`
+      ALTER TABLE products
+      ADD COLUMN is_digital INTEGER DEFAULT 0 CHECK(is_digital IN (0, 1))
+    `)
+    console.log('✓ Added is_digital column to products table')
+
+    // 2. Tie download links to the order line they were issued for
+    await db.exec(`
+      ALTER TABLE download_links
+      ADD COLUMN order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE
+    `)
+    await db.exec(`
+      ALTER TABLE download_links
+      ADD COLUMN last_downloaded_at TEXT
+    `)
+    console.log('✓ Added order_item_id and last_downloaded_at columns to download_links table')
+
+    await db.exec(`
+      CREATE INDEX idx_download_links_order_item ON download_links(order_item_id);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 012 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 012...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP INDEX IF EXISTS idx_download_links_order_item')
+    await db.exec('ALTER TABLE download_links DROP COLUMN last_downloaded_at')
+    await db.exec('ALTER TABLE download_links DROP COLUMN order_item_id')
+    await db.exec('ALTER TABLE products DROP COLUMN is_digital')
+
+    await db.close()
+    console.log('✅ Migration 012 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
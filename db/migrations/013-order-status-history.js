@@ -0,0 +1,94 @@
+/**
+ * Migration 013: Order Status History
+ *
+ * Supports the order lifecycle state machine
+ * - order_status_history table - audit trail of every status change
+ * - orders.manage permission (granted to admin) for the admin orders API
+ * - Backfills an initial history entry for existing orders
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 013: Order status history...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Create history table
+    await db.exec(`
+      CREATE TABLE order_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        from_status TEXT, -- NULL for the entry written when the order is placed
+        to_status TEXT NOT NULL
+          CHECK(to_status IN ('pending', 'processing', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded')),
+        changed_by INTEGER, -- NULL when changed by the system (e.g. payment webhook)
+        note TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES humans(id) ON DELETE SET NULL
+      )
+    `)
+    console.log('✓ Created order_status_history table')
+
+    await db.exec(`
+      CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+    `)
+    console.log('✓ Created indexes')
+
+    // 2. Backfill an entry for orders placed before history was kept
+    await db.exec(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note, created_at)
+      SELECT id, NULL, status, human_id, 'Backfilled by migration 013', created_at
+      FROM orders
+    `)
+    console.log('✓ Backfilled history for existing orders')
+
+    // 3. Add permission and grant it to admins
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('orders.manage', 'orders', 'manage', 'Can view and update any order')`
+    )
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'admin' AND p.permission_name = 'orders.manage'
+    `)
+    console.log('✓ Added orders.manage permission')
+
+    await db.close()
+    console.log('✅ Migration 013 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 013...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`DELETE FROM permissions WHERE permission_name = 'orders.manage'`)
+    await db.exec('DROP INDEX IF EXISTS idx_order_status_history_order')
+    await db.exec('DROP TABLE IF EXISTS order_status_history')
+
+    await db.close()
+    console.log('✅ Migration 013 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,99 @@
+/**
+ * Migration 014: Order Cancellation and Refunds
+ *
+ * - order_refunds table - one row per refund action against an order
+ * - order_refund_items table - which lines (and how many units) each refund covered
+ * - Tracks refunded quantities/amounts on order_items and orders
+ * - Adds revoked_at to download_links so refunded downloads stop working
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 014: Order refunds...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Refund totals on orders and lines
+    await db.exec('ALTER TABLE orders ADD COLUMN refunded_amount REAL NOT NULL DEFAULT 0')
+    await db.exec('ALTER TABLE order_items ADD COLUMN refunded_quantity INTEGER NOT NULL DEFAULT 0')
+    await db.exec('ALTER TABLE order_items ADD COLUMN refunded_amount REAL NOT NULL DEFAULT 0')
+    console.log('✓ Added refund columns to orders and order_items')
+
+    // 2. Refund records
+    await db.exec(`
+      CREATE TABLE order_refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK(amount >= 0),
+        reason TEXT,
+        refunded_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (refunded_by) REFERENCES humans(id) ON DELETE SET NULL
+      )
+    `)
+
+    await db.exec(`
+      CREATE TABLE order_refund_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        refund_id INTEGER NOT NULL,
+        order_item_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        amount REAL NOT NULL,
+        FOREIGN KEY (refund_id) REFERENCES order_refunds(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+      )
+    `)
+    console.log('✓ Created order_refunds and order_refund_items tables')
+
+    // 3. Revocation for download links
+    await db.exec('ALTER TABLE download_links ADD COLUMN revoked_at TEXT')
+    console.log('✓ Added revoked_at column to download_links')
+
+    await db.exec(`
+      CREATE INDEX idx_order_refunds_order ON order_refunds(order_id);
+      CREATE INDEX idx_order_refund_items_refund ON order_refund_items(refund_id);
+      CREATE INDEX idx_order_refund_items_item ON order_refund_items(order_item_id);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 014 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 014...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS order_refund_items')
+    await db.exec('DROP TABLE IF EXISTS order_refunds')
+    await db.exec('ALTER TABLE download_links DROP COLUMN revoked_at')
+    await db.exec('ALTER TABLE order_items DROP COLUMN refunded_amount')
+    await db.exec('ALTER TABLE order_items DROP COLUMN refunded_quantity')
+    await db.exec('ALTER TABLE orders DROP COLUMN refunded_amount')
+
+    await db.close()
+    console.log('✅ Migration 014 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Migration 015: Payments
+ *
+ * - payments table - one row per payment attempt against an order
+ * - payment_webhook_events table - webhook event ids already processed,
+ *   so a provider retrying a webhook can't apply it twice
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 015: Payments...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      CREATE TABLE payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        reference TEXT NOT NULL UNIQUE, -- Provider's id for this payment
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK(status IN ('pending', 'authorized', 'captured', 'declined', 'failed', 'refunded', 'partially_refunded')),
+        amount REAL NOT NULL,
+        refunded_amount REAL NOT NULL DEFAULT 0,
+        failure_reason TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+      )
+    `)
+    console.log('✓ Created payments table')
+
+    await db.exec(`
+      CREATE TABLE payment_webhook_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL UNIQUE,
+        event_type TEXT NOT NULL,
+        reference TEXT,
+        received_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    console.log('✓ Created payment_webhook_events table')
+
+    await db.exec(`
+      CREATE INDEX idx_payments_order ON payments(order_id);
+      CREATE INDEX idx_payments_status ON payments(status);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 015 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 015...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS payment_webhook_events')
+    await db.exec('DROP TABLE IF EXISTS payments')
+
+    await db.close()
+    console.log('✅ Migration 015 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
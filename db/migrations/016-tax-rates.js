@@ -0,0 +1,112 @@
+/**
+ * Migration 016: Tax rates
+ *
+ * - tax_rates table - rates keyed by country / state / postal prefix and
+ *   product class (digital, physical, merch). NULL columns match anything.
+ * - Seeds the old hard-coded 8% as the default rate for the USA
+ * - order_items.tax_rate / tax_amount - the rate and tax charged per line,
+ *   backfilled for existing orders from their order-level tax
+ * - tax.manage permission (granted to admin) for the admin tax rates API
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 016: Tax rates...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Create tax_rates table
+    await db.exec(`
+      CREATE TABLE tax_rates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        country TEXT NOT NULL,
+        state_province TEXT,
+        postal_prefix TEXT,
+        product_class TEXT CHECK(product_class IN ('digital', 'physical', 'merch')),
+        rate REAL NOT NULL CHECK(rate >= 0 AND rate < 1),
+        description TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1 CHECK(is_active IN (0, 1)),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_tax_rates_location ON tax_rates(country, state_province)
+    `)
+    console.log('✓ Created tax_rates table')
+
+    await db.run(
+      `INSERT INTO tax_rates (country, rate, description) VALUES ('USA', 0.08, 'Default US sales tax')`
+    )
+    console.log('✓ Seeded default USA rate')
+
+    // 2. Per-line tax on order items
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN tax_rate REAL NOT NULL DEFAULT 0
+    `)
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN tax_amount REAL NOT NULL DEFAULT 0
+    `)
+
+    // Existing orders were taxed at one rate, so split their tax by line value
+    await db.exec(`
+      UPDATE order_items
+      SET tax_rate = CASE WHEN o.subtotal - o.discount_amount > 0
+                       THEN ROUND(o.tax_amount / (o.subtotal - o.discount_amount), 4) ELSE 0 END,
+          tax_amount = CASE WHEN o.subtotal > 0
+                         THEN ROUND(o.tax_amount * order_items.line_total / o.subtotal, 2) ELSE 0 END
+      FROM orders o
+      WHERE o.id = order_items.order_id
+    `)
+    console.log('✓ Added tax columns to order_items')
+
+    // 3. Add permission and grant it to admins
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('tax.manage', 'tax', 'manage', 'Can manage tax rates')`
+    )
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'admin' AND p.permission_name = 'tax.manage'
+    `)
+    console.log('✓ Added tax.manage permission')
+
+    await db.close()
+    console.log('✅ Migration 016 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 016...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`DELETE FROM permissions WHERE permission_name = 'tax.manage'`)
+    await db.exec('ALTER TABLE order_items DROP COLUMN tax_amount')
+    await db.exec('ALTER TABLE order_items DROP COLUMN tax_rate')
+    await db.exec('DROP TABLE IF EXISTS tax_rates')
+
+    await db.close()
+    console.log('✅ Migration 016 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
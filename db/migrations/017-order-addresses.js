@@ -0,0 +1,68 @@
+/**
+ * Migration 017: Order addresses
+ *
+ * Snapshots the shipping and billing address onto each order, so editing or
+ * removing an address book entry never changes where a past order went.
+ * The *_address_id columns keep a link back to the address book entry.
+ */
+
+import { getDBConnection } from '../db.js'
+
+const ADDRESS_FIELDS = ['street_line1', 'street_line2', 'city', 'state_province', 'postal_code', 'country']
+
+export async function up() {
+  console.log('Running migration 017: Order addresses...')
+
+  const db = await getDBConnection()
+
+  try {
+    for (const prefix of ['shipping', 'billing']) {
+      await db.exec(`
+        ALTER TABLE orders ADD COLUMN ${prefix}_address_id INTEGER REFERENCES addresses(id) ON DELETE SET NULL
+      `)
+
+      for (const field of ADDRESS_FIELDS) {
+        await db.exec(`ALTER TABLE orders ADD COLUMN ${prefix}_${field} TEXT`)
+      }
+
+      console.log(`✓ Added ${prefix} address columns to orders`)
+    }
+
+    await db.close()
+    console.log('✅ Migration 017 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 017...')
+
+  const db = await getDBConnection()
+
+  try {
+    for (const prefix of ['shipping', 'billing']) {
+      for (const field of ADDRESS_FIELDS) {
+        await db.exec(`ALTER TABLE orders DROP COLUMN ${prefix}_${field}`)
+      }
+      await db.exec(`ALTER TABLE orders DROP COLUMN ${prefix}_address_id`)
+    }
+
+    await db.close()
+    console.log('✅ Migration 017 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
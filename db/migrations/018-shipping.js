@@ -0,0 +1,108 @@
+/**
+ * Migration 018: Shipping
+ *
+ * - shipping_methods table - how a method is priced:
+ *     flat       base_rate per order
+ *     weight     base_rate + per_kg_rate for each started kilogram
+ *     free_over  free once the shipped goods reach free_over_amount, else base_rate
+ *   country limits a method to one destination country (NULL = anywhere)
+ * - Seeds standard / express / international methods
+ * - products.weight_grams, with default weights for existing shipped products
+ * - orders.shipping_method_id / shipping_method_name / shipping_amount
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 018: Shipping...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Create shipping_methods table
+    await db.exec(`
+      CREATE TABLE shipping_methods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        rate_type TEXT NOT NULL CHECK(rate_type IN ('flat', 'weight', 'free_over')),
+        base_rate REAL NOT NULL DEFAULT 0 CHECK(base_rate >= 0),
+        per_kg_rate REAL NOT NULL DEFAULT 0 CHECK(per_kg_rate >= 0),
+        free_over_amount REAL,
+        country TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1 CHECK(is_active IN (0, 1)),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        CHECK (rate_type != 'free_over' OR free_over_amount IS NOT NULL)
+      )
+    `)
+    console.log('✓ Created shipping_methods table')
+
+    await db.exec(`
+      INSERT INTO shipping_methods (name, description, rate_type, base_rate, per_kg_rate, free_over_amount, country, sort_order) VALUES
+        ('Standard', '5-7 business days, free on orders over $75', 'free_over', 5.99, 0, 75, 'USA', 1),
+        ('Express', '1-2 business days', 'weight', 12.99, 3.00, NULL, 'USA', 2),
+        ('International', '10-20 business days', 'weight', 19.99, 8.00, NULL, NULL, 3)
+    `)
+    console.log('✓ Seeded shipping methods')
+
+    // 2. Product weights
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN weight_grams INTEGER CHECK(weight_grams >= 0)
+    `)
+    await db.exec(`
+      UPDATE products
+      SET weight_grams = CASE WHEN type = 'Merch' THEN 250 ELSE 300 END
+      WHERE is_digital = 0 AND type != 'Single'
+    `)
+    console.log('✓ Added weight_grams to products')
+
+    // 3. Shipping on orders
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN shipping_method_id INTEGER REFERENCES shipping_methods(id) ON DELETE SET NULL
+    `)
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN shipping_method_name TEXT
+    `)
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN shipping_amount REAL NOT NULL DEFAULT 0
+    `)
+    console.log('✓ Added shipping columns to orders')
+
+    await db.close()
+    console.log('✅ Migration 018 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 018...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE orders DROP COLUMN shipping_amount')
+    await db.exec('ALTER TABLE orders DROP COLUMN shipping_method_name')
+    await db.exec('ALTER TABLE orders DROP COLUMN shipping_method_id')
+    await db.exec('ALTER TABLE products DROP COLUMN weight_grams')
+    await db.exec('DROP TABLE IF EXISTS shipping_methods')
+
+    await db.close()
+    console.log('✅ Migration 018 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
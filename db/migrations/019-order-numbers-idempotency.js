@@ -0,0 +1,85 @@
+/**
+ * Migration 019: Order numbers and idempotent checkout
+ *
+ * - order_number_sequences table - one counter per day, so order numbers
+ *   (ORD-YYYYMMDD-NNNNN) are handed out in sequence and can't collide.
+ *   Seeded past the highest number already used each day.
+ * - idempotency_keys table - the order and response for each Idempotency-Key
+ *   a customer has sent, so retrying a checkout returns the original order
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 019: Order numbers and idempotency keys...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Daily order number counters
+    await db.exec(`
+      CREATE TABLE order_number_sequences (
+        sequence_date TEXT PRIMARY KEY, -- YYYYMMDD
+        last_value INTEGER NOT NULL
+      )
+    `)
+    await db.exec(`
+      INSERT INTO order_number_sequences (sequence_date, last_value)
+      SELECT substr(order_number, 5, 8), MAX(CAST(substr(order_number, 14) AS INTEGER))
+      FROM orders
+      WHERE order_number LIKE 'ORD-________-%'
+      GROUP BY substr(order_number, 5, 8)
+    `)
+    console.log('✓ Created order_number_sequences table')
+
+    // 2. Idempotency keys
+    await db.exec(`
+      CREATE TABLE idempotency_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        order_id INTEGER,
+        response_status INTEGER, -- the response a retry gets back
+        response_body TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES customers(human_id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        UNIQUE (human_id, idempotency_key)
+      )
+    `)
+    console.log('✓ Created idempotency_keys table')
+
+    await db.close()
+    console.log('✅ Migration 019 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 019...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS idempotency_keys')
+    await db.exec('DROP TABLE IF EXISTS order_number_sequences')
+
+    await db.close()
+    console.log('✅ Migration 019 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,66 @@
+/**
+ * Migration 020: Invoices
+ *
+ * invoices table - every invoice issued for an order. The first is issued
+ * the first time the invoice is downloaded; admins can re-issue one (e.g.
+ * after a refund), which adds a new numbered version. PDFs are rendered
+ * from the order on demand, not stored.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 020: Invoices...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      CREATE TABLE invoices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        invoice_number TEXT NOT NULL UNIQUE,
+        version INTEGER NOT NULL DEFAULT 1,
+        issued_by INTEGER, -- NULL when issued by the customer downloading it
+        reason TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (issued_by) REFERENCES humans(id) ON DELETE SET NULL,
+        UNIQUE (order_id, version)
+      )
+    `)
+    console.log('✓ Created invoices table')
+
+    await db.close()
+    console.log('✅ Migration 020 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 020...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS invoices')
+
+    await db.close()
+    console.log('✅ Migration 020 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,77 @@
+/**
+ * Migration 021: Coupon permissions
+ *
+ * - coupons.manage (granted to admin) for the admin coupons API
+ * - coupons.create_own (granted to artist) lets artists run coupons that
+ *   only discount their own products
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 021: Coupon permissions...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Add permissions
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('coupons.manage', 'coupons', 'manage', 'Can manage all coupons')`
+    )
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('coupons.create_own', 'coupons', 'create_own', 'Can create coupons for own products')`
+    )
+
+    // 2. Grant them to admins and artists
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'admin' AND p.permission_name = 'coupons.manage'
+    `)
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'artist' AND p.permission_name = 'coupons.create_own'
+    `)
+    console.log('✓ Added coupons.manage and coupons.create_own permissions')
+
+    await db.close()
+    console.log('✅ Migration 021 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 021...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      DELETE FROM site_role_permissions WHERE permission_id IN (
+        SELECT id FROM permissions WHERE permission_name IN ('coupons.manage', 'coupons.create_own')
+      )
+    `)
+    await db.exec(`DELETE FROM permissions WHERE permission_name IN ('coupons.manage', 'coupons.create_own')`)
+
+    await db.close()
+    console.log('✅ Migration 021 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,83 @@
+/**
+ * Migration 022: Per-customer coupon rules
+ *
+ * - coupons.max_uses_per_customer - how many orders one customer can use it on
+ * - coupons.first_order_only - only valid on a customer's first order
+ * - coupons.new_customers_since - only for customers with no orders before
+ *   this date
+ * - coupon_customers table - allow-list of customers who may use a coupon.
+ *   A coupon with no rows here is open to everyone.
+ *
+ * All of these are checked against order history; cancelled orders don't
+ * count.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 022: Per-customer coupon rules...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Eligibility columns on coupons
+    await db.exec(`
+      ALTER TABLE coupons ADD COLUMN max_uses_per_customer INTEGER CHECK(max_uses_per_customer IS NULL OR max_uses_per_customer >= 1)
+    `)
+    await db.exec(`
+      ALTER TABLE coupons ADD COLUMN first_order_only INTEGER NOT NULL DEFAULT 0 CHECK(first_order_only IN (0, 1))
+    `)
+    await db.exec(`
+      ALTER TABLE coupons ADD COLUMN new_customers_since TEXT
+    `)
+    console.log('✓ Added per-customer rule columns to coupons')
+
+    // 2. Create coupon_customers allow-list
+    await db.exec(`
+      CREATE TABLE coupon_customers (
+        coupon_id INTEGER NOT NULL,
+        human_id INTEGER NOT NULL,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (coupon_id, human_id),
+        FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE
+      )
+    `)
+    console.log('✓ Created coupon_customers table')
+
+    await db.close()
+    console.log('✅ Migration 022 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 022...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS coupon_customers')
+    await db.exec('ALTER TABLE coupons DROP COLUMN new_customers_since')
+    await db.exec('ALTER TABLE coupons DROP COLUMN first_order_only')
+    await db.exec('ALTER TABLE coupons DROP COLUMN max_uses_per_customer')
+
+    await db.close()
+    console.log('✅ Migration 022 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
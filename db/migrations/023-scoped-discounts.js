@@ -0,0 +1,214 @@
+/**
+ * Migration 023: Scoped and conditional discounts
+ *
+ * - coupons is rebuilt so discount_type also allows 'buy_x_get_y' and
+ *   'tiered', with buy_quantity / get_quantity for buy-X-get-Y coupons
+ * - coupon_scopes table - limits a coupon to lines matching a genre, product
+ *   type, product or artist. A coupon with no scopes covers the whole cart.
+ * - coupon_tiers table - quantity tiers for 'tiered' coupons (percent off
+ *   once the cart holds at least min_quantity eligible units)
+ * - order_items.discount_amount - the discount given on each line, so
+ *   refunds give back what was actually paid for it. Backfilled by spreading
+ *   existing orders' discount over their lines by value.
+ */
+
+import { getDBConnection } from '../db.js'
+
+const COUPON_COLUMNS = `
+  id, code, description, discount_type, discount_value, min_purchase_amount, max_discount_amount,
+  creator_type, creator_id, valid_from, valid_until, max_uses, times_used, is_active, created_at,
+  max_uses_per_customer, first_order_only, new_customers_since`
+
+async function createCouponIndexes(db) {
+  await db.exec(`
+    CREATE UNIQUE INDEX idx_coupons_code ON coupons(code);
+    CREATE INDEX idx_coupons_active ON coupons(is_active, valid_from, valid_until);
+    CREATE INDEX idx_coupons_creator ON coupons(creator_type, creator_id);
+  `)
+}
+
+export async function up() {
+  console.log('Running migration 023: Scoped and conditional discounts...')
+
+  const db = await getDBConnection()
+
+  try {
+    // order_coupons and coupon_customers point at coupons; keep SQLite from
+    // following those references while the table is swapped out
+    await db.run('PRAGMA foreign_keys = OFF')
+
+    // 1. Rebuild coupons with the new discount types
+    await db.exec(`
+      CREATE TABLE coupons_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        description TEXT,
+        discount_type TEXT NOT NULL CHECK(discount_type IN ('percentage', 'fixed_amount', 'buy_x_get_y', 'tiered')),
+        discount_value REAL NOT NULL,
+        min_purchase_amount REAL DEFAULT 0,
+        max_discount_amount REAL,
+        creator_type TEXT NOT NULL CHECK(creator_type IN ('admin', 'vendor', 'artist')),
+        creator_id INTEGER NOT NULL,
+        valid_from TEXT DEFAULT CURRENT_TIMESTAMP,
+        valid_until TEXT,
+        max_uses INTEGER,
+        times_used INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1 CHECK(is_active IN (0, 1)),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        max_uses_per_customer INTEGER CHECK(max_uses_per_customer IS NULL OR max_uses_per_customer >= 1),
+        first_order_only INTEGER NOT NULL DEFAULT 0 CHECK(first_order_only IN (0, 1)),
+        new_customers_since TEXT,
+        buy_quantity INTEGER CHECK(buy_quantity IS NULL OR buy_quantity >= 1),
+        get_quantity INTEGER CHECK(get_quantity IS NULL OR get_quantity >= 1),
+        FOREIGN KEY (creator_id) REFERENCES humans(id) ON DELETE CASCADE,
+        CHECK (discount_type != 'buy_x_get_y' OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL))
+      )
+    `)
+    await db.exec(`
+      INSERT INTO coupons_new (${COUPON_COLUMNS})
+      SELECT ${COUPON_COLUMNS} FROM coupons
+    `)
+    await db.exec('DROP TABLE coupons')
+    await db.exec('ALTER TABLE coupons_new RENAME TO coupons')
+    await createCouponIndexes(db)
+    console.log('✓ Rebuilt coupons with buy_x_get_y and tiered discount types')
+
+    // 2. Create coupon_scopes table
+    await db.exec(`
+      CREATE TABLE coupon_scopes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        coupon_id INTEGER NOT NULL,
+        scope_type TEXT NOT NULL CHECK(scope_type IN ('genre', 'product_type', 'product', 'artist')),
+        scope_value TEXT NOT NULL,
+        UNIQUE(coupon_id, scope_type, scope_value),
+        FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE
+      )
+    `)
+    console.log('✓ Created coupon_scopes table')
+
+    // 3. Create coupon_tiers table
+    await db.exec(`
+      CREATE TABLE coupon_tiers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        coupon_id INTEGER NOT NULL,
+        min_quantity INTEGER NOT NULL CHECK(min_quantity >= 1),
+        discount_value REAL NOT NULL CHECK(discount_value > 0 AND discount_value <= 100),
+        UNIQUE(coupon_id, min_quantity),
+        FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE
+      )
+    `)
+    console.log('✓ Created coupon_tiers table')
+
+    await db.run('PRAGMA foreign_keys = ON')
+
+    const broken = await db.all('PRAGMA foreign_key_check')
+    if (broken.length > 0) {
+      throw new Error(`Foreign key check failed after rebuilding coupons: ${JSON.stringify(broken)}`)
+    }
+
+    // 4. Per-line discount on order items
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN discount_amount REAL NOT NULL DEFAULT 0
+    `)
+
+    const discountedOrders = await db.all(
+      'SELECT id, discount_amount FROM orders WHERE discount_amount > 0'
+    )
+
+    for (const order of discountedOrders) {
+      const items = await db.all(
+        'SELECT id, line_total FROM order_items WHERE order_id = ? ORDER BY id',
+        [order.id]
+      )
+      const subtotal = items.reduce((sum, item) => sum + item.line_total, 0)
+
+      // The last line takes whatever is left so the split adds up exactly
+      let discountLeft = order.discount_amount
+      for (const [index, item] of items.entries()) {
+        const lineDiscount = index === items.length - 1
+          ? discountLeft
+          : Math.round((subtotal > 0 ? order.discount_amount * item.line_total / subtotal : 0) * 100) / 100
+        discountLeft = Math.round((discountLeft - lineDiscount) * 100) / 100
+
+        await db.run('UPDATE order_items SET discount_amount = ? WHERE id = ?', [lineDiscount, item.id])
+      }
+    }
+    console.log(`✓ Added order_items.discount_amount (backfilled ${discountedOrders.length} orders)`)
+
+    await db.close()
+    console.log('✅ Migration 023 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 023...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE order_items DROP COLUMN discount_amount')
+    await db.exec('DROP TABLE IF EXISTS coupon_tiers')
+    await db.exec('DROP TABLE IF EXISTS coupon_scopes')
+
+    await db.run('PRAGMA foreign_keys = OFF')
+
+    // Coupons of the new types can't be expressed any more; switch them off
+    // as zero-value percentage coupons so orders that used them keep a row
+    await db.exec(`
+      CREATE TABLE coupons_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        description TEXT,
+        discount_type TEXT NOT NULL CHECK(discount_type IN ('percentage', 'fixed_amount')),
+        discount_value REAL NOT NULL,
+        min_purchase_amount REAL DEFAULT 0,
+        max_discount_amount REAL,
+        creator_type TEXT NOT NULL CHECK(creator_type IN ('admin', 'vendor', 'artist')),
+        creator_id INTEGER NOT NULL,
+        valid_from TEXT DEFAULT CURRENT_TIMESTAMP,
+        valid_until TEXT,
+        max_uses INTEGER,
+        times_used INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1 CHECK(is_active IN (0, 1)),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        max_uses_per_customer INTEGER CHECK(max_uses_per_customer IS NULL OR max_uses_per_customer >= 1),
+        first_order_only INTEGER NOT NULL DEFAULT 0 CHECK(first_order_only IN (0, 1)),
+        new_customers_since TEXT,
+        FOREIGN KEY (creator_id) REFERENCES humans(id) ON DELETE CASCADE
+      )
+    `)
+    await db.exec(`
+      INSERT INTO coupons_old (${COUPON_COLUMNS})
+      SELECT ${COUPON_COLUMNS.replace('discount_type, discount_value', `
+        CASE WHEN discount_type IN ('percentage', 'fixed_amount') THEN discount_type ELSE 'percentage' END,
+        CASE WHEN discount_type IN ('percentage', 'fixed_amount') THEN discount_value ELSE 0 END`)
+        .replace('is_active, created_at', `
+        CASE WHEN discount_type IN ('percentage', 'fixed_amount') THEN is_active ELSE 0 END, created_at`)}
+      FROM coupons
+    `)
+    await db.exec('DROP TABLE coupons')
+    await db.exec('ALTER TABLE coupons_old RENAME TO coupons')
+    await createCouponIndexes(db)
+
+    await db.run('PRAGMA foreign_keys = ON')
+
+    await db.close()
+    console.log('✅ Migration 023 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
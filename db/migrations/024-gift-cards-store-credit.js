@@ -0,0 +1,170 @@
+/**
+ * Migration 024: Gift cards and store credit
+ *
+ * - products.is_gift_card - gift cards are sold as digital products whose
+ *   price is the card's value. Seeds $25, $50 and $100 cards.
+ * - gift_cards table - one row per card issued, with its unique code. Cards
+ *   are issued when the order buying them is paid (or by an admin) and are
+ *   redeemed whole into the redeemer's store credit.
+ * - store_credit_ledger table - every change to a human's store credit;
+ *   the balance is the sum of the amounts
+ * - orders.store_credit_amount - store credit spent on the order
+ * - orders.store_credit_refunded - how much of that has been given back
+ * - gift_cards.manage permission (granted to admin)
+ */
+
+import { getDBConnection } from '../db.js'
+
+const GIFT_CARD_AMOUNTS = [25, 50, 100]
+
+export async function up() {
+  console.log('Running migration 024: Gift cards and store credit...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Gift card products
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN is_gift_card INTEGER DEFAULT 0 CHECK(is_gift_card IN (0, 1))
+    `)
+
+    for (const amount of GIFT_CARD_AMOUNTS) {
+      // A rollback keeps cards that were ordered; pick those back up rather than adding another
+      const existing = await db.run(
+        'UPDATE products SET is_gift_card = 1, is_digital = 1 WHERE title = ?',
+        [`Soul Provider Gift Card $${amount}`]
+      )
+
+      if (existing.changes > 0) {
+        continue
+      }
+
+      await db.run(
+        `INSERT INTO products (title, artist, price, image, type, is_digital, is_gift_card, stock)
+         VALUES (?, 'Soul Provider', ?, 'images/spiral_logo.png', 'Merch', 1, 1, 0)`,
+        [`Soul Provider Gift Card $${amount}`, amount]
+      )
+    }
+    console.log(`✓ Added products.is_gift_card and ${GIFT_CARD_AMOUNTS.length} gift card products`)
+
+    // 2. Create gift_cards table
+    await db.exec(`
+      CREATE TABLE gift_cards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'redeemed', 'void')),
+        order_id INTEGER,
+        order_item_id INTEGER,
+        purchased_by INTEGER,
+        issued_by INTEGER,
+        note TEXT,
+        redeemed_by INTEGER,
+        redeemed_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+        FOREIGN KEY (purchased_by) REFERENCES humans(id) ON DELETE SET NULL,
+        FOREIGN KEY (issued_by) REFERENCES humans(id) ON DELETE SET NULL,
+        FOREIGN KEY (redeemed_by) REFERENCES humans(id) ON DELETE SET NULL
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_gift_cards_order_item ON gift_cards(order_item_id);
+      CREATE INDEX idx_gift_cards_purchased_by ON gift_cards(purchased_by);
+    `)
+    console.log('✓ Created gift_cards table')
+
+    // 3. Create store_credit_ledger table
+    await db.exec(`
+      CREATE TABLE store_credit_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK(amount != 0),
+        entry_type TEXT NOT NULL CHECK(entry_type IN ('gift_card', 'order_payment', 'order_cancelled', 'refund')),
+        gift_card_id INTEGER,
+        order_id INTEGER,
+        note TEXT,
+        created_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE,
+        FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id) ON DELETE SET NULL,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES humans(id) ON DELETE SET NULL
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_store_credit_ledger_human ON store_credit_ledger(human_id, created_at)
+    `)
+    console.log('✓ Created store_credit_ledger table')
+
+    // 4. Store credit spent on orders
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN store_credit_amount REAL NOT NULL DEFAULT 0
+    `)
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN store_credit_refunded REAL NOT NULL DEFAULT 0
+    `)
+    console.log('✓ Added orders.store_credit_amount and store_credit_refunded')
+
+    // 5. Add permission and grant it to admins
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('gift_cards.manage', 'gift_cards', 'manage', 'Can issue and void gift cards')`
+    )
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'admin' AND p.permission_name = 'gift_cards.manage'
+    `)
+    console.log('✓ Added gift_cards.manage permission')
+
+    await db.close()
+    console.log('✅ Migration 024 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 024...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      DELETE FROM site_role_permissions WHERE permission_id IN (
+        SELECT id FROM permissions WHERE permission_name = 'gift_cards.manage'
+      )
+    `)
+    await db.exec(`DELETE FROM permissions WHERE permission_name = 'gift_cards.manage'`)
+    await db.exec('ALTER TABLE orders DROP COLUMN store_credit_refunded')
+    await db.exec('ALTER TABLE orders DROP COLUMN store_credit_amount')
+    await db.exec('DROP TABLE IF EXISTS store_credit_ledger')
+    await db.exec('DROP TABLE IF EXISTS gift_cards')
+    // Gift card products that were never ordered can go; ordered ones must stay for their order items
+    await db.exec(`
+      DELETE FROM products WHERE is_gift_card = 1
+      AND id NOT IN (SELECT product_id FROM order_items WHERE product_id IS NOT NULL)
+      AND id NOT IN (SELECT product_id FROM cart_items WHERE product_id IS NOT NULL)
+    `)
+    await db.exec('ALTER TABLE products DROP COLUMN is_gift_card')
+
+    await db.close()
+    console.log('✅ Migration 024 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,98 @@
+/**
+ * Migration 025: Loyalty points
+ *
+ * - loyalty_points_ledger table - every change to a customer's points with
+ *   the reason for it. customers.loyalty_points (there since migration 001)
+ *   is kept as the running total of the ledger.
+ * - orders.loyalty_points_earned - points awarded when the order was paid
+ * - orders.loyalty_points_redeemed / loyalty_discount - points spent on the
+ *   order at checkout and the discount they bought. The discount is part of
+ *   orders.discount_amount and spread over order_items.discount_amount like
+ *   a coupon's.
+ *
+ * Orders paid before this migration don't earn points retroactively.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 025: Loyalty points...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Create loyalty_points_ledger table
+    await db.exec(`
+      CREATE TABLE loyalty_points_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        points INTEGER NOT NULL CHECK(points != 0),
+        reason TEXT NOT NULL CHECK(reason IN ('order_earned', 'order_refunded', 'order_redeemed', 'redemption_returned', 'adjustment')),
+        order_id INTEGER,
+        note TEXT,
+        created_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES humans(id) ON DELETE SET NULL
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_loyalty_points_ledger_human ON loyalty_points_ledger(human_id, created_at);
+      CREATE INDEX idx_loyalty_points_ledger_order ON loyalty_points_ledger(order_id);
+    `)
+    console.log('✓ Created loyalty_points_ledger table')
+
+    // 2. Points on orders
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN loyalty_points_earned INTEGER NOT NULL DEFAULT 0
+    `)
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN loyalty_points_redeemed INTEGER NOT NULL DEFAULT 0
+    `)
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN loyalty_discount REAL NOT NULL DEFAULT 0
+    `)
+    console.log('✓ Added loyalty columns to orders')
+
+    // 3. Nothing has ever written customers.loyalty_points; start everyone from the (empty) ledger
+    await db.exec('UPDATE customers SET loyalty_points = 0 WHERE loyalty_points IS NULL OR loyalty_points != 0')
+    console.log('✓ Reset customers.loyalty_points')
+
+    await db.close()
+    console.log('✅ Migration 025 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 025...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE orders DROP COLUMN loyalty_discount')
+    await db.exec('ALTER TABLE orders DROP COLUMN loyalty_points_redeemed')
+    await db.exec('ALTER TABLE orders DROP COLUMN loyalty_points_earned')
+    await db.exec('DROP TABLE IF EXISTS loyalty_points_ledger')
+    await db.exec('UPDATE customers SET loyalty_points = 0')
+
+    await db.close()
+    console.log('✅ Migration 025 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
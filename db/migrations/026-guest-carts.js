@@ -0,0 +1,138 @@
+/**
+ * Migration 026: Guest carts
+ *
+ * - cart_items.session_id - carts for shoppers who aren't logged in are
+ *   keyed by their session instead of a human. Each row belongs to exactly
+ *   one of the two; a guest's rows are moved onto the human's cart when
+ *   they log in or register.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 026: Guest carts...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Rename old cart_items table
+    await db.exec('ALTER TABLE cart_items RENAME TO cart_items_old')
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_cart_human;
+      DROP INDEX IF EXISTS idx_cart_product;
+      DROP INDEX IF EXISTS idx_cart_song;
+    `)
+    console.log('✓ Renamed old cart_items table')
+
+    // 2. Create new cart_items table owned by a human or a session
+    await db.exec(`
+      CREATE TABLE cart_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER,
+        session_id TEXT,
+        product_id INTEGER,
+        song_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES customers(human_id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+        CHECK (product_id IS NOT NULL OR song_id IS NOT NULL),
+        CHECK ((human_id IS NULL) != (session_id IS NULL)),
+        UNIQUE (human_id, product_id, song_id),
+        UNIQUE (session_id, product_id, song_id)
+      )
+    `)
+    console.log('✓ Created new cart_items table with session_id')
+
+    // 3. Copy data from old table
+    await db.exec(`
+      INSERT INTO cart_items (id, human_id, product_id, song_id, quantity, added_at)
+      SELECT id, human_id, product_id, song_id, quantity, added_at
+      FROM cart_items_old
+    `)
+    console.log('✓ Migrated cart data')
+
+    // 4. Drop old table
+    await db.exec('DROP TABLE cart_items_old')
+    console.log('✓ Dropped old cart_items table')
+
+    // 5. Create indexes
+    await db.exec(`
+      CREATE INDEX idx_cart_human ON cart_items(human_id);
+      CREATE INDEX idx_cart_session ON cart_items(session_id, added_at);
+      CREATE INDEX idx_cart_product ON cart_items(product_id);
+      CREATE INDEX idx_cart_song ON cart_items(song_id);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 026 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 026...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE cart_items RENAME TO cart_items_new')
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_cart_human;
+      DROP INDEX IF EXISTS idx_cart_session;
+      DROP INDEX IF EXISTS idx_cart_product;
+      DROP INDEX IF EXISTS idx_cart_song;
+    `)
+
+    await db.exec(`
+      CREATE TABLE cart_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        product_id INTEGER,
+        song_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES customers(human_id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+        CHECK (product_id IS NOT NULL OR song_id IS NOT NULL),
+        UNIQUE (human_id, product_id, song_id)
+      )
+    `)
+
+    // Guest carts have no human to go back to
+    await db.exec(`
+      INSERT INTO cart_items (id, human_id, product_id, song_id, quantity, added_at)
+      SELECT id, human_id, product_id, song_id, quantity, added_at
+      FROM cart_items_new
+      WHERE human_id IS NOT NULL
+    `)
+
+    await db.exec('DROP TABLE cart_items_new')
+    await db.exec(`
+      CREATE INDEX idx_cart_human ON cart_items(human_id);
+      CREATE INDEX idx_cart_product ON cart_items(product_id);
+      CREATE INDEX idx_cart_song ON cart_items(song_id);
+    `)
+
+    await db.close()
+    console.log('✅ Migration 026 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
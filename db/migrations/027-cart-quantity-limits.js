@@ -0,0 +1,70 @@
+/**
+ * Migration 027: Cart quantities and purchase limits
+ *
+ * - products.max_per_order - the most units of a product one order (and so
+ *   one cart) may hold. NULL means no limit.
+ * - cart_items.stock_when_added - the product's stock when the line was
+ *   added or its quantity last set, so the cart can warn when availability
+ *   has dropped since. NULL for songs and digital products.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 027: Cart quantities and purchase limits...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Per-product purchase limit
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN max_per_order INTEGER CHECK(max_per_order IS NULL OR max_per_order > 0)
+    `)
+    console.log('✓ Added products.max_per_order')
+
+    // 2. Stock snapshot on cart lines
+    await db.exec(`
+      ALTER TABLE cart_items ADD COLUMN stock_when_added INTEGER
+    `)
+    await db.exec(`
+      UPDATE cart_items SET stock_when_added = (
+        SELECT p.stock FROM products p WHERE p.id = cart_items.product_id AND COALESCE(p.is_digital, 0) = 0
+      )
+      WHERE product_id IS NOT NULL
+    `)
+    console.log('✓ Added cart_items.stock_when_added')
+
+    await db.close()
+    console.log('✅ Migration 027 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 027...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE cart_items DROP COLUMN stock_when_added')
+    await db.exec('ALTER TABLE products DROP COLUMN max_per_order')
+
+    await db.close()
+    console.log('✅ Migration 027 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,78 @@
+/**
+ * Migration 028: Wishlist and save-for-later
+ *
+ * - wishlist_items table - products and songs a customer is keeping for
+ *   later, either added straight to the wishlist or moved out of the cart
+ *   ("save for later", saved_from_cart = 1, keeping the cart quantity).
+ *   notify_price_drop / notify_back_in_stock opt in to an email when the
+ *   price falls below price_when_added or the product comes back in stock.
+ *   price_when_added follows the price down after each price-drop email so
+ *   the same drop isn't reported twice.
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 028: Wishlist and save-for-later...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      CREATE TABLE wishlist_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        product_id INTEGER,
+        song_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1 CHECK(quantity > 0),
+        saved_from_cart INTEGER NOT NULL DEFAULT 0 CHECK(saved_from_cart IN (0, 1)),
+        notify_price_drop INTEGER NOT NULL DEFAULT 0 CHECK(notify_price_drop IN (0, 1)),
+        notify_back_in_stock INTEGER NOT NULL DEFAULT 0 CHECK(notify_back_in_stock IN (0, 1)),
+        price_when_added REAL,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES customers(human_id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+        CHECK ((product_id IS NULL) != (song_id IS NULL))
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_wishlist_human ON wishlist_items(human_id);
+      CREATE INDEX idx_wishlist_product ON wishlist_items(product_id);
+      CREATE INDEX idx_wishlist_song ON wishlist_items(song_id);
+    `)
+    console.log('✓ Created wishlist_items table')
+
+    await db.close()
+    console.log('✅ Migration 028 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 028...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS wishlist_items')
+
+    await db.close()
+    console.log('✅ Migration 028 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
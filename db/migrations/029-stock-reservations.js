@@ -0,0 +1,70 @@
+/**
+ * Migration 029: Stock reservations during checkout
+ *
+ * - stock_reservations table - units of a physical product held for a
+ *   customer between starting checkout and placing the order. Other
+ *   shoppers see stock less everyone else's unexpired reservations.
+ *   Reservations lapse at expires_at, are dropped when the customer's cart
+ *   changes, and are removed when the order is placed (the stock decrement
+ *   takes over).
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 029: Stock reservations...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      CREATE TABLE stock_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE (human_id, product_id)
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_stock_reservations_product ON stock_reservations(product_id, expires_at)
+    `)
+    console.log('✓ Created stock_reservations table')
+
+    await db.close()
+    console.log('✅ Migration 029 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 029...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS stock_reservations')
+
+    await db.close()
+    console.log('✅ Migration 029 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
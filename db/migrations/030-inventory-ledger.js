@@ -0,0 +1,123 @@
+/**
+ * Migration 030: Inventory ledger and low-stock thresholds
+ *
+ * - stock_movements table - every change to a product's stock (or a song's
+ *   stock_quantity) with its type, the order or human behind it and why.
+ *   products.stock / songs.stock_quantity stay as the running total, and
+ *   should always equal the sum of the item's movements. Each item's
+ *   current stock is recorded as an 'initial' movement to start from.
+ * - products.low_stock_threshold / songs.low_stock_threshold - stock at or
+ *   below which the item is listed as low. NULL uses the LOW_STOCK_THRESHOLD
+ *   default for physical products; songs are only listed when set.
+ * - inventory.manage permission (granted to admin)
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 030: Inventory ledger...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Create stock_movements table
+    await db.exec(`
+      CREATE TABLE stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER,
+        song_id INTEGER,
+        quantity_change INTEGER NOT NULL CHECK(quantity_change != 0),
+        stock_after INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK(movement_type IN (
+          'initial', 'sale', 'refund_restock', 'cancel_restock', 'adjustment', 'receiving', 'damage'
+        )),
+        order_id INTEGER,
+        reason TEXT,
+        created_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES humans(id) ON DELETE SET NULL,
+        CHECK ((product_id IS NULL) != (song_id IS NULL))
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, created_at);
+      CREATE INDEX idx_stock_movements_song ON stock_movements(song_id, created_at);
+    `)
+    console.log('✓ Created stock_movements table')
+
+    // 2. Opening balances
+    const opened = await db.run(`
+      INSERT INTO stock_movements (product_id, quantity_change, stock_after, movement_type, reason)
+      SELECT id, stock, stock, 'initial', 'Opening balance' FROM products WHERE COALESCE(stock, 0) != 0
+    `)
+    const openedSongs = await db.run(`
+      INSERT INTO stock_movements (song_id, quantity_change, stock_after, movement_type, reason)
+      SELECT id, stock_quantity, stock_quantity, 'initial', 'Opening balance' FROM songs WHERE COALESCE(stock_quantity, 0) != 0
+    `)
+    console.log(`✓ Recorded opening balances (${opened.changes} products, ${openedSongs.changes} songs)`)
+
+    // 3. Low-stock thresholds
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN low_stock_threshold INTEGER CHECK(low_stock_threshold IS NULL OR low_stock_threshold >= 0)
+    `)
+    await db.exec(`
+      ALTER TABLE songs ADD COLUMN low_stock_threshold INTEGER CHECK(low_stock_threshold IS NULL OR low_stock_threshold >= 0)
+    `)
+    console.log('✓ Added low_stock_threshold to products and songs')
+
+    // 4. Add permission and grant it to admins
+    await db.run(
+      `INSERT OR IGNORE INTO permissions (permission_name, resource, action, description)
+       VALUES ('inventory.manage', 'inventory', 'manage', 'Can record stock movements and view inventory')`
+    )
+    await db.exec(`
+      INSERT OR IGNORE INTO site_role_permissions (site_role_id, permission_id)
+      SELECT sr.id, p.id FROM site_roles sr, permissions p
+      WHERE sr.role_name = 'admin' AND p.permission_name = 'inventory.manage'
+    `)
+    console.log('✓ Added inventory.manage permission')
+
+    await db.close()
+    console.log('✅ Migration 030 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 030...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      DELETE FROM site_role_permissions WHERE permission_id IN (
+        SELECT id FROM permissions WHERE permission_name = 'inventory.manage'
+      )
+    `)
+    await db.exec(`DELETE FROM permissions WHERE permission_name = 'inventory.manage'`)
+    await db.exec('ALTER TABLE songs DROP COLUMN low_stock_threshold')
+    await db.exec('ALTER TABLE products DROP COLUMN low_stock_threshold')
+    await db.exec('DROP TABLE IF EXISTS stock_movements')
+
+    await db.close()
+    console.log('✅ Migration 030 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,89 @@
+/**
+ * Migration 031: Backorders and pre-orders
+ *
+ * - products.availability - how a product sells once its stock runs out:
+ *   'in_stock' (only what's on the shelf), 'backorder' (keeps selling, the
+ *   extra units wait for stock) or 'preorder' (sells ahead of its
+ *   release_date, every unit waits until then)
+ * - products.release_date - the day a pre-order product comes out
+ * - order_items.awaiting_stock_quantity - units of the line not yet taken
+ *   from stock. The order can't ship while any line is waiting.
+ * - order_items.awaiting_stock_reason - 'backorder' or 'preorder' for lines
+ *   that were sold ahead of stock
+ * - order_items.stock_released_at - when the last waiting unit was filled
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 031: Backorders and pre-orders...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. How each product sells
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN availability TEXT NOT NULL DEFAULT 'in_stock'
+        CHECK(availability IN ('in_stock', 'backorder', 'preorder'))
+    `)
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN release_date DATE
+    `)
+    console.log('✓ Added products.availability and products.release_date')
+
+    // 2. Order lines waiting on stock
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN awaiting_stock_quantity INTEGER NOT NULL DEFAULT 0
+        CHECK(awaiting_stock_quantity >= 0)
+    `)
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN awaiting_stock_reason TEXT
+        CHECK(awaiting_stock_reason IS NULL OR awaiting_stock_reason IN ('backorder', 'preorder'))
+    `)
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN stock_released_at DATETIME
+    `)
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_order_items_awaiting_stock
+      ON order_items(product_id) WHERE awaiting_stock_quantity > 0
+    `)
+    console.log('✓ Added awaiting stock columns to order_items')
+
+    await db.close()
+    console.log('✅ Migration 031 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 031...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP INDEX IF EXISTS idx_order_items_awaiting_stock')
+    await db.exec('ALTER TABLE order_items DROP COLUMN stock_released_at')
+    await db.exec('ALTER TABLE order_items DROP COLUMN awaiting_stock_reason')
+    await db.exec('ALTER TABLE order_items DROP COLUMN awaiting_stock_quantity')
+    await db.exec('ALTER TABLE products DROP COLUMN release_date')
+    await db.exec('ALTER TABLE products DROP COLUMN availability')
+
+    await db.close()
+    console.log('✅ Migration 031 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,192 @@
+/**
+ * Migration 032: Product variants
+ *
+ * Lets one product (e.g. a hat) sell in several sizes/colors, each with its
+ * own SKU, stock, image and optionally price.
+ *
+ * - product_option_types - a product's options, e.g. Color, Size
+ * - product_option_values - the values each option can take, e.g. Red, L
+ * - product_variants - one sellable combination: sku, label (e.g.
+ *   "Red / L"), price (NULL uses the product's), stock, image (NULL uses
+ *   the product's), low_stock_threshold, is_active. A product with active
+ *   variants is sold by variant; its own stock isn't used.
+ * - product_variant_options - which value of each option a variant has
+ * - variant_id on cart_items, wishlist_items, order_items and
+ *   stock_movements; order_items also keep the variant's sku and label as
+ *   they were when ordered
+ * - stock_reservations is recreated with a variant_id so a checkout can
+ *   hold several variants of one product (holds only last minutes, so
+ *   existing ones are dropped)
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 032: Product variants...')
+
+  const db = await getDBConnection()
+
+  try {
+    // 1. Options and their values
+    await db.exec(`
+      CREATE TABLE product_option_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE (product_id, name)
+      )
+    `)
+    await db.exec(`
+      CREATE TABLE product_option_values (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        option_type_id INTEGER NOT NULL,
+        value TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (option_type_id) REFERENCES product_option_types(id) ON DELETE CASCADE,
+        UNIQUE (option_type_id, value)
+      )
+    `)
+    console.log('✓ Created product_option_types and product_option_values tables')
+
+    // 2. Variants and the option values that make them up
+    await db.exec(`
+      CREATE TABLE product_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        sku TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        price REAL CHECK(price IS NULL OR price > 0),
+        stock INTEGER NOT NULL DEFAULT 0,
+        image TEXT,
+        low_stock_threshold INTEGER CHECK(low_stock_threshold IS NULL OR low_stock_threshold >= 0),
+        is_active INTEGER NOT NULL DEFAULT 1 CHECK(is_active IN (0, 1)),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      )
+    `)
+    await db.exec(`
+      CREATE TABLE product_variant_options (
+        variant_id INTEGER NOT NULL,
+        option_value_id INTEGER NOT NULL,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        FOREIGN KEY (option_value_id) REFERENCES product_option_values(id) ON DELETE CASCADE,
+        PRIMARY KEY (variant_id, option_value_id)
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_product_variants_product ON product_variants(product_id);
+      CREATE INDEX idx_product_variant_options_value ON product_variant_options(option_value_id);
+    `)
+    console.log('✓ Created product_variants and product_variant_options tables')
+
+    // 3. Variant on cart, wishlist and order lines, and in the stock ledger
+    await db.exec(`
+      ALTER TABLE cart_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE
+    `)
+    await db.exec(`
+      ALTER TABLE wishlist_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE
+    `)
+    await db.exec(`
+      ALTER TABLE order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE RESTRICT
+    `)
+    await db.exec('ALTER TABLE order_items ADD COLUMN variant_sku TEXT')
+    await db.exec('ALTER TABLE order_items ADD COLUMN variant_label TEXT')
+    await db.exec(`
+      ALTER TABLE stock_movements ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE
+    `)
+    await db.exec(`
+      CREATE INDEX idx_stock_movements_variant ON stock_movements(variant_id, created_at)
+    `)
+    console.log('✓ Added variant_id to cart_items, wishlist_items, order_items and stock_movements')
+
+    // 4. Holds per variant
+    await db.exec('DROP TABLE stock_reservations')
+    await db.exec(`
+      CREATE TABLE stock_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        UNIQUE (human_id, product_id, variant_id)
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_stock_reservations_product ON stock_reservations(product_id, variant_id, expires_at)
+    `)
+    console.log('✓ Recreated stock_reservations with variant_id')
+
+    await db.close()
+    console.log('✅ Migration 032 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 032...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE stock_reservations')
+    await db.exec(`
+      CREATE TABLE stock_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        human_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (human_id) REFERENCES humans(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE (human_id, product_id)
+      )
+    `)
+    await db.exec(`
+      CREATE INDEX idx_stock_reservations_product ON stock_reservations(product_id, expires_at)
+    `)
+
+    // Variant lines can't stand in for their product once variants are gone
+    await db.exec('DELETE FROM cart_items WHERE variant_id IS NOT NULL')
+    await db.exec('DELETE FROM wishlist_items WHERE variant_id IS NOT NULL')
+    await db.exec('DELETE FROM stock_movements WHERE variant_id IS NOT NULL')
+
+    await db.exec('DROP INDEX IF EXISTS idx_stock_movements_variant')
+    await db.exec('ALTER TABLE stock_movements DROP COLUMN variant_id')
+    await db.exec('ALTER TABLE order_items DROP COLUMN variant_label')
+    await db.exec('ALTER TABLE order_items DROP COLUMN variant_sku')
+    await db.exec('ALTER TABLE order_items DROP COLUMN variant_id')
+    await db.exec('ALTER TABLE wishlist_items DROP COLUMN variant_id')
+    await db.exec('ALTER TABLE cart_items DROP COLUMN variant_id')
+
+    await db.exec('DROP TABLE IF EXISTS product_variant_options')
+    await db.exec('DROP TABLE IF EXISTS product_variants')
+    await db.exec('DROP TABLE IF EXISTS product_option_values')
+    await db.exec('DROP TABLE IF EXISTS product_option_types')
+
+    await db.close()
+    console.log('✅ Migration 032 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
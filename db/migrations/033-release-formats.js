@@ -0,0 +1,84 @@
+/**
+ * Migration 033: Release formats
+ *
+ * Sells one release (an album, EP or single) as vinyl, CD, cassette and
+ * digital download. Each format is a variant of the release's product with
+ * a Format option, so it has its own SKU, price, stock and image and goes
+ * through the cart and orders like any variant, while the tracklist stays on
+ * the release in album_songs.
+ *
+ * - product_variants.format - 'vinyl', 'cd', 'cassette' or 'digital' (NULL
+ *   for variants that aren't a release format, e.g. a hat's size)
+ * - product_variants.barcode - the format's UPC/EAN, unique when set
+ * - product_variants.is_digital - whether the variant is delivered as a
+ *   download rather than shipped (NULL goes by the product's is_digital)
+ * - product_variants.weight_grams - shipping weight (NULL uses the product's)
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 033: Release formats...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      ALTER TABLE product_variants ADD COLUMN format TEXT
+        CHECK(format IS NULL OR format IN ('vinyl', 'cd', 'cassette', 'digital'))
+    `)
+    await db.exec('ALTER TABLE product_variants ADD COLUMN barcode TEXT')
+    await db.exec(`
+      ALTER TABLE product_variants ADD COLUMN is_digital INTEGER
+        CHECK(is_digital IS NULL OR is_digital IN (0, 1))
+    `)
+    await db.exec(`
+      ALTER TABLE product_variants ADD COLUMN weight_grams INTEGER
+        CHECK(weight_grams IS NULL OR weight_grams >= 0)
+    `)
+    console.log('✓ Added format, barcode, is_digital and weight_grams to product_variants')
+
+    await db.exec(`
+      CREATE UNIQUE INDEX idx_product_variants_barcode ON product_variants(barcode) WHERE barcode IS NOT NULL;
+      CREATE INDEX idx_product_variants_format ON product_variants(format, product_id);
+    `)
+    console.log('✓ Created barcode and format indexes')
+
+    await db.close()
+    console.log('✅ Migration 033 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 033...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP INDEX IF EXISTS idx_product_variants_format')
+    await db.exec('DROP INDEX IF EXISTS idx_product_variants_barcode')
+    await db.exec('ALTER TABLE product_variants DROP COLUMN weight_grams')
+    await db.exec('ALTER TABLE product_variants DROP COLUMN is_digital')
+    await db.exec('ALTER TABLE product_variants DROP COLUMN barcode')
+    await db.exec('ALTER TABLE product_variants DROP COLUMN format')
+
+    await db.close()
+    console.log('✅ Migration 033 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,62 @@
+/**
+ * Migration 034: Shipping method scope
+ *
+ * A method with no country was offered everywhere, so domestic orders were
+ * also quoted International rates.
+ *
+ * - shipping_methods.exclude_country - a country the method doesn't serve
+ *   (NULL = none). With country NULL it means "everywhere but here".
+ * - The seeded International method now excludes the USA
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 034: Shipping method scope...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE shipping_methods ADD COLUMN exclude_country TEXT')
+    console.log('✓ Added exclude_country to shipping_methods')
+
+    await db.exec(`
+      UPDATE shipping_methods
+      SET exclude_country = 'USA'
+      WHERE name = 'International' AND country IS NULL
+    `)
+    console.log('✓ Limited International shipping to addresses outside the USA')
+
+    await db.close()
+    console.log('✅ Migration 034 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 034...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('ALTER TABLE shipping_methods DROP COLUMN exclude_country')
+
+    await db.close()
+    console.log('✅ Migration 034 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
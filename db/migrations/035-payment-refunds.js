@@ -0,0 +1,79 @@
+/**
+ * Migration 035: Payment refunds
+ *
+ * Money going back through the payment provider used to be sent inside the
+ * refund's transaction, holding the write lock over a network call and
+ * leaving no record if the transaction then rolled back.
+ *
+ * - payment_refunds table - one row per refund owed through the provider,
+ *   written with the refund and sent once it has committed:
+ *     pending     waiting to be sent
+ *     processing  handed to the provider, outcome not yet recorded
+ *     refunded    the provider paid it back
+ *     failed      the provider refused it (failure_reason); can be retried
+ */
+
+import { getDBConnection } from '../db.js'
+
+export async function up() {
+  console.log('Running migration 035: Payment refunds...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec(`
+      CREATE TABLE payment_refunds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payment_id INTEGER NOT NULL,
+        order_refund_id INTEGER,
+        amount REAL NOT NULL CHECK(amount > 0),
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK(status IN ('pending', 'processing', 'refunded', 'failed')),
+        failure_reason TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_refund_id) REFERENCES order_refunds(id) ON DELETE SET NULL
+      )
+    `)
+    console.log('✓ Created payment_refunds table')
+
+    await db.exec(`
+      CREATE INDEX idx_payment_refunds_payment ON payment_refunds(payment_id);
+      CREATE INDEX idx_payment_refunds_status ON payment_refunds(status);
+    `)
+    console.log('✓ Created indexes')
+
+    await db.close()
+    console.log('✅ Migration 035 completed successfully\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+export async function down() {
+  console.log('Rolling back migration 035...')
+
+  const db = await getDBConnection()
+
+  try {
+    await db.exec('DROP TABLE IF EXISTS payment_refunds')
+
+    await db.close()
+    console.log('✅ Migration 035 rolled back\n')
+
+  } catch (err) {
+    await db.close()
+    throw err
+  }
+}
+
+// Allow running directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  up().catch(err => {
+    console.error('Migration failed:', err)
+    process.exit(1)
+  })
+}
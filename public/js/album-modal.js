@@ -109,8 +109,8 @@ async function addAlbumToCart(albumId) {
     })
 
     if (!res.ok) {
-      // Not logged in, redirect to login
-      window.location.href = '/login.html'
+      const error = await res.json()
+      alert(error.error || 'Error adding album to cart')
       return
     }
 
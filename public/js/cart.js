@@ -1,6 +1,6 @@
 import { logout } from './logout.js'
 import { checkAuth, renderGreeting, showHideMenuItems } from './authUI.js'
-import { loadCart, removeItem, removeAll, applyCoupon, checkout } from './cartService.js'
+import { loadCart, updateQuantity, removeItem, removeAll, applyCoupon, checkout } from './cartService.js'
 import { showConfirm } from './modal.js'
 
 const dom = {
@@ -27,6 +27,13 @@ dom.cartList.addEventListener('click', event => {
   }
 })
 
+// Change quantity
+dom.cartList.addEventListener('change', event => {
+  if (event.target.matches('.quantity-input')) {
+    updateQuantity(event.target.dataset.id, Number(event.target.value), dom)
+  }
+})
+
 // Apply coupon
 dom.applyCouponBtn.addEventListener('click', () => {
   applyCoupon(dom)
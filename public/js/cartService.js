@@ -12,7 +12,8 @@ export function addBtnListeners() {
         })
 
         if (!res.ok) {
-          return window.location.href = '/login.html'
+          const { error } = await res.json()
+          return console.error('Error adding to cart:', error)
         }
 
         await updateCartIcon()
@@ -91,11 +92,16 @@ function renderCartItems(items, cartList) {
       <div class="cart-item-header">
         <div class="cart-item-info">
           <strong class="item-title">${item.title}</strong>
+          ${item.variantLabel ? `<span class="item-variant">${item.variantLabel}</span>` : ''}
           <span class="item-artist">by ${item.artist}</span>
         </div>
         <button data-id="${item.cartItemId}" class="remove-btn" title="Remove item">🗑️</button>
       </div>
-      <span class="item-total">× ${item.quantity} = $${itemTotal.toFixed(2)}</span>
+      <span class="item-total">
+        × <input type="number" class="quantity-input" data-id="${item.cartItemId}" value="${item.quantity}" min="1"${item.maxPerOrder ? ` max="${item.maxPerOrder}"` : ''}>
+        = $${itemTotal.toFixed(2)}
+      </span>
+      ${item.stockWarning ? `<span class="stock-warning">${item.stockWarning}</span>` : ''}
     `
 
     cartList.appendChild(li)
@@ -103,7 +109,7 @@ function renderCartItems(items, cartList) {
 }
 
 async function updateOrderPreview(dom) {
-  const { subtotalAmount, discountAmount, discountLine, taxAmount, totalAmount, checkoutBtn } = dom
+  const { subtotalAmount, discountAmount, discountLine, taxAmount, totalAmount, checkoutBtn, userMessage } = dom
 
   try {
     const res = await fetch('/api/checkout/preview', {
@@ -113,6 +119,13 @@ async function updateOrderPreview(dom) {
       body: JSON.stringify({ couponCode: currentCouponCode })
     })
 
+    if (res.status === 401) {
+      // Guests can fill a cart but must log in to check out; the cart comes with them
+      checkoutBtn.disabled = true
+      userMessage.innerHTML = 'Please <a href="login.html">log in</a> or <a href="signup.html">sign up</a> to check out. Your cart will be kept.'
+      return
+    }
+
     if (!res.ok) {
       checkoutBtn.disabled = true
       return
@@ -138,6 +151,31 @@ async function updateOrderPreview(dom) {
   }
 }
 
+export async function updateQuantity(itemId, quantity, dom) {
+  const { userMessage } = dom
+
+  try {
+    const res = await fetch(`/api/cart/${itemId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ quantity })
+    })
+
+    if (!res.ok) {
+      const { error } = await res.json()
+      userMessage.textContent = error || 'Could not update quantity'
+    } else {
+      userMessage.textContent = ''
+    }
+
+    // Reload either way so the input shows what the cart really holds
+    await loadCart(dom)
+  } catch (err) {
+    console.error('Error updating quantity:', err)
+  }
+}
+
 export async function removeItem(itemId, dom) {
   try {
     const res = await fetch(`/api/cart/${itemId}`, {
@@ -35,6 +35,46 @@ async function getProducts(filters = {}) {
 }
 
 // ===== Product Rendering =====
+/**
+ * A note for products that sell ahead of their stock, or '' for the rest.
+ * @param {Object} product - A product from /api/products.
+ * @returns {string} The label to show on the card.
+ */
+function availabilityLabel(product) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  if (product.availability === 'preorder' && product.release_date > today) {
+    return `Pre-order - out ${product.release_date}`;
+  }
+
+  if (product.availability === 'backorder' && !product.is_digital && product.stock <= 0) {
+    return 'On backorder - ships when stock arrives';
+  }
+
+  return '';
+}
+
+/**
+ * Builds the size/color (or vinyl/CD/digital format) picker for a product
+ * sold by variant.
+ * @param {Object} product - A product from /api/products.
+ * @returns {string} A select of its variants, or '' if it has none.
+ */
+function variantSelect(product) {
+  if (!product.variants) {
+    return '';
+  }
+
+  const options = product.variants
+    .map(variant => {
+      const soldOut = !variant.is_digital && variant.stock <= 0 && product.availability === 'in_stock';
+      return `<option value="${variant.id}"${soldOut ? ' disabled' : ''}>${variant.label} - $${variant.price}${soldOut ? ' (sold out)' : ''}</option>`;
+    })
+    .join('');
+
+  return `<select class="variant-select"><option value="">Choose...</option>${options}</select>`;
+}
+
 /**
  * Renders an array of product objects to the DOM.
  * @param {Array} products - The array of products to display.
@@ -53,6 +93,7 @@ function renderProducts(products) {
       
       // Display 'Merch' for merchandise items instead of null genre
       const displayGenre = album.genre || (album.type === 'Merch' ? 'Merch' : 'Music');
+      const availability = availabilityLabel(album);
       
       return `
       <div class="product-card">
@@ -60,6 +101,8 @@ function renderProducts(products) {
         <h2>${album.title}</h2>
         <h3>${album.artist}</h3>
         <p>$${album.price}</p>
+        ${availability ? `<p class="availability-label">${availability}</p>` : ''}
+        ${variantSelect(album)}
         <button class="add-btn" data-id="${album.id}">Add to Cart</button>
         <p class="genre-label">${displayGenre}</p>
       </div>
@@ -78,6 +121,11 @@ function renderProducts(products) {
  * Attaches event listeners to all "Add to Cart" buttons.
  */
 function attachCartButtonListeners() {
+  // Picking a variant shouldn't open the modal either
+  document.querySelectorAll('.variant-select').forEach(select => {
+    select.addEventListener('click', event => event.stopPropagation())
+  });
+
   document.querySelectorAll('.add-btn').forEach(button => {
     button.addEventListener('click', async (event) => {
       event.stopPropagation() // Prevent modal from opening
@@ -89,19 +137,26 @@ function attachCartButtonListeners() {
         return
       }
 
+      const variantSelect = event.currentTarget.closest('.product-card').querySelector('.variant-select')
+      const variantId = variantSelect ? parseInt(variantSelect.value, 10) : null
+
+      if (variantSelect && isNaN(variantId)) {
+        alert('Please choose an option first')
+        return
+      }
+
       try {
         const res = await fetch('/api/cart/add', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ productId: productId })
+          body: JSON.stringify({ productId: productId, variantId: variantId })
         });
 
         if (!res.ok) {
           const error = await res.json()
           console.error('Add to cart error:', error)
-          // User not logged in, redirect to login
-          window.location.href = '/login.html';
+          alert(error.error || 'Error adding to cart')
           return;
         }
 
@@ -118,25 +173,16 @@ function attachCartButtonListeners() {
 // ===== Update Cart Icon =====
 /**
  * Updates the cart icon badge with the current item count.
- * Only makes the request if the user is logged in.
+ * Guests have a cart too, kept against their session.
  */
 export async function updateCartIcon() {
   try {
-    // Check if user is logged in first
-    const user = await checkAuth()
-    
-    if (!user) {
-      // Not logged in - clear cart icon
-      document.getElementById('cart-banner').innerHTML = ''
-      return
-    }
-    
     const res = await fetch('/api/cart/cart-count', {
       credentials: 'include'
     })
     
     if (!res.ok) {
-      // Session expired or other error - clear cart icon
+      // Server error - clear cart icon
       document.getElementById('cart-banner').innerHTML = ''
       return
     }
@@ -18,12 +18,34 @@ const subtotalEl = document.getElementById('subtotal')
 const discountEl = document.getElementById('discount')
 const taxEl = document.getElementById('tax')
 const totalEl = document.getElementById('total')
+const shippingSection = document.getElementById('shipping-section')
+const shippingAddressEl = document.getElementById('shipping-address')
+const shippingMethodSelect = document.getElementById('shipping-method')
+const shippingRow = document.getElementById('shipping-row')
+const shippingEl = document.getElementById('shipping')
 const backBtn = document.getElementById('back-btn')
 const confirmBtn = document.getElementById('confirm-btn')
+const reservationTimer = document.getElementById('reservation-timer')
 
 // Logout
 document.getElementById('logout-btn').addEventListener('click', logout)
 
+// Sent with the order so a double-click or retry can't place it twice;
+// a new key is made once an attempt has definitely failed
+let idempotencyKey = crypto.randomUUID()
+
+// Shipping method picked from the preview's options (null = cheapest)
+let shippingMethodId = null
+
+// Ticks the countdown on the stock held for this checkout
+let reservationInterval = null
+
+// Re-price the order when the shipping method changes
+shippingMethodSelect.addEventListener('change', () => {
+  shippingMethodId = parseInt(shippingMethodSelect.value, 10)
+  loadOrderPreview()
+})
+
 // Back to cart
 backBtn.addEventListener('click', () => {
   window.location.href = '/cart.html'
@@ -37,23 +59,40 @@ confirmBtn.addEventListener('click', async () => {
   try {
     const res = await fetch('/api/checkout/create', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
       credentials: 'include',
-      body: JSON.stringify({ couponCode })
+      body: JSON.stringify({ couponCode, shippingMethodId })
     })
 
     const data = await res.json()
 
     if (res.ok) {
+      // Backordered and pre-ordered lines follow once stock is in
+      const awaiting = (data.awaitingStock || [])
+        .map(item => `\n${item.title}: ${item.message}`)
+        .join('')
+
       // Show success modal and redirect
       await showAlert(
         '✓ Order Placed Successfully!',
-        `Order ${data.orderNumber} has been placed.\n\nThank you for your purchase!`
+        (data.status === 'pending'
+          ? `Order ${data.orderNumber} has been placed.\n\nWe'll confirm it as soon as your payment clears.`
+          : `Order ${data.orderNumber} has been placed.\n\nThank you for your purchase!`) +
+        (awaiting ? `\n${awaiting}` : '')
       )
       
       window.location.href = '/'
     } else {
-      messageDiv.innerHTML = `<div class="message error-message">${data.error || 'Order failed'}</div>`
+      // Stock failures come back with one entry per affected cart line
+      const lineErrors = (data.items || [])
+        .map(item => `<li>${item.title}: ${item.error}</li>`)
+        .join('')
+
+      messageDiv.innerHTML = `<div class="message error-message">${data.error || 'Order failed'}${lineErrors ? `<ul>${lineErrors}</ul>` : ''}</div>`
+      // A 409 with an orderId means the first attempt is still going - keep its key
+      if (!(res.status === 409 && data.orderId)) {
+        idempotencyKey = crypto.randomUUID()
+      }
       confirmBtn.disabled = false
       confirmBtn.textContent = 'Confirm & Place Order'
     }
@@ -72,7 +111,7 @@ async function loadOrderPreview() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ couponCode })
+      body: JSON.stringify({ couponCode, shippingMethodId })
     })
 
     if (!res.ok) {
@@ -89,6 +128,7 @@ async function loadOrderPreview() {
           <div class="item-title">${item.title}</div>
           <div class="item-artist">${item.artist || 'Unknown Artist'}</div>
           <div class="item-quantity">Quantity: ${item.quantity}</div>
+          ${item.awaitingStock ? `<div class="stock-warning">${item.awaitingStock.message}</div>` : ''}
         </div>
         <div class="item-price">$${(item.price * item.quantity).toFixed(2)}</div>
       </li>
@@ -110,6 +150,11 @@ async function loadOrderPreview() {
       discountRow.style.display = 'flex'
     }
 
+    // Shipping only applies when the cart has physical items
+    if (preview.shippingRequired) {
+      renderShipping(preview)
+    }
+
     // Show order details, hide loading
     loading.style.display = 'none'
     orderDetails.style.display = 'block'
@@ -125,6 +170,86 @@ async function loadOrderPreview() {
   }
 }
 
+// Show where the order ships and the shipping methods on offer
+function renderShipping(preview) {
+  const address = preview.shippingAddress
+
+  shippingAddressEl.textContent = address
+    ? [address.street_line1, address.street_line2, address.city, address.state_province, address.postal_code, address.country]
+      .filter(Boolean)
+      .join(', ')
+    : ''
+
+  shippingMethodSelect.innerHTML = preview.shippingOptions.map(option => `
+    <option value="${option.id}" ${option.id === preview.shippingMethod?.id ? 'selected' : ''}>
+      ${option.name} - ${option.amount > 0 ? `$${option.amount.toFixed(2)}` : 'Free'}
+    </option>
+  `).join('')
+  shippingMethodSelect.style.display = preview.shippingOptions.length > 0 ? 'block' : 'none'
+
+  shippingEl.textContent = `$${preview.shipping.toFixed(2)}`
+  shippingRow.style.display = 'flex'
+  shippingSection.style.display = 'block'
+
+  // The order can't be placed until there's somewhere to ship it
+  if (preview.shippingError) {
+    messageDiv.innerHTML = `<div class="message error-message">${preview.shippingError}</div>`
+    confirmBtn.disabled = true
+  } else {
+    messageDiv.innerHTML = ''
+    confirmBtn.disabled = false
+  }
+}
+
+// Hold the cart's stock while the order is reviewed; lines that can't be held are listed
+async function reserveStock() {
+  try {
+    const res = await fetch('/api/checkout/reserve', {
+      method: 'POST',
+      credentials: 'include'
+    })
+
+    const data = await res.json()
+
+    if (res.status === 409) {
+      const lineErrors = data.items.map(item => `<li>${item.title}: ${item.error}</li>`).join('')
+      messageDiv.innerHTML = `<div class="message error-message">${data.error}<ul>${lineErrors}</ul></div>`
+    }
+
+    showReservation(data.reservation)
+  } catch (err) {
+    console.error('Error reserving items:', err)
+  }
+}
+
+// Count down the time left on the hold
+function showReservation(reservation) {
+  clearInterval(reservationInterval)
+
+  if (!reservation) {
+    reservationTimer.style.display = 'none'
+    return
+  }
+
+  const expiresAt = Date.now() + reservation.expiresInSeconds * 1000
+
+  const tick = () => {
+    const seconds = Math.max(Math.round((expiresAt - Date.now()) / 1000), 0)
+
+    if (seconds === 0) {
+      clearInterval(reservationInterval)
+      reservationTimer.textContent = 'Your hold on these items has expired. They may sell out before you order.'
+      return
+    }
+
+    reservationTimer.textContent = `Items held for you for ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+  }
+
+  tick()
+  reservationInterval = setInterval(tick, 1000)
+  reservationTimer.style.display = 'block'
+}
+
 // Initialize
 async function init() {
   const user = await checkAuth()
@@ -138,6 +263,7 @@ async function init() {
   showHideMenuItems(user)
   
   await loadOrderPreview()
+  await reserveStock()
 }
 
 init()
@@ -140,8 +140,8 @@ function attachCartButtonListeners() {
         });
 
         if (!res.ok) {
-          // User not logged in, redirect to login
-          window.location.href = '/login.html';
+          const error = await res.json();
+          console.error('Add to cart error:', error);
           return;
         }
 
@@ -159,13 +159,6 @@ function attachCartButtonListeners() {
  */
 async function updateCartIcon() {
   try {
-    const user = await checkAuth();
-    
-    if (!user) {
-      document.getElementById('cart-banner').innerHTML = '';
-      return;
-    }
-    
     const res = await fetch('/api/cart/cart-count', {
       credentials: 'include'
     });
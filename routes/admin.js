@@ -8,6 +8,7 @@ import {
   revokeRole,
   getAvailableRoles 
 } from '../controllers/adminController.js'
+import { adjustLoyaltyPoints } from '../controllers/loyaltyController.js'
 import { requirePermission } from '../middleware/requireAuth.js'
 
 export const adminRouter = express.Router()
@@ -33,5 +34,8 @@ adminRouter.post('/users/:humanId/roles', requireAdmin, assignRole)
 // Revoke role from user
 adminRouter.delete('/users/:humanId/roles', requireAdmin, revokeRole)
 
+// Add or take away a customer's loyalty points
+adminRouter.post('/users/:humanId/loyalty-points', requireAdmin, adjustLoyaltyPoints)
+
 // Get all available roles
 adminRouter.get('/roles', requireAdmin, getAvailableRoles)
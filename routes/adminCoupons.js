@@ -0,0 +1,29 @@
+import express from 'express'
+import {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponsController.js'
+import { requirePermission } from '../middleware/requireAuth.js'
+
+export const adminCouponsRouter = express.Router()
+
+// All coupon admin routes require coupons.manage
+adminCouponsRouter.use(requirePermission('coupons.manage'))
+
+// List coupons with usage stats (filters: creatorType, creatorId, active, search)
+adminCouponsRouter.get('/', listCoupons)
+
+// Get a coupon with its usage stats and orders
+adminCouponsRouter.get('/:couponId', getCoupon)
+
+// Create a coupon (admin-wide, or for an artist via artistHumanId)
+adminCouponsRouter.post('/', createCoupon)
+
+// Change a coupon
+adminCouponsRouter.put('/:couponId', updateCoupon)
+
+// Remove a coupon (deactivated instead if it has been used)
+adminCouponsRouter.delete('/:couponId', deleteCoupon)
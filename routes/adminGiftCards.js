@@ -0,0 +1,21 @@
+import express from 'express'
+import {
+  listGiftCards,
+  issueGiftCard,
+  voidGiftCard
+} from '../controllers/giftCardsController.js'
+import { requirePermission } from '../middleware/requireAuth.js'
+
+export const adminGiftCardsRouter = express.Router()
+
+// All gift card admin routes require gift_cards.manage
+adminGiftCardsRouter.use(requirePermission('gift_cards.manage'))
+
+// List gift cards (filters: status, search)
+adminGiftCardsRouter.get('/', listGiftCards)
+
+// Issue a gift card without a purchase
+adminGiftCardsRouter.post('/', issueGiftCard)
+
+// Void an unredeemed gift card
+adminGiftCardsRouter.post('/:giftCardId/void', voidGiftCard)
@@ -0,0 +1,37 @@
+import express from 'express'
+import {
+  getAwaitingStock,
+  getLowStock,
+  getStockMovements,
+  recordMovement,
+  releaseAwaiting,
+  setLowStockThreshold
+} from '../controllers/inventoryController.js'
+import { requirePermission } from '../middleware/requireAuth.js'
+
+export const adminInventoryRouter = express.Router()
+
+// All inventory admin routes require inventory.manage
+adminInventoryRouter.use(requirePermission('inventory.manage'))
+
+// Products, variants and songs at or below their low-stock threshold
+adminInventoryRouter.get('/low-stock', getLowStock)
+
+// Backordered and pre-ordered order lines still waiting on stock
+adminInventoryRouter.get('/awaiting-stock', getAwaitingStock)
+adminInventoryRouter.post('/awaiting-stock/release', releaseAwaiting)
+
+// Stock, ledger check and movement history
+adminInventoryRouter.get('/products/:productId/movements', getStockMovements)
+adminInventoryRouter.get('/variants/:variantId/movements', getStockMovements)
+adminInventoryRouter.get('/songs/:songId/movements', getStockMovements)
+
+// Record receiving, damage or a count adjustment
+adminInventoryRouter.post('/products/:productId/movements', recordMovement)
+adminInventoryRouter.post('/variants/:variantId/movements', recordMovement)
+adminInventoryRouter.post('/songs/:songId/movements', recordMovement)
+
+// Set the low-stock threshold
+adminInventoryRouter.put('/products/:productId/threshold', setLowStockThreshold)
+adminInventoryRouter.put('/variants/:variantId/threshold', setLowStockThreshold)
+adminInventoryRouter.put('/songs/:songId/threshold', setLowStockThreshold)
@@ -0,0 +1,41 @@
+import express from 'express'
+import {
+  listOrders,
+  getOrderDetail,
+  updateOrderStatus,
+  refundOrderItems,
+  downloadOrderInvoice,
+  reissueInvoice,
+  resetDownloadLink,
+  retryProviderRefund
+} from '../controllers/adminOrdersController.js'
+import { requirePermission } from '../middleware/requireAuth.js'
+
+export const adminOrdersRouter = express.Router()
+
+// All order management routes require orders.manage
+adminOrdersRouter.use(requirePermission('orders.manage'))
+
+// List orders (filters: status, humanId, search, from, to, limit, offset)
+adminOrdersRouter.get('/', listOrders)
+
+// Get order detail with history
+adminOrdersRouter.get('/:orderId', getOrderDetail)
+
+// Move order to a new status
+adminOrdersRouter.post('/:orderId/status', updateOrderStatus)
+
+// Refund a paid order (full, or partial by line)
+adminOrdersRouter.post('/:orderId/refund', refundOrderItems)
+
+// Send a refund the payment provider refused again
+adminOrdersRouter.post('/:orderId/payment-refunds/:paymentRefundId/retry', retryProviderRefund)
+
+// Download the order's latest invoice
+adminOrdersRouter.get('/:orderId/invoice.pdf', downloadOrderInvoice)
+
+// Re-issue the order's invoice as a new version
+adminOrdersRouter.post('/:orderId/invoice', reissueInvoice)
+
+// Reset a download link's token, download count and expiry
+adminOrdersRouter.post('/:orderId/downloads/:linkId/reset', resetDownloadLink)
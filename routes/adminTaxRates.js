@@ -0,0 +1,25 @@
+import express from 'express'
+import {
+  listTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+} from '../controllers/adminTaxRatesController.js'
+import { requirePermission } from '../middleware/requireAuth.js'
+
+export const adminTaxRatesRouter = express.Router()
+
+// All tax rate routes require tax.manage
+adminTaxRatesRouter.use(requirePermission('tax.manage'))
+
+// List tax rates (filters: country, active)
+adminTaxRatesRouter.get('/', listTaxRates)
+
+// Add a tax rate
+adminTaxRatesRouter.post('/', createTaxRate)
+
+// Change a tax rate
+adminTaxRatesRouter.put('/:rateId', updateTaxRate)
+
+// Remove a tax rate
+adminTaxRatesRouter.delete('/:rateId', deleteTaxRate)
@@ -6,10 +6,22 @@ import {
   updateArtist, 
   searchArtists 
 } from '../controllers/artistsController.js'
+import {
+  listArtistCoupons,
+  createArtistCoupon,
+  updateArtistCoupon,
+  deleteArtistCoupon
+} from '../controllers/couponsController.js'
 import { requirePermission } from '../middleware/requireAuth.js'
 
 export const artistsRouter = express.Router()
 
+// The logged-in artist's own coupons (only discount their products)
+artistsRouter.get('/me/coupons', requirePermission('coupons.create_own'), listArtistCoupons)
+artistsRouter.post('/me/coupons', requirePermission('coupons.create_own'), createArtistCoupon)
+artistsRouter.put('/me/coupons/:couponId', requirePermission('coupons.create_own'), updateArtistCoupon)
+artistsRouter.delete('/me/coupons/:couponId', requirePermission('coupons.create_own'), deleteArtistCoupon)
+
 // Public routes
 artistsRouter.get('/', getArtists)
 artistsRouter.get('/search', searchArtists)
@@ -3,14 +3,20 @@ import {
   addToCart, 
   getCartCount, 
   getAll, 
+  updateQuantity,
+  saveForLater,
   deleteItem, 
   deleteAll } from '../controllers/cartController.js'
 import { requireAuth } from '../middleware/requireAuth.js'
 
 export const cartRouter = express.Router()
 
-cartRouter.post('/add', requireAuth, addToCart) 
-cartRouter.get('/cart-count', requireAuth, getCartCount)
-cartRouter.get('/', requireAuth, getAll) 
-cartRouter.delete('/all', requireAuth, deleteAll) 
-cartRouter.delete('/:itemId', requireAuth, deleteItem) 
\ No newline at end of file
+// Open to guests: their cart is kept against their session until they log in
+cartRouter.post('/add', addToCart) 
+cartRouter.get('/cart-count', getCartCount)
+cartRouter.get('/', getAll) 
+cartRouter.patch('/:itemId', updateQuantity)
+// Saved items go on the wishlist, which needs an account
+cartRouter.post('/:itemId/save-for-later', requireAuth, saveForLater)
+cartRouter.delete('/all', deleteAll) 
+cartRouter.delete('/:itemId', deleteItem) 
\ No newline at end of file
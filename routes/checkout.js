@@ -2,9 +2,12 @@ import express from 'express'
 import { requireAuth } from '../middleware/requireAuth.js'
 import { 
   previewOrder, 
+  reserveCheckout,
   createOrder, 
   getOrder, 
   getUserOrders,
+  cancelOrder,
+  downloadInvoice,
   validateCouponCode 
 } from '../controllers/checkoutController.js'
 
@@ -16,6 +19,9 @@ checkoutRouter.use(requireAuth)
 // Preview order with optional coupon (doesn't create order)
 checkoutRouter.post('/preview', previewOrder)
 
+// Start checkout: hold the cart's stock for a few minutes
+checkoutRouter.post('/reserve', reserveCheckout)
+
 // Validate coupon code
 checkoutRouter.post('/validate-coupon', validateCouponCode)
 
@@ -27,3 +33,9 @@ checkoutRouter.get('/orders', getUserOrders)
 
 // Get specific order details
 checkoutRouter.get('/orders/:orderId', getOrder)
+
+// Download the order's invoice
+checkoutRouter.get('/orders/:orderId/invoice.pdf', downloadInvoice)
+
+// Cancel a pending/processing order
+checkoutRouter.post('/orders/:orderId/cancel', cancelOrder)
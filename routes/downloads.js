@@ -0,0 +1,18 @@
+import express from 'express'
+import { requireAuth } from '../middleware/requireAuth.js'
+import {
+  downloadFile,
+  getMyDownloads,
+  regenerateLink
+} from '../controllers/downloadsController.js'
+
+export const downloadsRouter = express.Router()
+
+// List current user's download links
+downloadsRouter.get('/', requireAuth, getMyDownloads)
+
+// Issue a new token for a link (count and expiry carry over)
+downloadsRouter.post('/:linkId/regenerate', requireAuth, regenerateLink)
+
+// Download by token (token is the credential)
+downloadsRouter.get('/:token', downloadFile)
@@ -1,6 +1,35 @@
 import express from 'express'
 import { getCurrentUser } from '../controllers/meController.js'
+import { changePassword } from '../controllers/authController.js'
+import {
+  listAddresses,
+  createAddress,
+  updateAddress,
+  makePrimaryAddress,
+  deleteAddress
+} from '../controllers/addressesController.js'
+import { getMyStoreCredit, redeemMyGiftCard, listMyGiftCards } from '../controllers/giftCardsController.js'
+import { getMyLoyaltyPoints } from '../controllers/loyaltyController.js'
+import { requireAuth } from '../middleware/requireAuth.js'
 
 export const meRouter = express.Router()
 
-meRouter.get('/', getCurrentUser) 
\ No newline at end of file
+meRouter.get('/', getCurrentUser) 
+
+// Change password (current password required)
+meRouter.put('/password', requireAuth, changePassword)
+
+// Address book (billing/shipping)
+meRouter.get('/addresses', requireAuth, listAddresses)
+meRouter.post('/addresses', requireAuth, createAddress)
+meRouter.put('/addresses/:addressId', requireAuth, updateAddress)
+meRouter.post('/addresses/:addressId/primary', requireAuth, makePrimaryAddress)
+meRouter.delete('/addresses/:addressId', requireAuth, deleteAddress)
+
+// Store credit balance/history, gift card redemption and gift cards bought
+meRouter.get('/credit', requireAuth, getMyStoreCredit)
+meRouter.post('/credit/redeem', requireAuth, redeemMyGiftCard)
+meRouter.get('/gift-cards', requireAuth, listMyGiftCards)
+
+// Loyalty points balance and history
+meRouter.get('/loyalty', requireAuth, getMyLoyaltyPoints)
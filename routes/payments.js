@@ -0,0 +1,7 @@
+import express from 'express'
+import { handleWebhook } from '../controllers/paymentsController.js'
+
+export const paymentsRouter = express.Router()
+
+// Provider callbacks - authenticated by signature, not session
+paymentsRouter.post('/webhook', handleWebhook)
@@ -1,5 +1,6 @@
 import express from 'express'
 import { getGenres, getProducts, getSingleProduct, createProduct, updateProduct, deleteProduct } from '../controllers/productsController.js'
+import { createProductVariant, updateProductVariant, deleteProductVariant } from '../controllers/variantsController.js'
 import { requirePermission } from '../middleware/requireAuth.js'
 
 export const productsRouter = express.Router()
@@ -9,4 +10,9 @@ productsRouter.get('/', getProducts)
 productsRouter.get('/:id', getSingleProduct)
 productsRouter.post('/', requirePermission('products.create'), createProduct)
 productsRouter.put('/:id', requirePermission('products.update'), updateProduct)
-productsRouter.delete('/:id', requirePermission('products.delete'), deleteProduct)
\ No newline at end of file
+productsRouter.delete('/:id', requirePermission('products.delete'), deleteProduct)
+
+// Variants (e.g. size/color) of a product
+productsRouter.post('/:id/variants', requirePermission('products.update'), createProductVariant)
+productsRouter.put('/:id/variants/:variantId', requirePermission('products.update'), updateProductVariant)
+productsRouter.delete('/:id/variants/:variantId', requirePermission('products.update'), deleteProductVariant)
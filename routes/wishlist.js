@@ -0,0 +1,17 @@
+import express from 'express'
+import {
+  getWishlist,
+  addToWishlist,
+  updateWishlistItem,
+  removeFromWishlist,
+  moveToCart
+} from '../controllers/wishlistController.js'
+import { requireAuth } from '../middleware/requireAuth.js'
+
+export const wishlistRouter = express.Router()
+
+wishlistRouter.get('/', requireAuth, getWishlist)
+wishlistRouter.post('/', requireAuth, addToWishlist)
+wishlistRouter.patch('/:itemId', requireAuth, updateWishlistItem)
+wishlistRouter.delete('/:itemId', requireAuth, removeFromWishlist)
+wishlistRouter.post('/:itemId/move-to-cart', requireAuth, moveToCart)
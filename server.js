@@ -3,17 +3,32 @@ import { productsRouter } from './routes/products.js'
 import { authRouter } from './routes/auth.js'
 import { meRouter } from './routes/me.js'
 import { cartRouter } from './routes/cart.js'
+import { wishlistRouter } from './routes/wishlist.js'
 import { checkoutRouter } from './routes/checkout.js'
 import { artistsRouter } from './routes/artists.js'
 import { songsRouter } from './routes/songs.js'
 import { adminRouter } from './routes/admin.js'
+import { adminOrdersRouter } from './routes/adminOrders.js'
+import { adminTaxRatesRouter } from './routes/adminTaxRates.js'
+import { adminCouponsRouter } from './routes/adminCoupons.js'
+import { adminGiftCardsRouter } from './routes/adminGiftCards.js'
+import { adminInventoryRouter } from './routes/adminInventory.js'
+import { downloadsRouter } from './routes/downloads.js'
+import { paymentsRouter } from './routes/payments.js'
+import { scheduleAwaitingStockRelease } from './services/backorderService.js'
+import { schedulePaymentRefunds } from './services/paymentService.js'
 import session from 'express-session'
 
 const app = express() 
 const PORT = 5600
 const secret = process.env.SPIRAL_SESSION_SECRET || 'jellyfish-baskingshark'
 
-app.use(express.json()) 
+// Keep the raw body around so payment webhooks can verify their signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
+}))
 
 // Content Security Policy headers
 app.use((req, res, next) => {
@@ -53,14 +68,34 @@ app.use('/api/auth', authRouter)
 
 app.use('/api/cart', cartRouter)
 
+app.use('/api/wishlist', wishlistRouter)
+
 app.use('/api/checkout', checkoutRouter)
 
 app.use('/api/songs', songsRouter)
 
+app.use('/api/admin/orders', adminOrdersRouter)
+
+app.use('/api/admin/tax-rates', adminTaxRatesRouter)
+
+app.use('/api/admin/coupons', adminCouponsRouter)
+
+app.use('/api/admin/gift-cards', adminGiftCardsRouter)
+
+app.use('/api/admin/inventory', adminInventoryRouter)
+
 app.use('/api/admin', adminRouter)
+
+app.use('/api/downloads', downloadsRouter)
+
+app.use('/api/payments', paymentsRouter)
  
 app.listen(PORT, () => { 
   console.log(`Server running at http://localhost:${PORT}`)
+  // Pre-orders whose release date has passed get their stock
+  scheduleAwaitingStockRelease()
+  // Refunds the payment provider hasn't been sent yet
+  schedulePaymentRefunds()
 }).on('error', (err) => {
   console.error('Failed to start server:', err)
 }) 
\ No newline at end of file
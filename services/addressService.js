@@ -0,0 +1,150 @@
+/**
+ * Address types customers can keep in their address book
+ */
+export const ADDRESS_TYPES = ['billing', 'shipping']
+
+const ADDRESS_COLUMNS = `
+  a.id,
+  a.street_line1,
+  a.street_line2,
+  a.city,
+  a.state_province,
+  a.postal_code,
+  a.country,
+  a.address_type,
+  ab.is_primary,
+  ab.effective_from,
+  ab.effective_to`
+
+/**
+ * Get one of a customer's current addresses (null if it isn't theirs or
+ * has been removed)
+ */
+export async function getCustomerAddress(db, humanId, addressId) {
+  return db.get(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses a
+     JOIN addressable ab ON ab.address_id = a.id
+     WHERE a.id = ? AND ab.entity_type = 'human' AND ab.entity_id = ? AND ab.effective_to IS NULL`,
+    [addressId, humanId]
+  )
+}
+
+/**
+ * Get a customer's primary address of one type, if they have one
+ */
+export async function getPrimaryAddress(db, humanId, addressType) {
+  return db.get(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses a
+     JOIN addressable ab ON ab.address_id = a.id
+     WHERE ab.entity_type = 'human' AND ab.entity_id = ? AND ab.effective_to IS NULL
+     AND ab.is_primary = 1 AND a.address_type = ?
+     LIMIT 1`,
+    [humanId, addressType]
+  )
+}
+
+/**
+ * List a customer's addresses, newest first.
+ * includeHistory also returns addresses that were edited or removed.
+ */
+export async function listCustomerAddresses(db, humanId, { includeHistory = false } = {}) {
+  return db.all(
+    `SELECT ${ADDRESS_COLUMNS}
+     FROM addresses a
+     JOIN addressable ab ON ab.address_id = a.id
+     WHERE ab.entity_type = 'human' AND ab.entity_id = ?
+     ${includeHistory ? '' : 'AND ab.effective_to IS NULL'}
+     ORDER BY ab.effective_to IS NOT NULL, a.address_type, ab.is_primary DESC, ab.effective_from DESC, a.id DESC`,
+    [humanId]
+  )
+}
+
+/**
+ * Add an address to a customer's book. The first address of a type becomes
+ * primary automatically. Returns the new address id.
+ */
+export async function addCustomerAddress(db, humanId, address, { isPrimary = false } = {}) {
+  const result = await db.run(
+    `INSERT INTO addresses (street_line1, street_line2, city, state_province, postal_code, country, address_type)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      address.street_line1,
+      address.street_line2,
+      address.city,
+      address.state_province,
+      address.postal_code,
+      address.country,
+      address.address_type
+    ]
+  )
+  const addressId = result.lastID
+
+  const current = await getPrimaryAddress(db, humanId, address.address_type)
+
+  await db.run(
+    `INSERT INTO addressable (address_id, entity_type, entity_id, is_primary)
+     VALUES (?, 'human', ?, 0)`,
+    [addressId, humanId]
+  )
+
+  if (isPrimary || !current) {
+    await setPrimaryAddress(db, humanId, addressId)
+  }
+
+  return addressId
+}
+
+/**
+ * Make an address the customer's primary one for its type
+ */
+export async function setPrimaryAddress(db, humanId, addressId) {
+  await db.run(
+    `UPDATE addressable SET is_primary = CASE WHEN address_id = ? THEN 1 ELSE 0 END
+     WHERE entity_type = 'human' AND entity_id = ? AND effective_to IS NULL
+     AND address_id IN (
+       SELECT id FROM addresses WHERE address_type = (SELECT address_type FROM addresses WHERE id = ?)
+     )`,
+    [addressId, humanId, addressId]
+  )
+}
+
+/**
+ * Take an address out of a customer's book. The row stays (orders point at
+ * it); only the link is closed off with effective_to.
+ */
+export async function endCustomerAddress(db, humanId, addressId) {
+  await db.run(
+    `UPDATE addressable SET effective_to = CURRENT_TIMESTAMP, is_primary = 0
+     WHERE address_id = ? AND entity_type = 'human' AND entity_id = ? AND effective_to IS NULL`,
+    [addressId, humanId]
+  )
+}
+
+/**
+ * Work out the shipping and billing addresses for a checkout.
+ * Explicit ids must belong to the customer; otherwise their primary address
+ * of each type is used. Either may come back null.
+ * Returns { shipping, billing } or { error }.
+ */
+export async function resolveCheckoutAddresses(db, humanId, { shippingAddressId, billingAddressId } = {}) {
+  const addresses = {}
+
+  for (const [type, addressId] of [['shipping', shippingAddressId], ['billing', billingAddressId]]) {
+    if (addressId === undefined || addressId === null) {
+      addresses[type] = await getPrimaryAddress(db, humanId, type) || null
+      continue
+    }
+
+    const address = await getCustomerAddress(db, humanId, parseInt(addressId, 10))
+
+    if (!address) {
+      return { error: `${type === 'shipping' ? 'Shipping' : 'Billing'} address not found` }
+    }
+
+    addresses[type] = address
+  }
+
+  return addresses
+}
@@ -0,0 +1,189 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { getLineProduct, recordStockMovement, sellingMode } from './inventoryService.js'
+import { availableStock } from './reservationService.js'
+
+/**
+ * How often order lines waiting on stock are checked for a pre-order
+ * release date that has passed
+ */
+const RELEASE_CHECK_MINUTES = parseInt(process.env.RELEASE_CHECK_MINUTES, 10) || 60
+
+/**
+ * What to tell the customer about units that won't ship straight away
+ */
+export function awaitingStockMessage({ reason, releaseDate, quantity, fromStock }) {
+  if (reason === 'preorder') {
+    return `Pre-order: ships after its release on ${releaseDate}`
+  }
+
+  return fromStock > 0
+    ? `${fromStock} in stock, ${quantity - fromStock} on backorder - those ship when stock arrives`
+    : 'On backorder: ships when stock arrives'
+}
+
+/**
+ * Split a physical cart line between units taken from stock now and units
+ * that wait: all of a pre-order waits for its release date, a backorder
+ * takes what's available (less other customers' holds) and waits for the
+ * rest. In-stock products never wait - checkout turns away what stock
+ * can't cover. A variant line takes from its variant's stock.
+ * Returns { fromStock, awaiting, reason, releaseDate, message } - reason
+ * and message are null when nothing waits.
+ */
+export async function planLineStock(db, line, humanId = null) {
+  const product = await getLineProduct(db, line.product_id, line.variant_id)
+  const mode = sellingMode(product)
+  const releaseDate = product.release_date
+
+  if (mode === 'preorder') {
+    return {
+      fromStock: 0,
+      awaiting: line.quantity,
+      reason: 'preorder',
+      releaseDate,
+      message: awaitingStockMessage({ reason: 'preorder', releaseDate, quantity: line.quantity, fromStock: 0 })
+    }
+  }
+
+  if (mode === 'backorder') {
+    const fromStock = Math.min(line.quantity, await availableStock(db, line.product_id, product.stock, humanId, line.variant_id))
+
+    if (fromStock < line.quantity) {
+      return {
+        fromStock,
+        awaiting: line.quantity - fromStock,
+        reason: 'backorder',
+        releaseDate,
+        message: awaitingStockMessage({ reason: 'backorder', releaseDate, quantity: line.quantity, fromStock })
+      }
+    }
+  }
+
+  return { fromStock: line.quantity, awaiting: 0, reason: null, releaseDate, message: null }
+}
+
+/**
+ * Fill order lines waiting on a product (or one of its variants, with
+ * variantId) from its stock, oldest order first, recording each as a sale
+ * for its order. Only stock no checkout is holding is released, so
+ * shoppers keep the units reserved for them. Pre-orders wait until the
+ * release date even if stock is already in. Call inside a transaction
+ * whenever the stock goes up or the release date may have passed.
+ * Returns the number of units released.
+ */
+export async function releaseAwaitingStock(db, productId, variantId = null) {
+  const product = await getLineProduct(db, productId, variantId)
+
+  if (!product || sellingMode(product) === 'preorder') {
+    return 0
+  }
+
+  const lines = await db.all(
+    `SELECT oi.id, oi.order_id, oi.awaiting_stock_quantity
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     WHERE oi.product_id = ? AND oi.variant_id IS ? AND oi.awaiting_stock_quantity > 0
+     ORDER BY o.created_at, oi.id`,
+    [productId, variantId]
+  )
+
+  let available = lines.length > 0 ? await availableStock(db, productId, product.stock, null, variantId) : 0
+  let released = 0
+
+  for (const line of lines) {
+    if (available <= 0) {
+      break
+    }
+
+    const units = Math.min(line.awaiting_stock_quantity, available)
+    await recordStockMovement(db, { productId, variantId }, -units, 'sale', {
+      orderId: line.order_id,
+      reason: 'Released to an order awaiting stock'
+    })
+    available -= units
+
+    await db.run(
+      `UPDATE order_items
+       SET awaiting_stock_quantity = awaiting_stock_quantity - ?,
+           stock_released_at = CASE WHEN awaiting_stock_quantity = ? THEN CURRENT_TIMESTAMP ELSE stock_released_at END
+       WHERE id = ?`,
+      [units, units, line.id]
+    )
+    released += units
+  }
+
+  return released
+}
+
+/**
+ * Release every product and variant with order lines waiting on it (only
+ * productId's, if given) - picks up pre-orders whose release date has
+ * passed. Returns the units released.
+ */
+export async function releaseAllAwaitingStock(db, productId = null) {
+  const waiting = await db.all(
+    `SELECT DISTINCT product_id, variant_id FROM order_items
+     WHERE awaiting_stock_quantity > 0 AND (? IS NULL OR product_id = ?)`,
+    [productId, productId]
+  )
+
+  let released = 0
+  for (const line of waiting) {
+    released += await releaseAwaitingStock(db, line.product_id, line.variant_id)
+  }
+
+  return released
+}
+
+/**
+ * Order lines still waiting on stock, oldest first, with what they wait for
+ */
+export async function listAwaitingStock(db) {
+  return db.all(
+    `SELECT oi.id AS orderItemId, oi.order_id AS orderId, o.order_number AS orderNumber, o.status AS orderStatus,
+       o.created_at AS orderedAt, oi.product_id AS productId, oi.variant_id AS variantId,
+       p.title, p.artist, oi.variant_label AS variantLabel, oi.quantity,
+       oi.awaiting_stock_quantity AS awaitingQuantity, oi.awaiting_stock_reason AS reason,
+       p.release_date AS releaseDate, COALESCE(v.stock, p.stock, 0) AS stock
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     JOIN products p ON oi.product_id = p.id
+     LEFT JOIN product_variants v ON oi.variant_id = v.id
+     WHERE oi.awaiting_stock_quantity > 0
+     ORDER BY o.created_at, oi.id`
+  )
+}
+
+/**
+ * Check for passed release dates now, at each midnight (UTC, when release
+ * dates pass) and every RELEASE_CHECK_MINUTES. Stock arriving releases its
+ * product's waiting lines straight away; this catches the pre-orders that
+ * only needed the date to come round, before new orders can take the stock.
+ */
+export function scheduleAwaitingStockRelease() {
+  const run = async () => {
+    let db
+    try {
+      db = await getDBConnection()
+      await withTransaction(db, () => releaseAllAwaitingStock(db))
+    } catch (err) {
+      console.error('Awaiting stock release error:', err)
+    } finally {
+      await db?.close()
+    }
+  }
+
+  const runAtMidnight = () => {
+    const now = new Date()
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+
+    setTimeout(() => {
+      run()
+      runAtMidnight()
+    }, midnight - now.getTime()).unref()
+  }
+
+  run()
+  runAtMidnight()
+  setInterval(run, RELEASE_CHECK_MINUTES * 60 * 1000).unref()
+}
@@ -0,0 +1,191 @@
+import { availableStock, releaseReservations } from './reservationService.js'
+import { getLineProduct, sellingMode } from './inventoryService.js'
+import { awaitingStockMessage } from './backorderService.js'
+import { checkVariantChoice } from './variantService.js'
+
+/**
+ * How long a guest cart is kept after its last item was added. Guest carts
+ * belong to a session, and sessions don't outlive a server restart.
+ */
+const GUEST_CART_DAYS = parseInt(process.env.GUEST_CART_DAYS, 10) || 30
+
+/**
+ * Who a request's cart belongs to: the logged-in human, or the session for
+ * a guest. column is the cart_items column to match id against.
+ */
+export function cartOwner(req) {
+  if (req.session.humanId) {
+    return { column: 'human_id', id: req.session.humanId }
+  }
+
+  return { column: 'session_id', id: req.sessionID }
+}
+
+/**
+ * Check that a cart line may hold quantity units: no more than the
+ * product's per-order limit and, for physical products, no more than is in
+ * stock and not held by other customers' checkouts (humanId is the
+ * customer asking, null for a guest). A product sold by variant needs one
+ * of its active variants, whose stock is the one checked. Songs and
+ * digital products never run out, and backorder and pre-order products can
+ * go past their stock.
+ * Returns { success: true, stock } with stock to snapshot on the line (null
+ * when stock doesn't apply) or { success: false, status, error, available,
+ * maxPerOrder }.
+ */
+export async function checkCartQuantity(db, { productId, songId, variantId = null }, quantity, humanId = null) {
+  if (!productId) {
+    const song = await db.get('SELECT id FROM songs WHERE id = ?', [songId])
+    return song
+      ? { success: true, stock: null }
+      : { success: false, status: 404, error: 'Song not found' }
+  }
+
+  const product = await getLineProduct(db, productId, variantId)
+
+  if (!product) {
+    return { success: false, status: 404, error: 'Product not found' }
+  }
+
+  const choice = await checkVariantChoice(db, productId, variantId)
+
+  if (!choice.success) {
+    return choice
+  }
+
+  const stock = product.is_digital ? null : await availableStock(db, productId, product.stock, humanId, variantId)
+
+  if (product.max_per_order && quantity > product.max_per_order) {
+    return {
+      success: false,
+      status: 409,
+      error: `Limit of ${product.max_per_order} per order`,
+      available: stock,
+      maxPerOrder: product.max_per_order
+    }
+  }
+
+  if (stock !== null && quantity > stock && sellingMode(product) === 'in_stock') {
+    return {
+      success: false,
+      status: 409,
+      error: stock > 0 ? `Only ${stock} left in stock` : 'Out of stock',
+      available: stock,
+      maxPerOrder: product.max_per_order
+    }
+  }
+
+  return { success: true, stock }
+}
+
+/**
+ * What to tell the shopper about a cart line whose product's availability
+ * has changed: it can no longer be filled, or stock has dropped since they
+ * added it. Pre-orders, and backorders past the stock, say when they'll
+ * ship instead. null when there's nothing to say.
+ */
+export function stockWarning({ quantity, available, stock_when_added: stockWhenAdded, availability, releaseDate }) {
+  if (available === null || available === undefined) {
+    return null
+  }
+
+  const mode = sellingMode({ availability, release_date: releaseDate })
+
+  if (mode === 'preorder' || (mode === 'backorder' && available < quantity)) {
+    return awaitingStockMessage({ reason: mode, releaseDate, quantity, fromStock: mode === 'preorder' ? 0 : available })
+  }
+
+  if (available < quantity) {
+    return available > 0 ? `Only ${available} left in stock` : 'Out of stock'
+  }
+
+  if (stockWhenAdded !== null && stockWhenAdded !== undefined && available < stockWhenAdded) {
+    return `Only ${available} left - stock has dropped since you added this`
+  }
+
+  return null
+}
+
+/**
+ * Drop guest carts nobody has touched in GUEST_CART_DAYS
+ */
+export async function pruneGuestCarts(db) {
+  await db.run(
+    `DELETE FROM cart_items
+     WHERE session_id IS NOT NULL
+     AND session_id NOT IN (
+       SELECT session_id FROM cart_items
+       WHERE session_id IS NOT NULL AND added_at > datetime('now', ?)
+     )`,
+    [`-${GUEST_CART_DAYS} days`]
+  )
+}
+
+/**
+ * The most of quantity a human's cart line may hold under checkCartQuantity:
+ * cut to the product's per-order limit, then to what's in stock for
+ * in-stock products. Lines it turns down for other reasons (e.g. a
+ * deactivated variant) keep quantity and are flagged when the cart is shown.
+ */
+async function fitCartQuantity(db, target, quantity, humanId) {
+  let check = await checkCartQuantity(db, target, quantity, humanId)
+
+  if (!check.success && check.maxPerOrder && quantity > check.maxPerOrder) {
+    quantity = check.maxPerOrder
+    check = await checkCartQuantity(db, target, quantity, humanId)
+  }
+
+  if (!check.success && check.status === 409) {
+    quantity = Math.max(check.available ?? 0, 0)
+  }
+
+  return quantity
+}
+
+/**
+ * Move a guest's cart onto a human's cart when they log in or register.
+ * Items already in the human's cart get the guest's quantity added to
+ * theirs; the rest change owner. Merged lines are cut back to the stock
+ * and per-order limits adding to the cart would allow, and dropped if
+ * nothing is left. Returns the number of guest items merged.
+ * Call inside a transaction.
+ */
+export async function mergeGuestCart(db, sessionId, humanId) {
+  const guestItems = await db.all(
+    'SELECT id, product_id, song_id, variant_id, quantity FROM cart_items WHERE session_id = ?',
+    [sessionId]
+  )
+
+  for (const item of guestItems) {
+    const existing = await db.get(
+      'SELECT id, quantity FROM cart_items WHERE human_id = ? AND product_id IS ? AND song_id IS ? AND variant_id IS ?',
+      [humanId, item.product_id, item.song_id, item.variant_id]
+    )
+
+    const quantity = await fitCartQuantity(
+      db,
+      { productId: item.product_id, songId: item.song_id, variantId: item.variant_id },
+      (existing ? existing.quantity : 0) + item.quantity,
+      humanId
+    )
+
+    if (quantity === 0) {
+      await db.run('DELETE FROM cart_items WHERE id IN (?, ?)', [item.id, existing ? existing.id : null])
+    } else if (existing) {
+      await db.run('UPDATE cart_items SET quantity = ? WHERE id = ?', [quantity, existing.id])
+      await db.run('DELETE FROM cart_items WHERE id = ?', [item.id])
+    } else {
+      await db.run(
+        'UPDATE cart_items SET human_id = ?, session_id = NULL, quantity = ? WHERE id = ?',
+        [humanId, quantity, item.id]
+      )
+    }
+  }
+
+  // Any stock held for the human's checkout was for the cart before the merge
+  if (guestItems.length > 0) {
+    await releaseReservations(db, humanId)
+  }
+
+  return guestItems.length
+}
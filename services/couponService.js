@@ -0,0 +1,356 @@
+/**
+ * Discount types a coupon can have
+ *   - percentage / fixed_amount: off the eligible lines
+ *   - buy_x_get_y: for every buy_quantity + get_quantity eligible units, the
+ *     cheapest get_quantity get discount_value percent off (100 = free)
+ *   - tiered: percent off the eligible lines from the highest coupon_tiers
+ *     row whose min_quantity the eligible units reach
+ */
+export const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'buy_x_get_y', 'tiered']
+
+/**
+ * Who a coupon was created by. Artist coupons only discount the artist's
+ * own products; admin and vendor coupons discount the whole cart.
+ */
+export const CREATOR_TYPES = ['admin', 'vendor', 'artist']
+
+/**
+ * What a coupon can be scoped to. Songs have the product type 'Song'.
+ */
+export const SCOPE_TYPES = ['genre', 'product_type', 'product', 'artist']
+
+/**
+ * The value a line has for a scope type, as stored in coupon_scopes
+ */
+function scopeValueFor(line, scopeType) {
+  switch (scopeType) {
+    case 'genre':
+      return line.genre ? line.genre.toLowerCase() : null
+    case 'product_type':
+      return (line.product_type || 'Song').toLowerCase()
+    case 'product':
+      return line.product_id ? String(line.product_id) : null
+    case 'artist':
+      return line.artist_human_id ? String(line.artist_human_id) : null
+  }
+}
+
+/**
+ * Load a coupon's scopes and tiers onto it (coupon.scopes, coupon.tiers)
+ */
+export async function loadCouponRules(db, coupon) {
+  coupon.scopes = await db.all(
+    'SELECT scope_type, scope_value FROM coupon_scopes WHERE coupon_id = ? ORDER BY scope_type, scope_value',
+    [coupon.id]
+  )
+  coupon.tiers = await db.all(
+    'SELECT min_quantity, discount_value FROM coupon_tiers WHERE coupon_id = ? ORDER BY min_quantity',
+    [coupon.id]
+  )
+  return coupon
+}
+
+/**
+ * Does a coupon discount this cart/order line? Artist coupons only cover
+ * the artist's own lines; scoped coupons only cover lines matching one of
+ * their scopes. Gift cards are never discounted. Needs the coupon's scopes
+ * loaded.
+ */
+export function couponAppliesTo(coupon, line) {
+  if (line.is_gift_card) {
+    return false
+  }
+
+  if (coupon.creator_type === 'artist' && line.artist_human_id !== coupon.creator_id) {
+    return false
+  }
+
+  if (!coupon.scopes || coupon.scopes.length === 0) {
+    return true
+  }
+
+  return coupon.scopes.some(scope =>
+    scopeValueFor(line, scope.scope_type) === scope.scope_value.toLowerCase()
+  )
+}
+
+/**
+ * Split a discount over lines in proportion to their weights (0 for lines
+ * it doesn't apply to). The last weighted line takes the rounding so the
+ * split adds up exactly.
+ */
+export function allocateDiscount(weights, discountAmount) {
+  const base = weights.reduce((sum, weight) => sum + weight, 0)
+  const lastWeighted = weights.findLastIndex(weight => weight > 0)
+
+  let discountLeft = discountAmount
+
+  return weights.map((weight, index) => {
+    if (weight <= 0) {
+      return 0
+    }
+
+    const lineDiscount = index === lastWeighted
+      ? discountLeft
+      : Math.round((base > 0 ? discountAmount * weight / base : 0) * 100) / 100
+    discountLeft = Math.round((discountLeft - lineDiscount) * 100) / 100
+
+    return lineDiscount
+  })
+}
+
+/**
+ * Work out a buy-X-get-Y discount per line. Eligible units are lined up
+ * cheapest first and the cheapest get_quantity of every buy + get units are
+ * discounted, so the customer always pays for the dearer items.
+ */
+function buyXGetYDiscounts(coupon, lines, eligible) {
+  const units = []
+  for (const [index, line] of lines.entries()) {
+    if (eligible[index]) {
+      for (let unit = 0; unit < line.quantity; unit++) {
+        units.push({ index, price: line.price })
+      }
+    }
+  }
+
+  units.sort((a, b) => a.price - b.price)
+
+  const groupSize = coupon.buy_quantity + coupon.get_quantity
+  const discountedUnits = Math.floor(units.length / groupSize) * coupon.get_quantity
+  const discounts = lines.map(() => 0)
+
+  for (const unit of units.slice(0, discountedUnits)) {
+    discounts[unit.index] += unit.price * coupon.discount_value / 100
+  }
+
+  return discounts.map(amount => Math.round(amount * 100) / 100)
+}
+
+/**
+ * Usage stats per coupon from order_coupons: orders it was used on, the
+ * total discount given and when it was last used. Orders that were later
+ * cancelled are counted separately.
+ */
+export const COUPON_USAGE_COLUMNS = `
+  COUNT(oc.order_id) AS orders_count,
+  COUNT(CASE WHEN o.status = 'cancelled' THEN 1 END) AS cancelled_orders_count,
+  COALESCE(SUM(CASE WHEN o.status != 'cancelled' THEN oc.discount_applied END), 0) AS total_discount,
+  MAX(oc.applied_at) AS last_used_at`
+
+/**
+ * Get one coupon with its usage stats, scopes, tiers and allow-list of
+ * customer ids (undefined if it doesn't exist)
+ */
+export async function getCouponWithUsage(db, couponId) {
+  const coupon = await db.get(
+    `SELECT c.*, ${COUPON_USAGE_COLUMNS}
+     FROM coupons c
+     LEFT JOIN order_coupons oc ON oc.coupon_id = c.id
+     LEFT JOIN orders o ON o.id = oc.order_id
+     WHERE c.id = ?
+     GROUP BY c.id`,
+    [couponId]
+  )
+
+  if (coupon) {
+    const allowed = await db.all(
+      'SELECT human_id FROM coupon_customers WHERE coupon_id = ? ORDER BY human_id',
+      [couponId]
+    )
+    coupon.allowed_customer_ids = allowed.map(row => row.human_id)
+    await loadCouponRules(db, coupon)
+  }
+
+  return coupon
+}
+
+/**
+ * Check a coupon's per-customer rules against the customer's order history.
+ * Cancelled orders are ignored, as their coupon use is given back.
+ * Returns null when the customer may use it, otherwise { error, reason }.
+ */
+async function checkCustomerRules(db, coupon, humanId) {
+  const allowList = await db.get(
+    'SELECT COUNT(*) AS total, COUNT(CASE WHEN human_id = ? THEN 1 END) AS matched FROM coupon_customers WHERE coupon_id = ?',
+    [humanId, coupon.id]
+  )
+
+  if (allowList.total > 0 && allowList.matched === 0) {
+    return { reason: 'not_allowed', error: 'This coupon is not available for your account' }
+  }
+
+  if (coupon.first_order_only || coupon.new_customers_since) {
+    const history = await db.get(
+      `SELECT
+         COUNT(*) AS orders_count,
+         COUNT(CASE WHEN created_at < ? THEN 1 END) AS orders_before
+       FROM orders
+       WHERE human_id = ? AND status != 'cancelled'`,
+      [coupon.new_customers_since || '', humanId]
+    )
+
+    if (coupon.first_order_only && history.orders_count > 0) {
+      return { reason: 'first_order_only', error: 'This coupon is only valid on your first order' }
+    }
+
+    if (coupon.new_customers_since && history.orders_before > 0) {
+      return {
+        reason: 'new_customers_only',
+        error: `This coupon is only for new customers who first ordered on or after ${coupon.new_customers_since.slice(0, 10)}`
+      }
+    }
+  }
+
+  if (coupon.max_uses_per_customer) {
+    const { uses } = await db.get(
+      `SELECT COUNT(*) AS uses
+       FROM order_coupons oc
+       JOIN orders o ON o.id = oc.order_id
+       WHERE oc.coupon_id = ? AND o.human_id = ? AND o.status != 'cancelled'`,
+      [coupon.id, humanId]
+    )
+
+    if (uses >= coupon.max_uses_per_customer) {
+      return {
+        reason: 'customer_limit_reached',
+        error: coupon.max_uses_per_customer === 1
+          ? 'You have already used this coupon'
+          : `You have already used this coupon the maximum of ${coupon.max_uses_per_customer} times`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Explain which items a coupon covers, for when the cart has none of them
+ */
+async function describeEligibility(db, coupon) {
+  if (coupon.creator_type === 'artist') {
+    const artist = await db.get('SELECT stage_name FROM artists WHERE human_id = ?', [coupon.creator_id])
+    if (!coupon.scopes.length) {
+      return `This coupon only applies to products by ${artist ? artist.stage_name : 'its artist'}`
+    }
+  }
+
+  const labels = { genre: 'genre', product_type: 'product type', product: 'product', artist: 'artist' }
+  const scopes = [...new Set(coupon.scopes.map(scope => labels[scope.scope_type]))]
+
+  return scopes.length > 0
+    ? `None of the items in your cart are eligible for this coupon (limited by ${scopes.join(', ')})`
+    : 'None of the items in your cart are eligible for this coupon'
+}
+
+/**
+ * Validate a coupon against priced cart lines and calculate its discount.
+ * lines need price, quantity, product_id, product_type, genre,
+ * artist_human_id and is_gift_card. The discount is worked out on the lines the coupon covers
+ * (its scopes, and an artist's own lines for artist coupons) and rejected
+ * when the cart has none of them.
+ * The customer's own eligibility (allow-list, first order, new customers,
+ * per-customer limit) is checked against their order history.
+ * Codes are matched case-insensitively.
+ * Returns { valid: true, coupon, discountAmount, lineDiscounts } with one
+ * discount per line, or { valid: false, error, reason } where reason is a
+ * short code for why it was rejected.
+ */
+export async function validateCoupon(db, couponCode, lines, humanId) {
+  const coupon = await db.get(
+    `SELECT * FROM coupons
+     WHERE UPPER(code) = ?
+     AND is_active = 1
+     AND (valid_from IS NULL OR valid_from <= datetime('now'))
+     AND (valid_until IS NULL OR valid_until >= datetime('now'))`,
+    [String(couponCode).trim().toUpperCase()]
+  )
+
+  if (!coupon) {
+    return { valid: false, reason: 'invalid', error: 'Invalid or expired coupon code' }
+  }
+
+  // Check usage limits
+  if (coupon.max_uses && coupon.times_used >= coupon.max_uses) {
+    return { valid: false, reason: 'usage_limit_reached', error: 'Coupon usage limit reached' }
+  }
+
+  const ineligible = await checkCustomerRules(db, coupon, humanId)
+
+  if (ineligible) {
+    return { valid: false, ...ineligible }
+  }
+
+  await loadCouponRules(db, coupon)
+
+  const eligible = lines.map(line => couponAppliesTo(coupon, line))
+  const eligibleTotals = lines.map((line, index) => eligible[index] ? line.price * line.quantity : 0)
+  const eligibleUnits = lines.reduce((sum, line, index) => sum + (eligible[index] ? line.quantity : 0), 0)
+  const subtotal = eligibleTotals.reduce((sum, total) => sum + total, 0)
+
+  if (eligibleUnits === 0) {
+    return { valid: false, reason: 'no_eligible_items', error: await describeEligibility(db, coupon) }
+  }
+
+  // Check if minimum purchase amount is met
+  if (coupon.min_purchase_amount && subtotal < coupon.min_purchase_amount) {
+    return {
+      valid: false,
+      reason: 'min_purchase',
+      error: `Minimum purchase of $${coupon.min_purchase_amount.toFixed(2)} required`
+    }
+  }
+
+  // Calculate discount per line
+  let lineDiscounts
+  if (coupon.discount_type === 'buy_x_get_y') {
+    if (eligibleUnits < coupon.buy_quantity + coupon.get_quantity) {
+      return {
+        valid: false,
+        reason: 'quantity_not_met',
+        error: `Add ${coupon.buy_quantity + coupon.get_quantity - eligibleUnits} more eligible item(s) to use this coupon`
+      }
+    }
+
+    lineDiscounts = buyXGetYDiscounts(coupon, lines, eligible)
+  } else {
+    let percent = coupon.discount_value
+
+    if (coupon.discount_type === 'tiered') {
+      const tier = coupon.tiers.filter(tier => tier.min_quantity <= eligibleUnits).pop()
+
+      if (!tier) {
+        return coupon.tiers.length === 0
+          ? { valid: false, reason: 'invalid', error: 'Invalid or expired coupon code' }
+          : {
+            valid: false,
+            reason: 'quantity_not_met',
+            error: `Add ${coupon.tiers[0].min_quantity - eligibleUnits} more eligible item(s) to use this coupon`
+          }
+      }
+
+      percent = tier.discount_value
+    }
+
+    const discountAmount = coupon.discount_type === 'fixed_amount'
+      ? Math.min(coupon.discount_value, subtotal)
+      : subtotal * (percent / 100)
+
+    lineDiscounts = allocateDiscount(eligibleTotals, Math.round(discountAmount * 100) / 100)
+  }
+
+  let discountAmount = Math.round(lineDiscounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100
+
+  // Apply max discount cap if specified
+  if (coupon.max_discount_amount && discountAmount > coupon.max_discount_amount) {
+    discountAmount = coupon.max_discount_amount
+    lineDiscounts = allocateDiscount(lineDiscounts, discountAmount)
+  }
+
+  return {
+    valid: true,
+    coupon: coupon,
+    discountAmount,
+    lineDiscounts
+  }
+}
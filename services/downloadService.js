@@ -0,0 +1,105 @@
+import crypto from 'node:crypto'
+import path from 'node:path'
+
+// Song files live under the same root verify_media_files.rb checks
+const MEDIA_ROOT = path.resolve(process.env.MEDIA_ROOT || 'public')
+
+const LINK_LIFETIME_DAYS = 30
+const MAX_DOWNLOADS = 3
+
+/**
+ * Issue one download link per digital order line (songs, digital albums and
+ * digital formats of a release - the link is to the release's tracklist).
+ * Gift cards are digital too but are delivered as codes, not downloads.
+ * Lines that already have a link are skipped, so this is safe to call again.
+ */
+export async function issueDownloadLinks(db, orderId) {
+  const items = await db.all(
+    `SELECT oi.id, oi.song_id, oi.product_id
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     LEFT JOIN product_variants v ON oi.variant_id = v.id
+     WHERE oi.order_id = ?
+     AND (oi.song_id IS NOT NULL OR (COALESCE(v.is_digital, p.is_digital) = 1 AND COALESCE(p.is_gift_card, 0) = 0))
+     AND NOT EXISTS (SELECT 1 FROM download_links dl WHERE dl.order_item_id = oi.id)`,
+    [orderId]
+  )
+
+  for (const item of items) {
+    await db.run(
+      `INSERT INTO download_links (order_id, order_item_id, song_id, product_id, download_token, max_downloads, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+      [
+        orderId,
+        item.id,
+        item.song_id,
+        item.song_id ? null : item.product_id,
+        crypto.randomUUID(),
+        MAX_DOWNLOADS,
+        `+${LINK_LIFETIME_DAYS} days`
+      ]
+    )
+  }
+
+  return items.length
+}
+
+/**
+ * Replace a link's token; the old one stops working immediately. The link
+ * keeps its download count and expiry, so a customer can rotate a leaked
+ * link but not extend it. reset (admin only) also restarts both.
+ */
+export async function regenerateDownloadLink(db, linkId, { reset = false } = {}) {
+  const token = crypto.randomUUID()
+
+  if (reset) {
+    await db.run(
+      `UPDATE download_links
+       SET download_token = ?, download_count = 0, expires_at = datetime('now', ?)
+       WHERE id = ?`,
+      [token, `+${LINK_LIFETIME_DAYS} days`, linkId]
+    )
+  } else {
+    await db.run('UPDATE download_links SET download_token = ? WHERE id = ?', [token, linkId])
+  }
+
+  return token
+}
+
+/**
+ * Resolve a stored media path (e.g. media/music_files/...) to an absolute path,
+ * refusing anything that would escape the media root.
+ */
+export function resolveMediaPath(filePath) {
+  if (!filePath) {
+    return null
+  }
+
+  const fullPath = path.resolve(MEDIA_ROOT, filePath)
+
+  if (!fullPath.startsWith(MEDIA_ROOT + path.sep)) {
+    return null
+  }
+
+  return fullPath
+}
+
+/**
+ * Stop download links from working, e.g. after a refund.
+ * Pass orderItemIds to revoke only those lines; omit to revoke the whole order.
+ */
+export async function revokeDownloadLinks(db, orderId, orderItemIds = null) {
+  let query = `UPDATE download_links SET revoked_at = CURRENT_TIMESTAMP
+               WHERE order_id = ? AND revoked_at IS NULL`
+  const params = [orderId]
+
+  if (orderItemIds) {
+    if (orderItemIds.length === 0) {
+      return
+    }
+    query += ` AND order_item_id IN (${orderItemIds.map(() => '?').join(', ')})`
+    params.push(...orderItemIds)
+  }
+
+  await db.run(query, params)
+}
@@ -0,0 +1,186 @@
+/**
+ * Stock at or below which a physical product counts as low when it has no
+ * low_stock_threshold of its own
+ */
+export const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5
+
+// How a product can sell (products.availability)
+export const AVAILABILITY_MODES = ['in_stock', 'backorder', 'preorder']
+
+/**
+ * How a product sells today, from its availability and release_date:
+ * 'preorder' until the release date, 'backorder' if it may sell past its
+ * stock, otherwise 'in_stock'. Once a pre-order product's release date has
+ * passed it sells from stock like any other.
+ */
+export function sellingMode({ availability, release_date: releaseDate }) {
+  if (availability === 'preorder') {
+    return releaseDate && releaseDate > new Date().toISOString().slice(0, 10) ? 'preorder' : 'in_stock'
+  }
+
+  return availability === 'backorder' ? 'backorder' : 'in_stock'
+}
+
+/**
+ * Where an item's stock lives: product_variants.stock for { variantId },
+ * products.stock for { productId }, songs.stock_quantity for { songId }.
+ * ledger is the stock_movements condition picking out the item's own
+ * movements (a product's don't include its variants').
+ */
+function stockColumns({ productId, variantId }) {
+  if (variantId) {
+    return { table: 'product_variants', stock: 'stock', ledger: 'variant_id = ?' }
+  }
+
+  return productId
+    ? { table: 'products', stock: 'stock', ledger: 'product_id = ? AND variant_id IS NULL' }
+    : { table: 'songs', stock: 'stock_quantity', ledger: 'song_id = ?' }
+}
+
+function targetId({ productId, songId, variantId }) {
+  return variantId || productId || songId
+}
+
+/**
+ * A variant target ({ variantId }) with its productId filled in (undefined
+ * if the variant doesn't exist); other targets come back as they are
+ */
+export async function withProductId(db, target) {
+  if (!target.variantId || target.productId) {
+    return target
+  }
+
+  const variant = await db.get('SELECT product_id FROM product_variants WHERE id = ?', [target.variantId])
+  return { ...target, productId: variant?.product_id }
+}
+
+/**
+ * The product behind a cart or order line, with stock and is_digital being
+ * the variant's when variantId is given (variant_active then says whether
+ * it's still on sale) - a release's digital format is a download even when
+ * its other formats ship. undefined if it doesn't exist.
+ */
+export async function getLineProduct(db, productId, variantId = null) {
+  return db.get(
+    `SELECT p.id, COALESCE(v.is_digital, p.is_digital) AS is_digital, p.max_per_order, p.availability, p.release_date,
+       CASE WHEN v.id IS NOT NULL THEN v.stock ELSE p.stock END AS stock,
+       v.is_active AS variant_active
+     FROM products p
+     LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+     WHERE p.id = ?`,
+    [variantId, productId]
+  )
+}
+
+/**
+ * An item's stock as recorded on it, or undefined if it doesn't exist
+ */
+export async function getStock(db, target) {
+  const { table, stock } = stockColumns(target)
+  const row = await db.get(`SELECT COALESCE(${stock}, 0) AS stock FROM ${table} WHERE id = ?`, [targetId(target)])
+  return row?.stock
+}
+
+/**
+ * Move an item's stock by change and write the movement to the ledger.
+ * Types:
+ *   initial        - opening balance (new products, and everything at migration 030)
+ *   sale           - units sold by an order (-)
+ *   refund_restock - units back from a refunded order (+)
+ *   cancel_restock - units back from a cancelled order (+)
+ *   adjustment     - a stock count correction (+/-)
+ *   receiving      - a delivery from a supplier (+)
+ *   damage         - units written off as damaged or lost (-)
+ * Returns { id, stockAfter }, or null when there's nothing to move.
+ */
+export async function recordStockMovement(db, target, change, type, { orderId = null, reason = null, createdBy = null } = {}) {
+  if (change === 0) {
+    return null
+  }
+
+  const { table, stock } = stockColumns(target)
+  const { productId = null, songId = null, variantId = null } = await withProductId(db, target)
+
+  await db.run(`UPDATE ${table} SET ${stock} = COALESCE(${stock}, 0) + ? WHERE id = ?`, [change, targetId(target)])
+  const stockAfter = await getStock(db, target)
+
+  // A variant's movements are filed under its product too
+  const result = await db.run(
+    `INSERT INTO stock_movements (product_id, song_id, variant_id, quantity_change, stock_after, movement_type,
+       order_id, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, songId, variantId, change, stockAfter, type, orderId, reason, createdBy]
+  )
+
+  return { id: result.lastID, stockAfter }
+}
+
+/**
+ * An item's movements, newest first, with who made them and the order behind them
+ */
+export async function listStockMovements(db, target, { limit = 50, offset = 0 } = {}) {
+  const { ledger } = stockColumns(target)
+
+  return db.all(
+    `SELECT m.id, m.quantity_change, m.stock_after, m.movement_type, m.reason, m.created_at,
+       m.order_id, o.order_number,
+       m.created_by, h.first_name || ' ' || h.last_name AS created_by_name
+     FROM stock_movements m
+     LEFT JOIN orders o ON m.order_id = o.id
+     LEFT JOIN humans h ON m.created_by = h.id
+     WHERE m.${ledger}
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT ? OFFSET ?`,
+    [targetId(target), limit, offset]
+  )
+}
+
+/**
+ * Compare an item's stock with the sum of its ledger.
+ * Returns { stock, ledgerStock, consistent }, or undefined if it doesn't exist.
+ */
+export async function checkStockLedger(db, target) {
+  const stock = await getStock(db, target)
+
+  if (stock === undefined) {
+    return undefined
+  }
+
+  const { ledger } = stockColumns(target)
+  const { ledgerStock } = await db.get(
+    `SELECT COALESCE(SUM(quantity_change), 0) AS ledgerStock FROM stock_movements WHERE ${ledger}`,
+    [targetId(target)]
+  )
+
+  return { stock, ledgerStock, consistent: stock === ledgerStock }
+}
+
+/**
+ * Physical products, active variants and songs at or below their low-stock
+ * threshold, lowest stock first. A product sold by variant is listed by
+ * variant; a variant without a threshold of its own uses its product's.
+ */
+export async function listLowStock(db) {
+  return db.all(
+    `SELECT 'product' AS type, p.id, p.id AS product_id, p.title, p.artist, p.stock,
+       COALESCE(p.low_stock_threshold, ?) AS threshold
+     FROM products p
+     WHERE COALESCE(p.is_digital, 0) = 0 AND COALESCE(p.stock, 0) <= COALESCE(p.low_stock_threshold, ?)
+       AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = 1)
+     UNION ALL
+     SELECT 'variant' AS type, v.id, v.product_id, p.title || ' - ' || v.label AS title, p.artist, v.stock,
+       COALESCE(v.low_stock_threshold, p.low_stock_threshold, ?) AS threshold
+     FROM product_variants v
+     JOIN products p ON v.product_id = p.id
+     WHERE v.is_active = 1 AND COALESCE(v.is_digital, p.is_digital, 0) = 0
+       AND v.stock <= COALESCE(v.low_stock_threshold, p.low_stock_threshold, ?)
+     UNION ALL
+     SELECT 'song' AS type, s.id, NULL AS product_id, s.title, a.stage_name AS artist, COALESCE(s.stock_quantity, 0) AS stock,
+       s.low_stock_threshold AS threshold
+     FROM songs s
+     LEFT JOIN artists a ON s.artist_human_id = a.human_id
+     WHERE s.low_stock_threshold IS NOT NULL AND COALESCE(s.stock_quantity, 0) <= s.low_stock_threshold
+     ORDER BY stock, title`,
+    [LOW_STOCK_THRESHOLD, LOW_STOCK_THRESHOLD, LOW_STOCK_THRESHOLD, LOW_STOCK_THRESHOLD]
+  )
+}
@@ -0,0 +1,260 @@
+import PDFDocument from 'pdfkit'
+
+const STORE_NAME = 'Soul Provider'
+const STORE_TAGLINE = 'Your Best Music'
+const STORE_ADDRESS = process.env.STORE_ADDRESS || ''
+
+// What the invoice says about payment for each order status
+const PAYMENT_LABELS = {
+  pending: 'PAYMENT PENDING',
+  processing: 'PAYMENT PENDING',
+  paid: 'PAID',
+  shipped: 'PAID',
+  delivered: 'PAID',
+  cancelled: 'CANCELLED',
+  refunded: 'REFUNDED'
+}
+
+/**
+ * Get the most recent invoice issued for an order (undefined if none)
+ */
+export async function getLatestInvoice(db, orderId) {
+  return db.get(
+    'SELECT * FROM invoices WHERE order_id = ? ORDER BY version DESC LIMIT 1',
+    [orderId]
+  )
+}
+
+/**
+ * Issue a new invoice version for an order.
+ * The number follows the order number: INV-20260214-00012, then
+ * INV-20260214-00012-R1, -R2... for re-issues. Call inside a transaction.
+ */
+export async function issueInvoice(db, orderId, { issuedBy = null, reason = null } = {}) {
+  const order = await db.get('SELECT order_number FROM orders WHERE id = ?', [orderId])
+  const { version } = await db.get(
+    'SELECT COALESCE(MAX(version), 0) + 1 AS version FROM invoices WHERE order_id = ?',
+    [orderId]
+  )
+
+  const invoiceNumber = order.order_number.replace(/^ORD-/, 'INV-') + (version > 1 ? `-R${version - 1}` : '')
+
+  const result = await db.run(
+    `INSERT INTO invoices (order_id, invoice_number, version, issued_by, reason)
+     VALUES (?, ?, ?, ?, ?)`,
+    [orderId, invoiceNumber, version, issuedBy, reason]
+  )
+
+  return db.get('SELECT * FROM invoices WHERE id = ?', [result.lastID])
+}
+
+/**
+ * Load everything printed on an order's invoice
+ */
+export async function loadInvoiceData(db, orderId) {
+  const order = await db.get(
+    `SELECT
+       o.*,
+       h.first_name || ' ' || h.last_name AS customer_name,
+       eh.email AS customer_email
+     FROM orders o
+     JOIN humans h ON o.human_id = h.id
+     LEFT JOIN email_history eh ON eh.human_id = h.id AND eh.effective_to IS NULL
+     WHERE o.id = ?`,
+    [orderId]
+  )
+
+  const items = await db.all(
+    `SELECT
+       oi.*,
+       COALESCE(p.title, s.title) || COALESCE(' - ' || oi.variant_label, '') AS title,
+       COALESCE(p.artist, a.stage_name) AS artist
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     LEFT JOIN songs s ON oi.song_id = s.id
+     LEFT JOIN artists a ON s.artist_human_id = a.human_id
+     WHERE oi.order_id = ?
+     ORDER BY oi.id`,
+    [orderId]
+  )
+
+  const coupons = await db.all(
+    `SELECT oc.discount_applied, c.code, c.description
+     FROM order_coupons oc
+     JOIN coupons c ON oc.coupon_id = c.id
+     WHERE oc.order_id = ?`,
+    [orderId]
+  )
+
+  return { order, items, coupons }
+}
+
+function money(amount) {
+  return `$${(amount || 0).toFixed(2)}`
+}
+
+/**
+ * The lines of an address snapshotted onto the order (prefix 'shipping' or 'billing')
+ */
+function addressLines(order, prefix) {
+  if (!order[`${prefix}_street_line1`]) {
+    return []
+  }
+
+  return [
+    order[`${prefix}_street_line1`],
+    order[`${prefix}_street_line2`],
+    [order[`${prefix}_city`], order[`${prefix}_state_province`], order[`${prefix}_postal_code`]]
+      .filter(Boolean)
+      .join(', '),
+    order[`${prefix}_country`]
+  ].filter(Boolean)
+}
+
+/**
+ * Render an invoice as a PDF. Returns the PDFKit document (a readable
+ * stream) already ended - pipe it to the response.
+ */
+export function renderInvoice({ order, items, coupons }, invoice) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 50,
+    info: { Title: `Invoice ${invoice.invoice_number}`, Author: STORE_NAME }
+  })
+
+  const left = doc.page.margins.left
+  const right = doc.page.width - doc.page.margins.right
+  const width = right - left
+
+  // Store header
+  doc.font('Helvetica-Bold').fontSize(22).text(STORE_NAME, left, 50)
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(STORE_TAGLINE)
+  if (STORE_ADDRESS) {
+    doc.text(STORE_ADDRESS)
+  }
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(18)
+    .text('INVOICE', left, 50, { width, align: 'right' })
+  doc.font('Helvetica').fontSize(10)
+    .text(invoice.invoice_number, { width, align: 'right' })
+    .text(`Order ${order.order_number}`, { width, align: 'right' })
+    .text(`Order date: ${order.created_at.slice(0, 10)}`, { width, align: 'right' })
+    .text(`Issued: ${invoice.created_at.slice(0, 10)}`, { width, align: 'right' })
+    .font('Helvetica-Bold')
+    .text(PAYMENT_LABELS[order.status] || order.status.toUpperCase(), { width, align: 'right' })
+
+  // Addresses
+  const addressTop = 150
+  const columnWidth = width / 2 - 10
+  const billTo = [order.customer_name, ...addressLines(order, 'billing'), order.customer_email].filter(Boolean)
+  const shipTo = addressLines(order, 'shipping')
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', left, addressTop, { width: columnWidth })
+  doc.font('Helvetica').text(billTo.join('\n'), { width: columnWidth })
+
+  if (shipTo.length > 0) {
+    const shipLeft = left + width / 2 + 10
+    doc.font('Helvetica-Bold').text('Ship to', shipLeft, addressTop, { width: columnWidth })
+    doc.font('Helvetica').text([order.customer_name, ...shipTo].join('\n'), { width: columnWidth })
+  }
+
+  // Line items
+  const columns = [
+    { label: 'Item', x: left, width: 190 },
+    { label: 'Artist', x: left + 195, width: 120 },
+    { label: 'Qty', x: left + 320, width: 35, align: 'right' },
+    { label: 'Unit price', x: left + 360, width: 60, align: 'right' },
+    { label: 'Tax', x: left + 425, width: 30, align: 'right' },
+    { label: 'Amount', x: left + 455, width: width - 455, align: 'right' }
+  ]
+
+  const row = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9)
+    const heights = columns.map((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' })
+      return doc.y - y
+    })
+    return y + Math.max(...heights) + 4
+  }
+
+  let y = Math.max(doc.y, addressTop + 90) + 20
+  y = row(columns.map(column => column.label), y, 'Helvetica-Bold')
+  doc.moveTo(left, y - 2).lineTo(right, y - 2).strokeColor('#999999').stroke()
+
+  for (const item of items) {
+    if (y > doc.page.height - 150) {
+      doc.addPage()
+      y = doc.page.margins.top
+    }
+
+    y = row([
+      item.title || 'Item no longer available',
+      item.artist || '',
+      String(item.quantity),
+      money(item.unit_price),
+      `${Math.round(item.tax_rate * 10000) / 100}%`,
+      money(item.line_total)
+    ], y)
+  }
+
+  doc.moveTo(left, y).lineTo(right, y).stroke()
+
+  // Totals
+  const totals = [['Subtotal', money(order.subtotal)]]
+  for (const coupon of coupons) {
+    totals.push([`Coupon ${coupon.code}${coupon.description ? ` (${coupon.description})` : ''}`, `-${money(coupon.discount_applied)}`])
+  }
+  if (order.loyalty_discount > 0) {
+    totals.push([`Loyalty points (${order.loyalty_points_redeemed})`, `-${money(order.loyalty_discount)}`])
+  }
+  if (order.shipping_method_name || order.shipping_amount > 0) {
+    totals.push([`Shipping${order.shipping_method_name ? ` (${order.shipping_method_name})` : ''}`, money(order.shipping_amount)])
+  }
+  totals.push(['Tax', money(order.tax_amount)])
+
+  y += 10
+  for (const [label, value] of totals) {
+    doc.font('Helvetica').fontSize(10)
+      .text(label, left, y, { width: width - 90, align: 'right' })
+      .text(value, right - 80, y, { width: 80, align: 'right' })
+    y = doc.y + 4
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12)
+    .text('Total', left, y + 4, { width: width - 90, align: 'right' })
+    .text(money(order.total_amount), right - 80, y + 4, { width: 80, align: 'right' })
+  y = doc.y + 4
+
+  if (order.store_credit_amount > 0) {
+    doc.font('Helvetica').fontSize(10)
+      .text('Paid with store credit', left, y, { width: width - 90, align: 'right' })
+      .text(money(order.store_credit_amount), right - 80, y, { width: 80, align: 'right' })
+    y = doc.y + 4
+  }
+
+  if (order.refunded_amount > 0) {
+    doc.font('Helvetica').fontSize(10)
+      .text('Refunded', left, y, { width: width - 90, align: 'right' })
+      .text(`-${money(order.refunded_amount)}`, right - 80, y, { width: 80, align: 'right' })
+    y = doc.y + 4
+    doc.font('Helvetica-Bold')
+      .text('Net paid', left, y, { width: width - 90, align: 'right' })
+      .text(money(order.total_amount - order.refunded_amount), right - 80, y, { width: 80, align: 'right' })
+  }
+
+  if (invoice.version > 1) {
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(
+        `Re-issued invoice (version ${invoice.version})${invoice.reason ? `: ${invoice.reason}` : ''}. Replaces earlier versions.`,
+        left,
+        doc.y + 20,
+        { width }
+      )
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Thank you for shopping with ${STORE_NAME}.`, left, doc.page.height - 80, { width, align: 'center' })
+
+  doc.end()
+  return doc
+}
@@ -0,0 +1,222 @@
+import { allocateDiscount } from './couponService.js'
+
+/**
+ * Earning and spending rates
+ *   LOYALTY_POINTS_PER_DOLLAR - points earned per dollar of goods paid for
+ *                               (after discounts, before tax and shipping)
+ *   LOYALTY_POINT_VALUE       - what one point is worth when redeemed
+ * Defaults give 1 point per dollar and $1 off per 100 points.
+ */
+export const LOYALTY_POINTS_PER_DOLLAR = parseFloat(process.env.LOYALTY_POINTS_PER_DOLLAR) || 1
+export const LOYALTY_POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01
+
+/**
+ * A customer's current points balance
+ */
+export async function getLoyaltyBalance(db, humanId) {
+  const customer = await db.get('SELECT loyalty_points FROM customers WHERE human_id = ?', [humanId])
+  return customer ? customer.loyalty_points || 0 : 0
+}
+
+/**
+ * A customer's ledger entries, newest first, with the order number they relate to
+ */
+export async function listLoyaltyHistory(db, humanId, { limit = 50, offset = 0 } = {}) {
+  return db.all(
+    `SELECT l.id, l.points, l.reason, l.note, l.created_at, l.order_id, o.order_number
+     FROM loyalty_points_ledger l
+     LEFT JOIN orders o ON l.order_id = o.id
+     WHERE l.human_id = ?
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ? OFFSET ?`,
+    [humanId, limit, offset]
+  )
+}
+
+/**
+ * Write a ledger entry and move the customer's balance with it.
+ * points are positive when given and negative when taken. Reasons:
+ *   order_earned        - earned when an order was paid (+)
+ *   order_refunded      - earned points taken back when an order is refunded (-)
+ *   order_redeemed      - spent as a discount at checkout (-)
+ *   redemption_returned - spent points given back on a cancelled/refunded order (+)
+ *   adjustment          - a manual correction by an admin (+/-)
+ */
+export async function addLoyaltyPoints(db, humanId, points, reason, { orderId = null, note = null, createdBy = null } = {}) {
+  if (points === 0) {
+    return null
+  }
+
+  const result = await db.run(
+    `INSERT INTO loyalty_points_ledger (human_id, points, reason, order_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [humanId, points, reason, orderId, note, createdBy]
+  )
+  await db.run(
+    'UPDATE customers SET loyalty_points = COALESCE(loyalty_points, 0) + ? WHERE human_id = ?',
+    [points, humanId]
+  )
+
+  return result.lastID
+}
+
+/**
+ * What a line is worth towards points and redemption: its value after
+ * discounts. Gift cards neither earn points nor can be bought with them.
+ */
+function loyaltyValue(line) {
+  return line.is_gift_card ? 0 : Math.max(line.price * line.quantity - (line.discount_amount || 0), 0)
+}
+
+function pointsForValue(value) {
+  return Math.floor(Math.round(value * 100) / 100 * LOYALTY_POINTS_PER_DOLLAR)
+}
+
+/**
+ * Points priced, discounted cart lines will earn once the order is paid
+ */
+export function pointsForLines(lines) {
+  return pointsForValue(lines.reduce((sum, line) => sum + loyaltyValue(line), 0))
+}
+
+/**
+ * Spend points on priced, discounted cart lines.
+ * requested is true for as many as the cart can use, or a number of points.
+ * Points beyond what the lines are worth are left unspent. The discount is
+ * spread over the lines and added to their discount_amount (with the
+ * points part in loyalty_discount) so tax and refunds treat it like a coupon.
+ * Returns { lines, points, discount } or { error }.
+ */
+export function applyLoyaltyPoints(lines, balance, requested) {
+  let wanted
+  if (requested === undefined || requested === null || requested === false) {
+    wanted = 0
+  } else if (requested === true) {
+    wanted = Math.max(balance, 0)
+  } else {
+    wanted = Number(requested)
+
+    if (!Number.isInteger(wanted) || wanted < 0) {
+      return { error: 'Points to redeem must be a whole number' }
+    }
+
+    if (wanted > balance) {
+      return { error: `You only have ${Math.max(balance, 0)} points to redeem` }
+    }
+  }
+
+  const values = lines.map(loyaltyValue)
+  const worth = values.reduce((sum, value) => sum + value, 0)
+  const points = Math.min(wanted, Math.floor(Math.round(worth * 100) / 100 / LOYALTY_POINT_VALUE))
+  const discount = Math.round(points * LOYALTY_POINT_VALUE * 100) / 100
+
+  const lineDiscounts = points > 0 ? allocateDiscount(values, discount) : values.map(() => 0)
+
+  return {
+    lines: lines.map((line, index) => ({
+      ...line,
+      discount_amount: Math.round(((line.discount_amount || 0) + lineDiscounts[index]) * 100) / 100,
+      loyalty_discount: lineDiscounts[index]
+    })),
+    points,
+    discount
+  }
+}
+
+/**
+ * An order's lines with what each is worth towards points
+ */
+async function orderLineValues(db, orderId) {
+  return db.all(
+    `SELECT oi.id,
+       CASE WHEN COALESCE(p.is_gift_card, 0) = 1 THEN 0 ELSE MAX(oi.line_total - oi.discount_amount, 0) END AS value
+     FROM order_items oi
+     LEFT JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ?`,
+    [orderId]
+  )
+}
+
+/**
+ * Award the points for a paid order. Only the first call for an order
+ * awards anything.
+ */
+export async function awardOrderPoints(db, orderId) {
+  const order = await db.get('SELECT human_id, loyalty_points_earned FROM orders WHERE id = ?', [orderId])
+
+  if (!order || order.loyalty_points_earned > 0) {
+    return 0
+  }
+
+  const lines = await orderLineValues(db, orderId)
+  const points = pointsForValue(lines.reduce((sum, line) => sum + line.value, 0))
+
+  if (points > 0) {
+    await addLoyaltyPoints(db, order.human_id, points, 'order_earned', { orderId })
+    await db.run('UPDATE orders SET loyalty_points_earned = ? WHERE id = ?', [points, orderId])
+  }
+
+  return points
+}
+
+/**
+ * Net points already moved for an order under one ledger reason
+ */
+async function orderPoints(db, orderId, reason) {
+  const row = await db.get(
+    'SELECT COALESCE(SUM(points), 0) AS points FROM loyalty_points_ledger WHERE order_id = ? AND reason = ?',
+    [orderId, reason]
+  )
+  return row.points
+}
+
+/**
+ * Settle points when units of an order are refunded: take back the points
+ * they earned and give back the points spent on them, in proportion to
+ * their share of the order's value. A final refund settles whatever is
+ * left. refundLines are { item, quantity } with item an order_items row.
+ */
+export async function reverseOrderPoints(db, order, refundLines, isFinalRefund) {
+  const earnedLeft = order.loyalty_points_earned + await orderPoints(db, order.id, 'order_refunded')
+  const redeemedLeft = order.loyalty_points_redeemed - await orderPoints(db, order.id, 'redemption_returned')
+
+  if (earnedLeft <= 0 && redeemedLeft <= 0) {
+    return
+  }
+
+  let share = 1
+  if (!isFinalRefund) {
+    const values = new Map((await orderLineValues(db, order.id)).map(line => [line.id, line.value]))
+    const orderValue = [...values.values()].reduce((sum, value) => sum + value, 0)
+    const refundValue = refundLines.reduce((sum, line) =>
+      sum + values.get(line.item.id) * line.quantity / line.item.quantity, 0)
+
+    share = orderValue > 0 ? refundValue / orderValue : 0
+  }
+
+  const earnedBack = isFinalRefund ? earnedLeft : Math.min(Math.round(order.loyalty_points_earned * share), earnedLeft)
+  const redeemedBack = isFinalRefund ? redeemedLeft : Math.min(Math.round(order.loyalty_points_redeemed * share), redeemedLeft)
+
+  if (earnedBack > 0) {
+    await addLoyaltyPoints(db, order.human_id, -earnedBack, 'order_refunded', { orderId: order.id })
+  }
+
+  if (redeemedBack > 0) {
+    await addLoyaltyPoints(db, order.human_id, redeemedBack, 'redemption_returned', { orderId: order.id })
+  }
+}
+
+/**
+ * Give back the points a cancelled order spent
+ */
+export async function returnRedeemedPoints(db, orderId) {
+  const order = await db.get('SELECT human_id, loyalty_points_redeemed FROM orders WHERE id = ?', [orderId])
+  const returned = await orderPoints(db, orderId, 'redemption_returned')
+  const points = order ? order.loyalty_points_redeemed - returned : 0
+
+  if (points > 0) {
+    await addLoyaltyPoints(db, order.human_id, points, 'redemption_returned', { orderId })
+  }
+
+  return points
+}
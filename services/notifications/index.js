@@ -0,0 +1,168 @@
+import { getDBConnection } from '../../db/db.js'
+import { templates } from './templates.js'
+import { outboxTransport } from './outboxTransport.js'
+import { smtpTransport } from './smtpTransport.js'
+
+/**
+ * Notification transport interface
+ *
+ * Every transport exposes one async method:
+ *   send({ from, to, subject, text, html, template }) -> { id }
+ *
+ * NOTIFY_TRANSPORT picks one: 'outbox' (default, writes .eml files),
+ * 'smtp', or 'none' to switch mail off.
+ */
+const transports = {
+  outbox: outboxTransport,
+  smtp: smtpTransport,
+  none: { async send() { return { id: null } } }
+}
+
+const fromAddress = process.env.NOTIFY_FROM || 'Soul Provider <orders@soulprovider.local>'
+
+function getTransport(name = process.env.NOTIFY_TRANSPORT || 'outbox') {
+  const transport = transports[name]
+
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`)
+  }
+
+  return transport
+}
+
+/**
+ * Current email address and first name for a human
+ */
+async function getRecipient(db, humanId) {
+  return db.get(
+    `SELECT h.first_name AS name, eh.email
+     FROM humans h
+     JOIN email_history eh ON eh.human_id = h.id AND eh.effective_to IS NULL
+     WHERE h.id = ?`,
+    [humanId]
+  )
+}
+
+/**
+ * Render a template and send it to one human.
+ * load(db) returns { humanId, ...templateData }, or null to send nothing.
+ * Mail is best effort: failures are logged and never reach the caller, so
+ * callers don't need to await this.
+ */
+async function deliver(templateName, load) {
+  let db
+  try {
+    db = await getDBConnection()
+    const data = await load(db)
+
+    if (!data) {
+      return
+    }
+
+    const recipient = await getRecipient(db, data.humanId)
+
+    if (!recipient) {
+      return
+    }
+
+    const content = templates[templateName]({ ...data, name: recipient.name })
+
+    await getTransport().send({
+      from: fromAddress,
+      to: recipient.email,
+      template: templateName,
+      ...content
+    })
+  } catch (err) {
+    console.error(`Failed to send ${templateName} notification:`, err)
+  } finally {
+    await db?.close()
+  }
+}
+
+async function loadOrder(db, orderId) {
+  return db.get('SELECT * FROM orders WHERE id = ?', [orderId])
+}
+
+export function notifyRegistration(humanId) {
+  return deliver('welcome', async () => ({ humanId }))
+}
+
+export function notifyPasswordChanged(humanId) {
+  return deliver('passwordChanged', async () => ({ humanId }))
+}
+
+export function notifyOrderPlaced(orderId) {
+  return deliver('orderPlaced', async db => {
+    const order = await loadOrder(db, orderId)
+    const items = await db.all(
+      `SELECT oi.quantity, oi.line_total, COALESCE(p.title, s.title) || COALESCE(' - ' || oi.variant_label, '') AS title,
+         oi.awaiting_stock_quantity, oi.awaiting_stock_reason, p.release_date
+       FROM order_items oi
+       LEFT JOIN products p ON oi.product_id = p.id
+       LEFT JOIN songs s ON oi.song_id = s.id
+       WHERE oi.order_id = ?
+       ORDER BY oi.id`,
+      [orderId]
+    )
+
+    return order && { humanId: order.human_id, order, items }
+  })
+}
+
+export function notifyOrderStatus(orderId) {
+  return deliver('orderStatus', async db => {
+    const order = await loadOrder(db, orderId)
+    return order && { humanId: order.human_id, order }
+  })
+}
+
+export function notifyRefund(orderId, { amount, fullyRefunded }) {
+  return deliver('refundIssued', async db => {
+    const order = await loadOrder(db, orderId)
+    return order && { humanId: order.human_id, order, amount, fullyRefunded }
+  })
+}
+
+export function notifyGiftCards(orderId) {
+  return deliver('giftCards', async db => {
+    const order = await loadOrder(db, orderId)
+    const cards = await db.all(
+      `SELECT code, amount FROM gift_cards WHERE order_id = ? AND status = 'active' ORDER BY id`,
+      [orderId]
+    )
+
+    return order && cards.length > 0 && { humanId: order.human_id, order, cards }
+  })
+}
+
+/**
+ * The wishlisted product or song behind a wishlist row, for alert emails
+ */
+async function loadWishlistItem(db, wishlistItemId) {
+  return db.get(
+    `SELECT w.human_id, COALESCE(p.title, s.title) || COALESCE(' - ' || v.label, '') AS title,
+       COALESCE(p.artist, a.stage_name) AS artist
+     FROM wishlist_items w
+     LEFT JOIN products p ON w.product_id = p.id
+     LEFT JOIN product_variants v ON w.variant_id = v.id
+     LEFT JOIN songs s ON w.song_id = s.id
+     LEFT JOIN artists a ON s.artist_human_id = a.human_id
+     WHERE w.id = ?`,
+    [wishlistItemId]
+  )
+}
+
+export function notifyWishlistPriceDrop(wishlistItemId, { oldPrice, newPrice }) {
+  return deliver('wishlistPriceDrop', async db => {
+    const item = await loadWishlistItem(db, wishlistItemId)
+    return item && { humanId: item.human_id, item, oldPrice, newPrice }
+  })
+}
+
+export function notifyWishlistBackInStock(wishlistItemId) {
+  return deliver('wishlistBackInStock', async db => {
+    const item = await loadWishlistItem(db, wishlistItemId)
+    return item && { humanId: item.human_id, item }
+  })
+}
@@ -0,0 +1,24 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import nodemailer from 'nodemailer'
+
+/**
+ * Development transport: writes each message as an .eml file to the outbox
+ * directory instead of sending it. Open them in any mail client.
+ */
+const outboxDir = path.resolve(process.env.NOTIFY_OUTBOX_DIR || 'outbox')
+
+// Builds the raw MIME message without sending anything
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true })
+
+export const outboxTransport = {
+  async send(message) {
+    const { message: raw } = await builder.sendMail(message)
+
+    await fs.mkdir(outboxDir, { recursive: true })
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.template}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, '_')}.eml`
+    await fs.writeFile(path.join(outboxDir, fileName), raw)
+
+    return { id: fileName }
+  }
+}
@@ -0,0 +1,21 @@
+import nodemailer from 'nodemailer'
+
+/**
+ * SMTP transport. Defaults suit a local test server such as Mailpit or
+ * MailHog (localhost:1025, no auth, no TLS).
+ */
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+})
+
+export const smtpTransport = {
+  async send(message) {
+    const info = await transporter.sendMail(message)
+    return { id: info.messageId }
+  }
+}
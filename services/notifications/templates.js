@@ -0,0 +1,203 @@
+/**
+ * Email templates
+ *
+ * Each template takes the data for one message and returns
+ * { subject, text, html }. Keep the text and HTML versions saying the same thing.
+ */
+
+const STORE_NAME = 'Soul Provider'
+const STORE_URL = process.env.STORE_URL || 'http://localhost:5600'
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function money(amount) {
+  return `$${(amount || 0).toFixed(2)}`
+}
+
+/**
+ * Wrap a template's HTML body in the shared layout
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto; padding: 24px;">
+  <h1 style="font-size: 22px; margin: 0 0 4px;">${STORE_NAME}</h1>
+  <p style="color: #777; margin: 0 0 24px;">Your Best Music</p>
+  ${body}
+  <p style="color: #777; font-size: 12px; margin-top: 32px;">${STORE_NAME} &middot; <a href="${STORE_URL}">${STORE_URL}</a></p>
+</body>
+</html>`
+}
+
+/**
+ * Why an order line won't all ship straight away, or '' if it will
+ */
+function awaitingStockNote(item) {
+  if (!item.awaiting_stock_quantity) {
+    return ''
+  }
+
+  return item.awaiting_stock_reason === 'preorder'
+    ? `pre-order, ships after its release on ${item.release_date}`
+    : `${item.awaiting_stock_quantity} on backorder, ships when stock arrives`
+}
+
+// What to tell the customer when their order reaches each status
+const STATUS_MESSAGES = {
+  processing: 'We are processing your order.',
+  paid: 'We have received your payment. Any downloads are now available from your account.',
+  shipped: 'Your order is on its way.',
+  delivered: 'Your order has been delivered. Enjoy the music!',
+  cancelled: 'Your order has been cancelled. Any payment taken will be returned to you.'
+}
+
+export const templates = {
+  welcome({ name }) {
+    return {
+      subject: `Welcome to ${STORE_NAME}`,
+      text: `Hi ${name},\n\nThanks for signing up. Start browsing at ${STORE_URL}\n\n${STORE_NAME}`,
+      html: layout('Welcome', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Thanks for signing up. <a href="${STORE_URL}">Start browsing</a>.</p>`)
+    }
+  },
+
+  orderPlaced({ name, order, items }) {
+    const lines = items.map(item => {
+      const note = awaitingStockNote(item)
+      return `${item.quantity} x ${item.title} - ${money(item.line_total)}${note ? ` (${note})` : ''}`
+    })
+
+    return {
+      subject: `Order ${order.order_number} received`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Thanks for your order ${order.order_number}.`,
+        '',
+        ...lines,
+        '',
+        `Total: ${money(order.total_amount)}`,
+        ...(order.status === 'pending' ? ['', 'We will let you know as soon as your payment clears.'] : []),
+        '',
+        STORE_NAME
+      ].join('\n'),
+      html: layout(`Order ${order.order_number}`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Thanks for your order <strong>${escapeHtml(order.order_number)}</strong>.</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${items.map(item => `
+          <tr>
+            <td style="padding: 4px 0;">${item.quantity} &times; ${escapeHtml(item.title)}${awaitingStockNote(item) ? `<br><small style="color: #777;">${escapeHtml(awaitingStockNote(item))}</small>` : ''}</td>
+            <td style="padding: 4px 0; text-align: right;">${money(item.line_total)}</td>
+          </tr>`).join('')}
+          <tr>
+            <td style="padding: 8px 0; border-top: 1px solid #ccc;"><strong>Total</strong></td>
+            <td style="padding: 8px 0; border-top: 1px solid #ccc; text-align: right;"><strong>${money(order.total_amount)}</strong></td>
+          </tr>
+        </table>
+        ${order.status === 'pending' ? '<p>We will let you know as soon as your payment clears.</p>' : ''}`)
+    }
+  },
+
+  orderStatus({ name, order }) {
+    const message = STATUS_MESSAGES[order.status] || `Your order is now ${order.status}.`
+
+    return {
+      subject: `Order ${order.order_number}: ${order.status}`,
+      text: `Hi ${name},\n\n${message}\n\nOrder: ${order.order_number}\n\n${STORE_NAME}`,
+      html: layout(`Order ${order.order_number}`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <p>Order: <strong>${escapeHtml(order.order_number)}</strong></p>`)
+    }
+  },
+
+  refundIssued({ name, order, amount, fullyRefunded }) {
+    const message = fullyRefunded
+      ? `Your order has been fully refunded. ${money(amount)} is on its way back to you.`
+      : `We have refunded ${money(amount)} from your order.`
+
+    return {
+      subject: `Refund for order ${order.order_number}`,
+      text: `Hi ${name},\n\n${message}\n\nOrder: ${order.order_number}\n\n${STORE_NAME}`,
+      html: layout(`Refund for ${order.order_number}`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <p>Order: <strong>${escapeHtml(order.order_number)}</strong></p>`)
+    }
+  },
+
+  giftCards({ name, order, cards }) {
+    const lines = cards.map(card => `${card.code} - ${money(card.amount)}`)
+    const message = 'Here are the gift cards from your order. Share a code, or redeem it yourself from your account.'
+
+    return {
+      subject: `Your gift cards from order ${order.order_number}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        message,
+        '',
+        ...lines,
+        '',
+        STORE_NAME
+      ].join('\n'),
+      html: layout('Your gift cards', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${cards.map(card => `
+          <tr>
+            <td style="padding: 4px 0; font-family: monospace;">${escapeHtml(card.code)}</td>
+            <td style="padding: 4px 0; text-align: right;">${money(card.amount)}</td>
+          </tr>`).join('')}
+        </table>`)
+    }
+  },
+
+  wishlistPriceDrop({ name, item, oldPrice, newPrice }) {
+    const message = `${item.title}${item.artist ? ` by ${item.artist}` : ''} on your wishlist has dropped from ${money(oldPrice)} to ${money(newPrice)}.`
+
+    return {
+      subject: `Price drop: ${item.title}`,
+      text: `Hi ${name},\n\n${message}\n\n${STORE_URL}\n\n${STORE_NAME}`,
+      html: layout('Price drop', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <p><a href="${STORE_URL}">Shop now</a></p>`)
+    }
+  },
+
+  wishlistBackInStock({ name, item }) {
+    const message = `${item.title}${item.artist ? ` by ${item.artist}` : ''} on your wishlist is back in stock.`
+
+    return {
+      subject: `Back in stock: ${item.title}`,
+      text: `Hi ${name},\n\n${message}\n\n${STORE_URL}\n\n${STORE_NAME}`,
+      html: layout('Back in stock', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        <p><a href="${STORE_URL}">Shop now</a></p>`)
+    }
+  },
+
+  passwordChanged({ name }) {
+    const message = 'The password on your account was just changed. If this wasn\'t you, contact us straight away.'
+
+    return {
+      subject: 'Your password was changed',
+      text: `Hi ${name},\n\n${message}\n\n${STORE_NAME}`,
+      html: layout('Password changed', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>`)
+    }
+  }
+}
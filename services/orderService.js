@@ -0,0 +1,382 @@
+import { afterCommit } from '../db/db.js'
+import { issueDownloadLinks, revokeDownloadLinks } from './downloadService.js'
+import { awardOrderPoints, returnRedeemedPoints, reverseOrderPoints } from './loyaltyService.js'
+import {
+  addStoreCredit,
+  findGiftCardsToVoid,
+  issueGiftCards,
+  releaseStoreCredit,
+  voidGiftCards
+} from './storeCreditService.js'
+import { notifyGiftCards, notifyOrderStatus, notifyRefund } from './notifications/index.js'
+import { sendWishlistAlerts, wishlistSnapshot } from './wishlistService.js'
+import { getLineProduct, recordStockMovement } from './inventoryService.js'
+import { releaseAwaitingStock } from './backorderService.js'
+
+/**
+ * Legal order status transitions
+ * pending/processing orders can still be cancelled; once paid an order can
+ * only move forward (shipped/delivered) or be refunded.
+ * Digital-only orders go straight from paid to delivered.
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'paid', 'cancelled'],
+  processing: ['paid', 'cancelled'],
+  paid: ['shipped', 'delivered', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+}
+
+// Statuses that close out an order and stamp completed_at
+const COMPLETED_STATUSES = ['delivered', 'cancelled', 'refunded']
+
+// Statuses customers may still cancel from, and statuses that can be refunded
+export const CANCELLABLE_STATUSES = ['pending', 'processing']
+const REFUNDABLE_STATUSES = ['paid', 'shipped', 'delivered']
+
+/**
+ * Record a status change in the order's history
+ */
+export async function recordStatusChange(db, orderId, fromStatus, toStatus, changedBy, note) {
+  await db.run(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+     VALUES (?, ?, ?, ?, ?)`,
+    [orderId, fromStatus, toStatus, changedBy || null, note || null]
+  )
+}
+
+/**
+ * Move an order to a new status if the transition is legal.
+ * Maintains updated_at/completed_at, writes history, and runs the side
+ * effects of entering the new status (e.g. issuing downloads and gift cards
+ * and awarding loyalty points once paid, giving back store credit and
+ * redeemed points when cancelled).
+ * Call inside a transaction so the change and its side effects land together.
+ * The customer is emailed once it commits unless notify is false (refunds
+ * send their own email from refundOrder).
+ */
+export async function transitionOrder(db, orderId, toStatus, { changedBy = null, note = null, notify = true } = {}) {
+  if (!ORDER_TRANSITIONS[toStatus]) {
+    return { success: false, status: 400, error: `Unknown status: ${toStatus}` }
+  }
+
+  const order = await db.get('SELECT id, status FROM orders WHERE id = ?', [orderId])
+
+  if (!order) {
+    return { success: false, status: 404, error: 'Order not found' }
+  }
+
+  if (!ORDER_TRANSITIONS[order.status].includes(toStatus)) {
+    return {
+      success: false,
+      status: 409,
+      error: `Cannot change order from ${order.status} to ${toStatus}`
+    }
+  }
+
+  // Backordered and pre-ordered units have to be in stock before the order goes out
+  if (toStatus === 'shipped' || toStatus === 'delivered') {
+    const { awaiting } = await db.get(
+      'SELECT COALESCE(SUM(awaiting_stock_quantity), 0) AS awaiting FROM order_items WHERE order_id = ?',
+      [orderId]
+    )
+
+    if (awaiting > 0) {
+      return {
+        success: false,
+        status: 409,
+        error: `${awaiting} unit(s) on this order are still awaiting stock`
+      }
+    }
+  }
+
+  await db.run(
+    `UPDATE orders
+     SET status = ?,
+         updated_at = CURRENT_TIMESTAMP,
+         completed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE completed_at END
+     WHERE id = ?`,
+    [toStatus, COMPLETED_STATUSES.includes(toStatus) ? 1 : 0, orderId]
+  )
+
+  await recordStatusChange(db, orderId, order.status, toStatus, changedBy, note)
+
+  if (toStatus === 'paid') {
+    await issueDownloadLinks(db, orderId)
+    await awardOrderPoints(db, orderId)
+
+    const giftCards = await issueGiftCards(db, orderId)
+    if (giftCards.length > 0) {
+      afterCommit(db, () => notifyGiftCards(orderId))
+    }
+  }
+
+  if (toStatus === 'cancelled') {
+    // Nothing was refunded on an unpaid order, so every unit taken from stock
+    // goes back on the shelf; units still awaiting stock just stop waiting
+    const items = await db.all(
+      `SELECT id, product_id, variant_id, quantity - refunded_quantity - awaiting_stock_quantity AS quantity
+       FROM order_items WHERE order_id = ?`,
+      [orderId]
+    )
+    await db.run('UPDATE order_items SET awaiting_stock_quantity = 0 WHERE order_id = ?', [orderId])
+    await restockItems(db, items, 'cancel_restock', { orderId, createdBy: changedBy })
+    await revokeDownloadLinks(db, orderId)
+    await releaseStoreCredit(db, orderId)
+    await returnRedeemedPoints(db, orderId)
+  }
+
+  if (toStatus === 'cancelled' || toStatus === 'refunded') {
+    await releaseCouponUsage(db, orderId)
+  }
+
+  if (notify && toStatus !== 'refunded') {
+    afterCommit(db, () => notifyOrderStatus(orderId))
+  }
+
+  return { success: true, fromStatus: order.status, toStatus }
+}
+
+/**
+ * Put physical units back in stock, recording each as a movementType
+ * movement for the order. Items are { product_id, variant_id, quantity }; songs and
+ * digital products are skipped. Orders awaiting the product get the units
+ * first, then wishlists waiting on a sold-out product hear it's back.
+ */
+async function restockItems(db, items, movementType, { orderId, createdBy = null }) {
+  for (const item of items) {
+    if (!item.product_id || item.quantity <= 0) {
+      continue
+    }
+
+    const product = await getLineProduct(db, item.product_id, item.variant_id)
+
+    if (!product || product.is_digital) {
+      continue
+    }
+
+    const before = await wishlistSnapshot(db, { productId: item.product_id })
+    await recordStockMovement(db, { productId: item.product_id, variantId: item.variant_id }, item.quantity, movementType, { orderId, createdBy })
+    await releaseAwaitingStock(db, item.product_id, item.variant_id)
+    await sendWishlistAlerts(db, { productId: item.product_id }, before)
+  }
+}
+
+/**
+ * Give back the coupon uses an order consumed
+ */
+async function releaseCouponUsage(db, orderId) {
+  await db.run(
+    `UPDATE coupons SET times_used = MAX(times_used - 1, 0)
+     WHERE id IN (SELECT coupon_id FROM order_coupons WHERE order_id = ?)`,
+    [orderId]
+  )
+}
+
+/**
+ * Refund some or all of a paid order.
+ * lines: [{ orderItemId, quantity }] for a partial refund, or null to refund
+ * everything not yet refunded. Each refunded unit is worth its share of what
+ * the customer paid for its line (after that line's discount, including its
+ * tax); shipping is given back with the final refund. Physical units
+ * are restocked (units still awaiting stock are refunded first and simply
+ * stop waiting), refunded downloads revoked and refunded gift cards voided
+ * (a gift card that has been redeemed can't be refunded). Loyalty points
+ * earned on the refunded units are taken back and points spent on them
+ * returned. Once every unit has been refunded the order moves to 'refunded'.
+ * Orders paid partly with store credit get it back in the same proportion;
+ * toStoreCredit pays the whole refund as store credit instead. The result's
+ * paymentAmount is what should go back through the payment provider.
+ * Call inside a transaction.
+ */
+export async function refundOrder(db, orderId, { lines = null, reason = null, refundedBy = null, toStoreCredit = false } = {}) {
+  const order = await db.get('SELECT * FROM orders WHERE id = ?', [orderId])
+
+  if (!order) {
+    return { success: false, status: 404, error: 'Order not found' }
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    return { success: false, status: 409, error: `Cannot refund an order that is ${order.status}` }
+  }
+
+  const items = await db.all('SELECT * FROM order_items WHERE order_id = ?', [orderId])
+  const itemsById = new Map(items.map(item => [item.id, item]))
+
+  // Work out how many units of each line to refund
+  let refundLines
+  if (lines) {
+    refundLines = []
+    for (const line of lines) {
+      if (!line || typeof line !== 'object' || !Number.isInteger(Number(line.orderItemId))) {
+        return { success: false, status: 400, error: 'Each item must be { orderItemId, quantity }' }
+      }
+
+      const item = itemsById.get(Number(line.orderItemId))
+      const quantity = Number(line.quantity)
+
+      if (!item) {
+        return { success: false, status: 400, error: `Order item ${line.orderItemId} is not on this order` }
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { success: false, status: 400, error: 'Refund quantity must be a positive whole number' }
+      }
+
+      if (quantity > item.quantity - item.refunded_quantity) {
+        return {
+          success: false,
+          status: 400,
+          error: `Only ${item.quantity - item.refunded_quantity} unit(s) of order item ${item.id} can be refunded`
+        }
+      }
+
+      refundLines.push({ item, quantity })
+    }
+  } else {
+    refundLines = items
+      .filter(item => item.quantity > item.refunded_quantity)
+      .map(item => ({ item, quantity: item.quantity - item.refunded_quantity }))
+  }
+
+  if (refundLines.length === 0) {
+    return { success: false, status: 400, error: 'Nothing left to refund on this order' }
+  }
+
+  // Gift cards must still be unredeemed to be refunded; check them all before writing anything
+  const giftCardIds = []
+  for (const line of refundLines) {
+    const cards = await findGiftCardsToVoid(db, line.item.id, line.quantity)
+
+    if (!cards.success) {
+      return cards
+    }
+
+    giftCardIds.push(...cards.cardIds)
+  }
+
+  const remainingUnits = items.reduce((sum, item) => sum + item.quantity - item.refunded_quantity, 0)
+  const refundUnits = refundLines.reduce((sum, line) => sum + line.quantity, 0)
+  const isFinalRefund = refundUnits === remainingUnits
+
+  // Each unit is worth what was paid for its line: price less the line's discount plus its tax
+  for (const line of refundLines) {
+    const linePaid = line.item.line_total - line.item.discount_amount + line.item.tax_amount
+    line.amount = Math.round(linePaid * line.quantity / line.item.quantity * 100) / 100
+  }
+
+  // The last refund takes whatever is left (shipping and rounding) so nothing is left behind
+  if (isFinalRefund) {
+    const remainingAmount = Math.round((order.total_amount - order.refunded_amount) * 100) / 100
+    const computed = refundLines.reduce((sum, line) => sum + line.amount, 0)
+    refundLines[refundLines.length - 1].amount =
+      Math.round((refundLines[refundLines.length - 1].amount + remainingAmount - computed) * 100) / 100
+  }
+
+  const refundAmount = Math.round(refundLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100
+  const storeCreditAmount = toStoreCredit
+    ? refundAmount
+    : storeCreditShare(order, refundAmount, isFinalRefund)
+  const paymentAmount = Math.round((refundAmount - storeCreditAmount) * 100) / 100
+
+  const refundResult = await db.run(
+    'INSERT INTO order_refunds (order_id, amount, reason, refunded_by) VALUES (?, ?, ?, ?)',
+    [orderId, refundAmount, reason, refundedBy]
+  )
+  const refundId = refundResult.lastID
+
+  // Units still awaiting stock are refunded first; they never came off the shelf
+  for (const line of refundLines) {
+    line.awaiting = Math.min(line.quantity, line.item.awaiting_stock_quantity)
+
+    await db.run(
+      'INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount) VALUES (?, ?, ?, ?)',
+      [refundId, line.item.id, line.quantity, line.amount]
+    )
+    await db.run(
+      `UPDATE order_items
+       SET refunded_quantity = refunded_quantity + ?, refunded_amount = ROUND(refunded_amount + ?, 2),
+           awaiting_stock_quantity = awaiting_stock_quantity - ?
+       WHERE id = ?`,
+      [line.quantity, line.amount, line.awaiting, line.item.id]
+    )
+  }
+
+  await db.run(
+    `UPDATE orders
+     SET refunded_amount = ROUND(refunded_amount + ?, 2),
+         store_credit_refunded = ROUND(store_credit_refunded + ?, 2),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [refundAmount, storeCreditAmount, orderId]
+  )
+
+  if (storeCreditAmount > 0) {
+    await addStoreCredit(db, order.human_id, storeCreditAmount, 'refund', {
+      orderId,
+      note: reason,
+      createdBy: refundedBy
+    })
+  }
+
+  await restockItems(
+    db,
+    refundLines.map(line => ({
+      product_id: line.item.product_id,
+      variant_id: line.item.variant_id,
+      quantity: line.quantity - line.awaiting
+    })),
+    'refund_restock',
+    { orderId, createdBy: refundedBy }
+  )
+  await voidGiftCards(db, giftCardIds)
+  await reverseOrderPoints(db, order, refundLines, isFinalRefund)
+
+  // A download can't be partially revoked, so any refunded unit of a digital line revokes it
+  await revokeDownloadLinks(db, orderId, refundLines.map(line => line.item.id))
+
+  if (isFinalRefund) {
+    await transitionOrder(db, orderId, 'refunded', { changedBy: refundedBy, note: reason })
+  }
+
+  afterCommit(db, () => notifyRefund(orderId, { amount: refundAmount, fullyRefunded: isFinalRefund }))
+
+  return {
+    success: true,
+    refundId,
+    amount: refundAmount,
+    storeCreditAmount,
+    paymentAmount,
+    fullyRefunded: isFinalRefund,
+    lines: refundLines.map(line => ({
+      orderItemId: line.item.id,
+      quantity: line.quantity,
+      amount: line.amount
+    }))
+  }
+}
+
+/**
+ * How much of a refund goes back as store credit on an order paid partly
+ * with it: the same share of the refund as store credit has of what is
+ * still unrefunded. The final refund gives back all the payment that is
+ * left and the rest as credit.
+ */
+function storeCreditShare(order, refundAmount, isFinalRefund) {
+  const creditLeft = Math.max(order.store_credit_amount - order.store_credit_refunded, 0)
+
+  if (creditLeft === 0) {
+    return 0
+  }
+
+  const totalLeft = order.total_amount - order.refunded_amount
+  const paymentLeft = Math.max(totalLeft - creditLeft, 0)
+
+  const share = isFinalRefund
+    ? refundAmount - Math.min(paymentLeft, refundAmount)
+    : Math.min(refundAmount * creditLeft / totalLeft, creditLeft)
+
+  return Math.round(share * 100) / 100
+}
@@ -0,0 +1,237 @@
+import { getDBConnection, withTransaction } from '../db/db.js'
+import { getPaymentProvider } from './payments/index.js'
+import { transitionOrder } from './orderService.js'
+
+// Everything in the store is priced in US dollars
+export const PAYMENT_CURRENCY = 'USD'
+
+/**
+ * How often refunds still waiting to go to the provider (e.g. after a
+ * restart) are sent
+ */
+const REFUND_RETRY_MINUTES = parseInt(process.env.REFUND_RETRY_MINUTES, 10) || 5
+
+/**
+ * Authorize and capture payment for a newly placed order.
+ * Runs outside any transaction (it talks to the provider) and records the
+ * attempt in payments. Returns { status: 'captured' | 'pending' | 'declined', ... }.
+ * The caller moves the order to paid/cancelled based on the outcome.
+ */
+export async function collectPayment(db, { orderId, orderNumber, amount, paymentMethod }) {
+  const provider = getPaymentProvider()
+
+  const authorization = await provider.authorize({ orderId, orderNumber, amount, paymentMethod })
+
+  await db.run(
+    `INSERT INTO payments (order_id, provider, reference, status, amount, failure_reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      provider.name,
+      authorization.reference,
+      authorization.status,
+      amount,
+      authorization.status === 'declined' ? authorization.message : null
+    ]
+  )
+
+  if (authorization.status !== 'authorized') {
+    return { status: authorization.status, reference: authorization.reference, message: authorization.message }
+  }
+
+  const capture = await provider.capture({ reference: authorization.reference, amount })
+
+  if (capture.status !== 'captured') {
+    await updatePaymentStatus(db, authorization.reference, 'failed', capture.message)
+    return { status: 'declined', reference: authorization.reference, message: capture.message }
+  }
+
+  await updatePaymentStatus(db, authorization.reference, 'captured')
+  return { status: 'captured', reference: authorization.reference, message: capture.message }
+}
+
+async function updatePaymentStatus(db, reference, status, failureReason = null) {
+  await db.run(
+    `UPDATE payments
+     SET status = ?, failure_reason = COALESCE(?, failure_reason), updated_at = CURRENT_TIMESTAMP
+     WHERE reference = ?`,
+    [status, failureReason, reference]
+  )
+}
+
+/**
+ * Apply an asynchronous confirmation from the provider's webhook.
+ * 'captured' moves a pending order to paid, but only when { amount,
+ * currency } match what the payment was for; 'failed' cancels it.
+ * Call inside a transaction.
+ */
+export async function applyPaymentUpdate(db, reference, outcome, { message = null, amount, currency } = {}) {
+  const payment = await db.get('SELECT * FROM payments WHERE reference = ?', [reference])
+
+  if (!payment) {
+    return { success: false, status: 404, error: 'Unknown payment reference' }
+  }
+
+  if (payment.status !== 'pending' && payment.status !== 'authorized') {
+    // Already settled - nothing to do
+    return { success: true, orderId: payment.order_id, unchanged: true }
+  }
+
+  const order = await db.get('SELECT status FROM orders WHERE id = ?', [payment.order_id])
+
+  if (outcome === 'captured') {
+    if (Math.round(Number(amount) * 100) !== Math.round(payment.amount * 100) || currency !== PAYMENT_CURRENCY) {
+      return {
+        success: false,
+        status: 400,
+        error: `Captured amount doesn't match the payment of ${payment.amount} ${PAYMENT_CURRENCY}`
+      }
+    }
+
+    await updatePaymentStatus(db, reference, 'captured')
+
+    // The customer cancelled while the payment was still pending - hand the money back
+    if (order.status === 'cancelled') {
+      const paymentRefundId = await queuePaymentRefund(db, payment.order_id, payment.amount)
+      return { success: true, orderId: payment.order_id, refunded: true, paymentRefundId }
+    }
+
+    const result = await transitionOrder(db, payment.order_id, 'paid', { note: 'Payment confirmed by provider' })
+    return result.success ? { success: true, orderId: payment.order_id } : result
+  }
+
+  await updatePaymentStatus(db, reference, 'failed', message || 'Payment failed')
+
+  if (order.status === 'cancelled') {
+    return { success: true, orderId: payment.order_id }
+  }
+
+  const result = await transitionOrder(db, payment.order_id, 'cancelled', { note: 'Payment failed' })
+  return result.success ? { success: true, orderId: payment.order_id } : result
+}
+
+/**
+ * Owe a refund for an order through the provider that captured it. Only
+ * records it as pending, so it's safe inside the refund's transaction;
+ * sendPaymentRefund pays it once that has committed. Returns the
+ * payment_refunds id, or null if the order has no captured payment.
+ */
+export async function queuePaymentRefund(db, orderId, amount, orderRefundId = null) {
+  const payment = await db.get(
+    `SELECT id FROM payments
+     WHERE order_id = ? AND status IN ('captured', 'partially_refunded')
+     ORDER BY id DESC LIMIT 1`,
+    [orderId]
+  )
+
+  if (!payment || amount <= 0) {
+    return null
+  }
+
+  const result = await db.run(
+    'INSERT INTO payment_refunds (payment_id, order_refund_id, amount) VALUES (?, ?, ?)',
+    [payment.id, orderRefundId, amount]
+  )
+
+  return result.lastID
+}
+
+/**
+ * Send a pending refund to the provider. Call outside any transaction.
+ * The refund is claimed first, so it's only ever sent once. A refusal is
+ * recorded as failed with the provider's message (see retryPaymentRefund).
+ * Returns { status: 'refunded' | 'failed', message }, or null if the
+ * refund wasn't pending.
+ */
+export async function sendPaymentRefund(db, paymentRefundId) {
+  const claim = await db.run(
+    `UPDATE payment_refunds SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [paymentRefundId]
+  )
+
+  if (claim.changes === 0) {
+    return null
+  }
+
+  const refund = await db.get(
+    `SELECT pr.amount, p.provider, p.reference
+     FROM payment_refunds pr
+     JOIN payments p ON pr.payment_id = p.id
+     WHERE pr.id = ?`,
+    [paymentRefundId]
+  )
+
+  let result
+  try {
+    result = await getPaymentProvider(refund.provider).refund({ reference: refund.reference, amount: refund.amount })
+  } catch (err) {
+    result = { status: 'failed', message: err.message }
+  }
+
+  await withTransaction(db, async () => {
+    if (result.status !== 'refunded') {
+      await db.run(
+        `UPDATE payment_refunds SET status = 'failed', failure_reason = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [result.message || 'Refund failed', paymentRefundId]
+      )
+      return
+    }
+
+    await db.run(
+      `UPDATE payment_refunds SET status = 'refunded', failure_reason = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [paymentRefundId]
+    )
+    await db.run(
+      `UPDATE payments
+       SET refunded_amount = ROUND(refunded_amount + ?, 2),
+           status = CASE WHEN ROUND(refunded_amount + ?, 2) >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE reference = ?`,
+      [refund.amount, refund.amount, refund.reference]
+    )
+  })
+
+  return { status: result.status === 'refunded' ? 'refunded' : 'failed', message: result.message }
+}
+
+/**
+ * Send a failed refund to the provider again.
+ * Returns sendPaymentRefund's result, or null if it hadn't failed.
+ */
+export async function retryPaymentRefund(db, paymentRefundId) {
+  const reset = await db.run(
+    `UPDATE payment_refunds SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'failed'`,
+    [paymentRefundId]
+  )
+
+  return reset.changes > 0 ? sendPaymentRefund(db, paymentRefundId) : null
+}
+
+/**
+ * Send refunds left pending (e.g. by a restart between committing a refund
+ * and paying it) now and every REFUND_RETRY_MINUTES
+ */
+export function schedulePaymentRefunds() {
+  const run = async () => {
+    let db
+    try {
+      db = await getDBConnection()
+      const pending = await db.all("SELECT id FROM payment_refunds WHERE status = 'pending' ORDER BY id")
+
+      for (const refund of pending) {
+        await sendPaymentRefund(db, refund.id)
+      }
+    } catch (err) {
+      console.error('Payment refund error:', err)
+    } finally {
+      await db?.close()
+    }
+  }
+
+  run()
+  setInterval(run, REFUND_RETRY_MINUTES * 60 * 1000).unref()
+}
@@ -0,0 +1,31 @@
+import { mockProvider } from './mockProvider.js'
+
+export { signWebhookPayload, verifyWebhookSignature } from './webhookSignature.js'
+
+/**
+ * Payment provider interface
+ *
+ * Every provider exposes the same three async methods:
+ *   authorize({ orderId, orderNumber, amount, paymentMethod })
+ *     -> { status: 'authorized' | 'pending' | 'declined', reference, message }
+ *   capture({ reference, amount })
+ *     -> { status: 'captured' | 'failed', message }
+ *   refund({ reference, amount })
+ *     -> { status: 'refunded' | 'failed', message }
+ *
+ * 'pending' means the provider will confirm later through the webhook,
+ * whose payment.captured event carries the amount and currency captured.
+ */
+const providers = {
+  mock: mockProvider
+}
+
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  const provider = providers[name]
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`)
+  }
+
+  return { name, ...provider }
+}
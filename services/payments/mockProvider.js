@@ -0,0 +1,68 @@
+import crypto from 'node:crypto'
+import { signWebhookPayload } from './webhookSignature.js'
+
+/**
+ * Local mock payment provider for offline development
+ *
+ * The outcome is picked by the paymentMethod sent to checkout:
+ *   - 'mock_decline'  -> authorization is declined
+ *   - 'mock_delayed'  -> authorization is pending; a signed payment.captured
+ *                        webhook is posted back to this server after a delay
+ *   - anything else   -> authorized immediately
+ */
+const webhookUrl = process.env.MOCK_PAYMENT_WEBHOOK_URL || 'http://localhost:5600/api/payments/webhook'
+const confirmDelayMs = parseInt(process.env.MOCK_PAYMENT_DELAY_MS, 10) || 5000
+
+function sendDelayedWebhook(event) {
+  setTimeout(async () => {
+    const rawBody = JSON.stringify(event)
+
+    try {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Payment-Signature': signWebhookPayload(rawBody)
+        },
+        body: rawBody
+      })
+
+      if (!res.ok) {
+        console.error(`Mock payment webhook rejected (${res.status}):`, await res.text())
+      }
+    } catch (err) {
+      console.error('Mock payment webhook failed:', err.message)
+    }
+  }, confirmDelayMs)
+}
+
+export const mockProvider = {
+  async authorize({ amount, paymentMethod }) {
+    const reference = `mock_${crypto.randomUUID()}`
+
+    if (paymentMethod === 'mock_decline') {
+      return { status: 'declined', reference, message: 'Card declined' }
+    }
+
+    if (paymentMethod === 'mock_delayed') {
+      sendDelayedWebhook({
+        id: `evt_${crypto.randomUUID()}`,
+        type: 'payment.captured',
+        reference,
+        amount,
+        currency: 'USD'
+      })
+      return { status: 'pending', reference, message: 'Awaiting confirmation' }
+    }
+
+    return { status: 'authorized', reference, message: 'Approved' }
+  },
+
+  async capture() {
+    return { status: 'captured', message: 'Captured' }
+  },
+
+  async refund() {
+    return { status: 'refunded', message: 'Refunded' }
+  }
+}
@@ -0,0 +1,32 @@
+import crypto from 'node:crypto'
+
+// The fallback secret is public, so it's only for local development and tests
+const DEV_ENVIRONMENTS = ['development', 'test']
+const environment = process.env.NODE_ENV || 'development'
+
+if (!process.env.PAYMENT_WEBHOOK_SECRET && !DEV_ENVIRONMENTS.includes(environment)) {
+  throw new Error(`PAYMENT_WEBHOOK_SECRET must be set when NODE_ENV is ${environment}`)
+}
+
+const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'seahorse-mantaray'
+
+/**
+ * HMAC-SHA256 signature (hex) of a raw webhook body
+ */
+export function signWebhookPayload(rawBody) {
+  return crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex')
+}
+
+/**
+ * Constant-time check of the X-Payment-Signature header against the raw body
+ */
+export function verifyWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature) {
+    return false
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody), 'hex')
+  const received = Buffer.from(signature, 'hex')
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
@@ -0,0 +1,119 @@
+import { getLineProduct, sellingMode } from './inventoryService.js'
+
+/**
+ * How long stock is held once a customer starts checkout
+ */
+export const RESERVATION_MINUTES = parseInt(process.env.RESERVATION_MINUTES, 10) || 15
+
+/**
+ * Units of a product (or of one of its variants) held by other customers'
+ * unexpired reservations. humanId is the customer asking (null for a
+ * guest, who holds nothing).
+ */
+export async function reservedByOthers(db, productId, humanId = null, variantId = null) {
+  const row = await db.get(
+    `SELECT COALESCE(SUM(quantity), 0) AS reserved
+     FROM stock_reservations
+     WHERE product_id = ? AND variant_id IS ? AND human_id IS NOT ? AND expires_at > datetime('now')`,
+    [productId, variantId, humanId]
+  )
+  return row.reserved
+}
+
+/**
+ * Stock a customer can buy: what's on the shelf less what others are holding
+ */
+export async function availableStock(db, productId, stock, humanId = null, variantId = null) {
+  return Math.max((stock ?? 0) - await reservedByOthers(db, productId, humanId, variantId), 0)
+}
+
+/**
+ * The customer's current hold, if it hasn't expired:
+ * { expiresAt, expiresInSeconds, items: [{ productId, variantId, quantity }] } or null
+ */
+export async function getReservation(db, humanId) {
+  const rows = await db.all(
+    `SELECT product_id, variant_id, quantity, expires_at,
+       CAST(strftime('%s', expires_at) - strftime('%s', 'now') AS INTEGER) AS seconds_left
+     FROM stock_reservations
+     WHERE human_id = ? AND expires_at > datetime('now')
+     ORDER BY product_id, variant_id`,
+    [humanId]
+  )
+
+  if (rows.length === 0) {
+    return null
+  }
+
+  return {
+    expiresAt: rows[0].expires_at,
+    expiresInSeconds: rows[0].seconds_left,
+    items: rows.map(row => ({ productId: row.product_id, variantId: row.variant_id, quantity: row.quantity }))
+  }
+}
+
+/**
+ * Drop a customer's reservations - when their cart changes, or once the
+ * order is placed and the stock has really come off
+ */
+export async function releaseReservations(db, humanId) {
+  await db.run('DELETE FROM stock_reservations WHERE human_id = ?', [humanId])
+}
+
+/**
+ * Hold the physical lines of a customer's cart for RESERVATION_MINUTES,
+ * replacing any earlier hold. Lines that can't be filled from what others
+ * aren't holding are left out and reported as shortages, except backorders,
+ * which hold what they can, and pre-orders, which hold nothing. Call inside a
+ * transaction so the availability checks and the holds agree.
+ * cartLines are getCartLines rows. Returns { reservation, shortages }.
+ */
+export async function reserveCart(db, humanId, cartLines) {
+  await db.run("DELETE FROM stock_reservations WHERE expires_at <= datetime('now')")
+  await releaseReservations(db, humanId)
+
+  const shortages = []
+
+  for (const line of cartLines) {
+    if (line.is_digital || !line.product_id) {
+      continue
+    }
+
+    const product = await getLineProduct(db, line.product_id, line.variant_id)
+    const mode = product ? sellingMode(product) : 'in_stock'
+
+    // A pre-order has no stock to hold yet
+    if (mode === 'preorder') {
+      continue
+    }
+
+    const available = await availableStock(db, line.product_id, product?.stock, humanId, line.variant_id)
+
+    // A backorder holds what there is; the rest will wait for stock once ordered
+    const quantity = mode === 'backorder' ? Math.min(line.quantity, available) : line.quantity
+
+    if (quantity > available) {
+      shortages.push({
+        productId: line.product_id,
+        variantId: line.variant_id,
+        title: line.title,
+        requested: line.quantity,
+        available,
+        error: available > 0 ? `Only ${available} left in stock` : 'Out of stock'
+      })
+      continue
+    }
+
+    if (quantity === 0) {
+      continue
+    }
+
+    await db.run(
+      `INSERT INTO stock_reservations (human_id, product_id, variant_id, quantity, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [humanId, line.product_id, line.variant_id, quantity, `+${RESERVATION_MINUTES} minutes`]
+    )
+  }
+
+  return { reservation: await getReservation(db, humanId), shortages }
+}
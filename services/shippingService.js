@@ -0,0 +1,99 @@
+/**
+ * Does a priced cart/order line have to be shipped?
+ * Songs, digital albums and singles are delivered as downloads; albums, EPs
+ * and merch go in the post. A line for one of a release's formats ships
+ * unless it's the digital one, whatever the release's type.
+ */
+export function requiresShipping(line) {
+  if (line.format) {
+    return !line.is_digital
+  }
+
+  return !line.is_digital && line.product_type !== 'Single'
+}
+
+/**
+ * Price one shipping method for a parcel of { subtotal, weightGrams }
+ */
+function priceMethod(method, parcel) {
+  let amount = method.base_rate
+
+  if (method.rate_type === 'weight') {
+    amount += method.per_kg_rate * Math.ceil(parcel.weightGrams / 1000)
+  } else if (method.rate_type === 'free_over' && parcel.subtotal >= method.free_over_amount) {
+    amount = 0
+  }
+
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Quote every shipping method available for a cart going to an address.
+ * Returns { required: false } when nothing in the cart ships. Otherwise
+ * { required: true, options } with options sorted cheapest first; options
+ * is empty when there is no address or no method serves its country. A
+ * method serves its country (any when NULL) except its exclude_country.
+ */
+export async function quoteShipping(db, lines, address) {
+  const shippedLines = lines.filter(requiresShipping)
+
+  if (shippedLines.length === 0) {
+    return { required: false, options: [] }
+  }
+
+  if (!address) {
+    return { required: true, options: [] }
+  }
+
+  const parcel = {
+    subtotal: shippedLines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+    weightGrams: shippedLines.reduce((sum, line) => sum + (line.weight_grams || 0) * line.quantity, 0)
+  }
+
+  const methods = await db.all(
+    `SELECT * FROM shipping_methods
+     WHERE is_active = 1
+     AND (country IS NULL OR UPPER(country) = UPPER(?))
+     AND (exclude_country IS NULL OR UPPER(exclude_country) != UPPER(?))
+     ORDER BY sort_order, id`,
+    [address.country, address.country]
+  )
+
+  const options = methods
+    .map(method => ({
+      id: method.id,
+      name: method.name,
+      description: method.description,
+      amount: priceMethod(method, parcel)
+    }))
+    .sort((a, b) => a.amount - b.amount)
+
+  return { required: true, options }
+}
+
+/**
+ * Pick the shipping option for a checkout from a quote.
+ * Uses shippingMethodId when given, otherwise the cheapest option.
+ * Returns { method } (null when nothing ships) or { error }.
+ */
+export function selectShippingMethod(quote, shippingMethodId) {
+  if (!quote.required) {
+    return { method: null }
+  }
+
+  if (quote.options.length === 0) {
+    return { error: 'No shipping method is available for this address' }
+  }
+
+  if (shippingMethodId === undefined || shippingMethodId === null) {
+    return { method: quote.options[0] }
+  }
+
+  const method = quote.options.find(option => option.id === parseInt(shippingMethodId, 10))
+
+  if (!method) {
+    return { error: 'Shipping method is not available for this address' }
+  }
+
+  return { method }
+}
@@ -0,0 +1,301 @@
+import crypto from 'node:crypto'
+
+/**
+ * When store credit is applied at checkout (STORE_CREDIT_TAX_MODE):
+ *   before_tax - credit reduces the taxed value of the lines, like a discount;
+ *                anything left over goes towards shipping (default)
+ *   after_tax  - credit pays towards the finished total, like a payment
+ */
+export const STORE_CREDIT_TAX_MODE = process.env.STORE_CREDIT_TAX_MODE === 'after_tax' ? 'after_tax' : 'before_tax'
+
+// No 0/O or 1/I so codes can be read back over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_ATTEMPTS = 5
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Make a random gift card code (format: GC-XXXX-XXXX-XXXX)
+ */
+function generateGiftCardCode() {
+  const groups = []
+  for (let group = 0; group < 3; group++) {
+    let chars = ''
+    for (let i = 0; i < 4; i++) {
+      chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+    }
+    groups.push(chars)
+  }
+  return `GC-${groups.join('-')}`
+}
+
+/**
+ * Codes are matched case-insensitively and ignoring surrounding spaces
+ */
+export function normalizeGiftCardCode(code) {
+  return String(code).trim().toUpperCase()
+}
+
+/**
+ * A human's current store credit balance
+ */
+export async function getStoreCreditBalance(db, humanId) {
+  const row = await db.get(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM store_credit_ledger WHERE human_id = ?',
+    [humanId]
+  )
+  return roundMoney(row.balance)
+}
+
+/**
+ * A human's ledger entries, newest first, with the order number they relate to
+ */
+export async function listStoreCreditHistory(db, humanId, { limit = 50, offset = 0 } = {}) {
+  return db.all(
+    `SELECT l.id, l.amount, l.entry_type, l.note, l.created_at,
+       l.order_id, o.order_number, l.gift_card_id, gc.code AS gift_card_code
+     FROM store_credit_ledger l
+     LEFT JOIN orders o ON l.order_id = o.id
+     LEFT JOIN gift_cards gc ON l.gift_card_id = gc.id
+     WHERE l.human_id = ?
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ? OFFSET ?`,
+    [humanId, limit, offset]
+  )
+}
+
+/**
+ * Write a ledger entry. amount is positive for credit given and negative
+ * for credit spent. Returns the entry's id. Entry types:
+ *   gift_card       - a gift card redeemed into the balance (+)
+ *   order_payment   - credit spent on an order (-)
+ *   order_cancelled - credit given back when that order is cancelled (+)
+ *   refund          - a refund paid out as store credit (+)
+ */
+export async function addStoreCredit(db, humanId, amount, entryType, { giftCardId = null, orderId = null, note = null, createdBy = null } = {}) {
+  const result = await db.run(
+    `INSERT INTO store_credit_ledger (human_id, amount, entry_type, gift_card_id, order_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [humanId, roundMoney(amount), entryType, giftCardId, orderId, note, createdBy]
+  )
+  return result.lastID
+}
+
+/**
+ * Create a gift card with a fresh code. Returns the new card.
+ */
+export async function createGiftCard(db, { amount, orderId = null, orderItemId = null, purchasedBy = null, issuedBy = null, note = null }) {
+  for (let attempt = 1; ; attempt++) {
+    const code = generateGiftCardCode()
+
+    try {
+      return await db.get(
+        `INSERT INTO gift_cards (code, amount, order_id, order_item_id, purchased_by, issued_by, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         RETURNING *`,
+        [code, roundMoney(amount), orderId, orderItemId, purchasedBy, issuedBy, note]
+      )
+    } catch (err) {
+      // Another card already has this code - roll again
+      if (attempt < CODE_ATTEMPTS && err.code === 'SQLITE_CONSTRAINT' && err.message.includes('gift_cards.code')) {
+        continue
+      }
+      throw err
+    }
+  }
+}
+
+/**
+ * Issue the gift cards bought on an order: one card per unit of each gift
+ * card line, worth the unit price. Units that already have a card (or were
+ * refunded) are skipped, so this is safe to call again. Returns the cards
+ * issued.
+ */
+export async function issueGiftCards(db, orderId) {
+  const lines = await db.all(
+    `SELECT oi.id, oi.unit_price, oi.quantity - oi.refunded_quantity AS quantity, o.human_id,
+       (SELECT COUNT(*) FROM gift_cards gc WHERE gc.order_item_id = oi.id) AS issued
+     FROM order_items oi
+     JOIN orders o ON oi.order_id = o.id
+     JOIN products p ON oi.product_id = p.id
+     WHERE oi.order_id = ? AND p.is_gift_card = 1`,
+    [orderId]
+  )
+
+  const cards = []
+  for (const line of lines) {
+    for (let unit = line.issued; unit < line.quantity; unit++) {
+      cards.push(await createGiftCard(db, {
+        amount: line.unit_price,
+        orderId,
+        orderItemId: line.id,
+        purchasedBy: line.human_id
+      }))
+    }
+  }
+
+  return cards
+}
+
+/**
+ * Find the cards to void when quantity units of a gift card order line are
+ * refunded. Returns { success: true, cardIds } or { success: false, status,
+ * error } when fewer than quantity of its cards are still unredeemed.
+ * Checks only, so a refund can be rejected before it writes anything.
+ */
+export async function findGiftCardsToVoid(db, orderItemId, quantity) {
+  const cards = await db.all(
+    `SELECT id FROM gift_cards WHERE order_item_id = ? AND status = 'active' ORDER BY id DESC LIMIT ?`,
+    [orderItemId, quantity]
+  )
+  const issued = await db.get('SELECT COUNT(*) AS count FROM gift_cards WHERE order_item_id = ?', [orderItemId])
+
+  // Cards that were never issued need nothing voided
+  if (issued.count > 0 && cards.length < quantity) {
+    return {
+      success: false,
+      status: 409,
+      error: 'Gift cards from this order have already been redeemed and cannot be refunded'
+    }
+  }
+
+  return { success: true, cardIds: cards.map(card => card.id) }
+}
+
+/**
+ * Void gift cards so they can no longer be redeemed
+ */
+export async function voidGiftCards(db, cardIds) {
+  for (const cardId of cardIds) {
+    await db.run(`UPDATE gift_cards SET status = 'void' WHERE id = ? AND status = 'active'`, [cardId])
+  }
+}
+
+/**
+ * Look up a gift card by code and check it can still be redeemed.
+ * Returns { valid: true, card } or { valid: false, error, reason } where
+ * reason is invalid, already_redeemed or void.
+ */
+export async function checkGiftCard(db, code) {
+  const card = await db.get('SELECT * FROM gift_cards WHERE code = ?', [normalizeGiftCardCode(code)])
+
+  if (!card) {
+    return { valid: false, reason: 'invalid', error: 'Invalid gift card code' }
+  }
+
+  if (card.status === 'redeemed') {
+    return { valid: false, reason: 'already_redeemed', error: 'This gift card has already been redeemed' }
+  }
+
+  if (card.status === 'void') {
+    return { valid: false, reason: 'void', error: 'This gift card is no longer valid' }
+  }
+
+  return { valid: true, card }
+}
+
+/**
+ * Redeem a gift card: its whole value goes into the human's store credit.
+ * Call inside a transaction. Returns { success: true, card, amount } or
+ * { success: false, status, error, reason }.
+ */
+export async function redeemGiftCard(db, humanId, code) {
+  const check = await checkGiftCard(db, code)
+
+  if (!check.valid) {
+    return { success: false, status: check.reason === 'invalid' ? 404 : 409, error: check.error, reason: check.reason }
+  }
+
+  const { card } = check
+
+  await db.run(
+    `UPDATE gift_cards SET status = 'redeemed', redeemed_by = ?, redeemed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [humanId, card.id]
+  )
+  await addStoreCredit(db, humanId, card.amount, 'gift_card', { giftCardId: card.id })
+
+  return { success: true, card, amount: card.amount }
+}
+
+/**
+ * Give back the store credit an order spent that hasn't been refunded yet
+ * (when the order is cancelled)
+ */
+export async function releaseStoreCredit(db, orderId) {
+  const order = await db.get(
+    'SELECT human_id, store_credit_amount - store_credit_refunded AS unreleased FROM orders WHERE id = ?',
+    [orderId]
+  )
+
+  if (!order || roundMoney(order.unreleased) <= 0) {
+    return 0
+  }
+
+  await addStoreCredit(db, order.human_id, order.unreleased, 'order_cancelled', { orderId })
+  await db.run('UPDATE orders SET store_credit_refunded = store_credit_amount WHERE id = ?', [orderId])
+
+  return roundMoney(order.unreleased)
+}
+
+/**
+ * Work out how much store credit to put towards an order.
+ * lines are priced, discounted cart lines; gift card lines can't be bought
+ * with credit. cap is the most the customer asked to use. In before_tax
+ * mode the credit is spread over the other lines by value (returned as
+ * each line's store_credit_amount, so calculateTax taxes what is left) and
+ * any remainder is held back for shipping; in after_tax mode nothing is
+ * spread and the caller takes it off the total.
+ * Returns { lines, amount } where amount is the credit to spend before
+ * shipping is known.
+ */
+export function allocateStoreCredit(lines, cap) {
+  const creditable = lines.map(line =>
+    line.is_gift_card ? 0 : Math.max(line.price * line.quantity - (line.discount_amount || 0), 0)
+  )
+  const creditableTotal = roundMoney(creditable.reduce((sum, value) => sum + value, 0))
+
+  if (STORE_CREDIT_TAX_MODE === 'after_tax' || cap <= 0) {
+    return { lines: lines.map(line => ({ ...line, store_credit_amount: 0 })), amount: 0 }
+  }
+
+  const amount = roundMoney(Math.min(cap, creditableTotal))
+  const lastCreditable = creditable.findLastIndex(value => value > 0)
+
+  let creditLeft = amount
+  const creditedLines = lines.map((line, index) => {
+    if (creditable[index] === 0) {
+      return { ...line, store_credit_amount: 0 }
+    }
+
+    const lineCredit = index === lastCreditable
+      ? creditLeft
+      : Math.min(roundMoney(amount * creditable[index] / creditableTotal), creditLeft)
+    creditLeft = roundMoney(creditLeft - lineCredit)
+
+    return { ...line, store_credit_amount: lineCredit }
+  })
+
+  return { lines: creditedLines, amount }
+}
+
+/**
+ * The total store credit an order can take once tax and shipping are
+ * known: what allocateStoreCredit spread over the lines, plus (before_tax)
+ * shipping or (after_tax) everything but the gift card lines, up to cap.
+ */
+export function storeCreditForTotal(lines, allocated, cap, { taxAmount, shippingAmount }) {
+  if (cap <= 0) {
+    return 0
+  }
+
+  if (STORE_CREDIT_TAX_MODE === 'before_tax') {
+    return roundMoney(allocated + Math.min(Math.max(cap - allocated, 0), shippingAmount))
+  }
+
+  const payable = lines.reduce((sum, line) =>
+    line.is_gift_card ? sum : sum + Math.max(line.price * line.quantity - (line.discount_amount || 0), 0), 0)
+
+  return roundMoney(Math.min(cap, payable + taxAmount + shippingAmount))
+}
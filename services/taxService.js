@@ -0,0 +1,89 @@
+/**
+ * Product classes tax rates can target
+ */
+export const PRODUCT_CLASSES = ['digital', 'physical', 'merch']
+
+// Where we assume the customer is when no address is given
+export const DEFAULT_TAX_COUNTRY = 'USA'
+
+/**
+ * Classify a priced cart/order line for tax purposes.
+ * Gift cards are 'gift_card' (never taxed - tax is charged when the credit
+ * is spent), songs and digital albums are 'digital', Merch products are
+ * 'merch', everything else ships and is 'physical'.
+ */
+export function productClassFor(line) {
+  if (line.is_gift_card) {
+    return 'gift_card'
+  }
+
+  if (line.is_digital) {
+    return 'digital'
+  }
+
+  return line.product_type === 'Merch' ? 'merch' : 'physical'
+}
+
+/**
+ * Find the rate for one product class at an address.
+ * The most specific active rule wins: a postal prefix beats a state, a state
+ * beats a whole country, and a rule for the product class beats a catch-all.
+ * No matching rule means no tax.
+ */
+async function findRate(db, address, productClass) {
+  const rule = await db.get(
+    `SELECT rate FROM tax_rates
+     WHERE is_active = 1
+     AND UPPER(country) = UPPER(?)
+     AND (state_province IS NULL OR UPPER(state_province) = UPPER(?))
+     AND (postal_prefix IS NULL OR ? LIKE postal_prefix || '%')
+     AND (product_class IS NULL OR product_class = ?)
+     ORDER BY
+       LENGTH(COALESCE(postal_prefix, '')) DESC,
+       state_province IS NOT NULL DESC,
+       product_class IS NOT NULL DESC,
+       id DESC
+     LIMIT 1`,
+    [address.country, address.state_province || '', address.postal_code || '', productClass]
+  )
+
+  return rule ? rule.rate : 0
+}
+
+/**
+ * Work out tax line by line.
+ * lines need price, quantity, is_digital, is_gift_card and product_type, plus any
+ * discount_amount already allocated to them (see allocateDiscount in the
+ * coupon service) and any store_credit_amount spent on them before tax (see
+ * allocateStoreCredit). Each line is taxed at its own rate on its value
+ * after both. Returns the lines with tax_class, tax_rate and tax_amount added,
+ * plus the total tax.
+ */
+export async function calculateTax(db, lines, address) {
+  const location = address || { country: DEFAULT_TAX_COUNTRY }
+  const rates = new Map()
+
+  let taxAmount = 0
+
+  const taxedLines = []
+  for (const line of lines) {
+    const lineTotal = line.price * line.quantity
+
+    const taxClass = productClassFor(line)
+    if (!rates.has(taxClass)) {
+      rates.set(taxClass, taxClass === 'gift_card' ? 0 : await findRate(db, location, taxClass))
+    }
+
+    const taxRate = rates.get(taxClass)
+    const taxable = lineTotal - (line.discount_amount || 0) - (line.store_credit_amount || 0)
+    const lineTax = Math.round(Math.max(taxable, 0) * taxRate * 100) / 100
+    taxAmount += lineTax
+
+    taxedLines.push({ ...line, tax_class: taxClass, tax_rate: taxRate, tax_amount: lineTax })
+  }
+
+  return {
+    lines: taxedLines,
+    taxAmount: Math.round(taxAmount * 100) / 100
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * The formats a release can come in (product_variants.format) and the Format
+ * option value each is listed under. Only digital downloads skip shipping.
+ */
+export const RELEASE_FORMATS = {
+  vinyl: 'Vinyl',
+  cd: 'CD',
+  cassette: 'Cassette',
+  digital: 'Digital download'
+}
+
+/**
+ * Check the variant chosen for a product line: a product sold by variant
+ * needs one of its active variants, and a product without variants can't
+ * take one. Returns { success: true } or { success: false, status, error }.
+ */
+export async function checkVariantChoice(db, productId, variantId = null) {
+  if (variantId) {
+    const variant = await db.get(
+      'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+      [variantId, productId]
+    )
+
+    return variant
+      ? { success: true }
+      : { success: false, status: 404, error: 'Variant not found' }
+  }
+
+  const options = await db.all(
+    `SELECT DISTINCT ot.name, ot.position
+     FROM product_option_types ot
+     JOIN product_option_values ov ON ov.option_type_id = ot.id
+     JOIN product_variant_options pvo ON pvo.option_value_id = ov.id
+     JOIN product_variants v ON v.id = pvo.variant_id
+     WHERE ot.product_id = ? AND v.is_active = 1
+     ORDER BY ot.position`,
+    [productId]
+  )
+
+  return options.length > 0
+    ? { success: false, status: 400, error: `Choose a ${options.map(option => option.name).join(' and ')}` }
+    : { success: true }
+}
+
+/**
+ * A product's variant matrix:
+ * {
+ *   options: [{ id, name, values: [{ id, value }] }],
+ *   variants: [{ id, sku, label, price, priceOverride, stock, image, isActive,
+ *                format, barcode, isDigital, options: { [name]: value } }]
+ * }
+ * price is what the variant sells for (its override or the product's
+ * price) and image falls back to the product's. format is set for a
+ * release's formats (see RELEASE_FORMATS); isDigital variants are
+ * downloads and never run out. Inactive variants are left out unless
+ * includeInactive.
+ */
+export async function getVariantMatrix(db, productId, { includeInactive = false } = {}) {
+  const optionRows = await db.all(
+    `SELECT ot.id AS type_id, ot.name, ov.id AS value_id, ov.value
+     FROM product_option_types ot
+     LEFT JOIN product_option_values ov ON ov.option_type_id = ot.id
+     WHERE ot.product_id = ?
+     ORDER BY ot.position, ot.id, ov.position, ov.id`,
+    [productId]
+  )
+
+  const options = []
+  for (const row of optionRows) {
+    let option = options.find(o => o.id === row.type_id)
+
+    if (!option) {
+      option = { id: row.type_id, name: row.name, values: [] }
+      options.push(option)
+    }
+
+    if (row.value_id) {
+      option.values.push({ id: row.value_id, value: row.value })
+    }
+  }
+
+  const variants = await db.all(
+    `SELECT v.id, v.sku, v.label, COALESCE(v.price, p.price) AS price, v.price AS priceOverride,
+       v.stock, COALESCE(v.image, p.image) AS image, v.is_active AS isActive,
+       v.format, v.barcode, COALESCE(v.is_digital, p.is_digital, 0) AS isDigital
+     FROM product_variants v
+     JOIN products p ON v.product_id = p.id
+     WHERE v.product_id = ? AND (? OR v.is_active = 1)
+     ORDER BY v.id`,
+    [productId, includeInactive ? 1 : 0]
+  )
+
+  const choices = await db.all(
+    `SELECT pvo.variant_id, ot.name, ov.value
+     FROM product_variant_options pvo
+     JOIN product_option_values ov ON pvo.option_value_id = ov.id
+     JOIN product_option_types ot ON ov.option_type_id = ot.id
+     WHERE ot.product_id = ?
+     ORDER BY ot.position, ot.id`,
+    [productId]
+  )
+
+  return {
+    options,
+    variants: variants.map(variant => ({
+      ...variant,
+      isActive: !!variant.isActive,
+      isDigital: !!variant.isDigital,
+      options: Object.fromEntries(
+        choices.filter(choice => choice.variant_id === variant.id).map(choice => [choice.name, choice.value])
+      )
+    }))
+  }
+}
+
+/**
+ * Add a variant to a product.
+ * options is { [option name]: value }, e.g. { Color: 'Red', Size: 'L' };
+ * option types and values are created as they're first used. Once a
+ * product has variants, every new one must choose a value for the same
+ * options, and no two variants may choose the same values. Stock isn't set
+ * here - it goes through the inventory ledger.
+ * A release's formats give format (a RELEASE_FORMATS key) instead of a
+ * Format option - it's added to options for them, alongside any others
+ * (e.g. a vinyl color) - and a digital format is a download, not shipped.
+ * barcode must be unique; weightGrams overrides the product's for shipping.
+ * Returns { success: true, variantId, label } or { success: false, status, error }.
+ */
+export async function createVariant(db, productId, {
+  sku,
+  price = null,
+  image = null,
+  options,
+  format = null,
+  barcode = null,
+  weightGrams = null
+}) {
+  if (options && Object.keys(options).some(name => name.trim() === 'Format')) {
+    return { success: false, status: 400, error: 'Give a release format as format, not as an option' }
+  }
+
+  if (format) {
+    if (!RELEASE_FORMATS[format]) {
+      return { success: false, status: 400, error: `Format must be one of: ${Object.keys(RELEASE_FORMATS).join(', ')}` }
+    }
+
+    const product = await db.get('SELECT type FROM products WHERE id = ?', [productId])
+
+    if (product?.type === 'Merch') {
+      return { success: false, status: 400, error: 'Only music releases come in formats' }
+    }
+
+    options = { Format: RELEASE_FORMATS[format], ...options }
+  }
+
+  const entries = Object.entries(options || {})
+    .map(([name, value]) => [String(name).trim(), String(value ?? '').trim()])
+
+  if (entries.length === 0 || entries.some(([name, value]) => !name || !value)) {
+    return { success: false, status: 400, error: 'Options must give a value for each option, e.g. { "Size": "L" }' }
+  }
+
+  const existingTypes = await db.all(
+    'SELECT id, name, position FROM product_option_types WHERE product_id = ? ORDER BY position, id',
+    [productId]
+  )
+  const hasVariants = await db.get('SELECT 1 FROM product_variants WHERE product_id = ? LIMIT 1', [productId])
+
+  if (hasVariants) {
+    const names = existingTypes.map(type => type.name)
+    const sameOptions = entries.length === names.length && entries.every(([name]) => names.includes(name))
+
+    if (!sameOptions) {
+      return { success: false, status: 400, error: `Variants of this product choose: ${names.join(', ')}` }
+    }
+  }
+
+  if (await db.get('SELECT 1 FROM product_variants WHERE sku = ?', [sku])) {
+    return { success: false, status: 409, error: `SKU ${sku} is already in use` }
+  }
+
+  if (barcode && await db.get('SELECT 1 FROM product_variants WHERE barcode = ?', [barcode])) {
+    return { success: false, status: 409, error: `Barcode ${barcode} is already in use` }
+  }
+
+  // Look up each option and value. Nothing is written until the variant is
+  // known to be new, so a rejected one leaves no options behind.
+  const choices = []
+  for (const [name, value] of entries) {
+    const type = existingTypes.find(t => t.name === name)
+    const optionValue = type && await db.get(
+      'SELECT id FROM product_option_values WHERE option_type_id = ? AND value = ?',
+      [type.id, value]
+    )
+
+    choices.push({ name, value, type, valueId: optionValue?.id })
+  }
+
+  // The same combination can't be sold twice (one with a new value can't repeat another)
+  if (choices.every(choice => choice.valueId)) {
+    const valueIds = choices.map(choice => choice.valueId)
+    const duplicate = await db.get(
+      `SELECT v.id FROM product_variants v
+       WHERE v.product_id = ?
+       AND (SELECT COUNT(*) FROM product_variant_options pvo
+            WHERE pvo.variant_id = v.id AND pvo.option_value_id IN (${valueIds.map(() => '?').join(', ')})) = ?`,
+      [productId, ...valueIds, valueIds.length]
+    )
+
+    if (duplicate) {
+      return { success: false, status: 409, error: 'A variant with these options already exists' }
+    }
+  }
+
+  // Create the options and values used for the first time
+  for (const choice of choices) {
+    if (!choice.type) {
+      const position = existingTypes.length
+      const result = await db.run(
+        'INSERT INTO product_option_types (product_id, name, position) VALUES (?, ?, ?)',
+        [productId, choice.name, position]
+      )
+      choice.type = { id: result.lastID, name: choice.name, position }
+      existingTypes.push(choice.type)
+    }
+
+    if (!choice.valueId) {
+      const { count } = await db.get(
+        'SELECT COUNT(*) AS count FROM product_option_values WHERE option_type_id = ?',
+        [choice.type.id]
+      )
+      const result = await db.run(
+        'INSERT INTO product_option_values (option_type_id, value, position) VALUES (?, ?, ?)',
+        [choice.type.id, choice.value, count]
+      )
+      choice.valueId = result.lastID
+    }
+  }
+
+  const label = [...choices]
+    .sort((a, b) => a.type.position - b.type.position)
+    .map(choice => choice.value)
+    .join(' / ')
+
+  const result = await db.run(
+    `INSERT INTO product_variants (product_id, sku, label, price, image, format, barcode, is_digital, weight_grams)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, sku, label, price, image, format, barcode, format ? (format === 'digital' ? 1 : 0) : null, weightGrams]
+  )
+
+  for (const choice of choices) {
+    await db.run(
+      'INSERT INTO product_variant_options (variant_id, option_value_id) VALUES (?, ?)',
+      [result.lastID, choice.valueId]
+    )
+  }
+
+  return { success: true, variantId: result.lastID, label }
+}
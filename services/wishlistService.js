@@ -0,0 +1,95 @@
+import { afterCommit } from '../db/db.js'
+import { notifyWishlistBackInStock, notifyWishlistPriceDrop } from './notifications/index.js'
+
+/**
+ * The price and availability of a product ({ productId }) or song
+ * ({ songId }) that wishlist alerts compare against. Songs and digital
+ * products are always in stock; a product sold by variant is in stock while
+ * any active variant is (a digital format always is), and carries each
+ * variant's own { price, inStock } in variants, by id. With a variantId
+ * it's just that variant's. undefined if it doesn't exist.
+ */
+export async function wishlistSnapshot(db, { productId, songId, variantId = null }) {
+  if (productId) {
+    const product = await db.get(
+      `SELECT p.price, p.is_digital,
+         COALESCE((SELECT MAX(CASE WHEN COALESCE(v.is_digital, p.is_digital) = 1 THEN 1 ELSE v.stock END)
+                   FROM product_variants v WHERE v.product_id = p.id AND v.is_active = 1), p.stock) AS stock
+       FROM products p WHERE p.id = ?`,
+      [productId]
+    )
+
+    if (!product) {
+      return undefined
+    }
+
+    const variantRows = await db.all(
+      `SELECT v.id, COALESCE(v.price, p.price) AS price, v.stock, v.is_active,
+         COALESCE(v.is_digital, p.is_digital, 0) AS is_digital
+       FROM product_variants v
+       JOIN products p ON v.product_id = p.id
+       WHERE v.product_id = ? AND (? IS NULL OR v.id = ?)`,
+      [productId, variantId, variantId]
+    )
+    const variants = Object.fromEntries(variantRows.map(variant => [variant.id, {
+      price: variant.price,
+      inStock: !!variant.is_active && (!!variant.is_digital || variant.stock > 0)
+    }]))
+
+    if (variantId) {
+      return variants[variantId]
+    }
+
+    return { price: product.price, inStock: !!product.is_digital || product.stock > 0, variants }
+  }
+
+  const song = await db.get('SELECT individual_price AS price FROM songs WHERE id = ?', [songId])
+  return song && { price: song.price, inStock: true }
+}
+
+/**
+ * Email the customers watching a product or song whose price or stock has
+ * just changed. before is the wishlistSnapshot taken ahead of the change.
+ * A saved variant is compared on its own price and stock, anything else on
+ * the product's or song's. A price drop is reported to those who opted in
+ * and were watching at a higher price, whose price_when_added then moves
+ * down to the new price; coming back in stock is reported to those who
+ * opted in to that. Mail goes out once the surrounding transaction (if any)
+ * commits.
+ */
+export async function sendWishlistAlerts(db, target, before) {
+  const after = await wishlistSnapshot(db, target)
+
+  if (!before || !after) {
+    return
+  }
+
+  const column = target.productId ? 'product_id' : 'song_id'
+  const id = target.productId || target.songId
+
+  const watchers = await db.all(
+    `SELECT id, variant_id, price_when_added, notify_price_drop, notify_back_in_stock
+     FROM wishlist_items
+     WHERE ${column} = ? AND (notify_price_drop = 1 OR notify_back_in_stock = 1)`,
+    [id]
+  )
+
+  for (const item of watchers) {
+    // A variant added since the before snapshot has nothing to compare with
+    const was = item.variant_id ? before.variants?.[item.variant_id] : before
+    const now = item.variant_id ? after.variants?.[item.variant_id] : after
+
+    if (!was || !now) {
+      continue
+    }
+
+    if (item.notify_price_drop && now.price < was.price && item.price_when_added > now.price) {
+      await db.run('UPDATE wishlist_items SET price_when_added = ? WHERE id = ?', [now.price, item.id])
+      afterCommit(db, () => notifyWishlistPriceDrop(item.id, { oldPrice: item.price_when_added, newPrice: now.price }))
+    }
+
+    if (item.notify_back_in_stock && !was.inStock && now.inStock) {
+      afterCommit(db, () => notifyWishlistBackInStock(item.id))
+    }
+  }
+}